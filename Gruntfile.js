@@ -50,7 +50,10 @@ module.exports = function(grunt) {
             // core
             { src: 'src/LayoutContext.js', dest: 'docs/LayoutContext.md' },
             { src: 'src/LayoutController.js', dest: 'docs/LayoutController.md' },
+            { src: 'src/LayoutEvaluator.js', dest: 'docs/LayoutEvaluator.md' },
+            { src: 'src/ConstraintSolver.js', dest: 'docs/ConstraintSolver.md' },
             { src: 'src/ScrollController.js', dest: 'docs/ScrollController.md' },
+            { src: 'src/GridScrollController.js', dest: 'docs/GridScrollController.md' },
             { src: 'src/FlexScrollView.js', dest: 'docs/FlexScrollView.md' },
             { src: 'src/LayoutUtility.js', dest: 'docs/LayoutUtility.md' },
             { src: 'src/VirtualViewSequence.js', dest: 'docs/VirtualViewSequence.md' },
@@ -62,6 +65,13 @@ module.exports = function(grunt) {
             { src: 'src/widgets/TabBarController.js', dest: 'docs/widgets/TabBarController.md' },
             // helpers
             { src: 'src/helpers/LayoutDockHelper.js', dest: 'docs/helpers/LayoutDockHelper.md' },
+            { src: 'src/helpers/LayoutConstraintHelper.js', dest: 'docs/helpers/LayoutConstraintHelper.md' },
+            // physics
+            { src: 'src/physics/ScrollPhysics.js', dest: 'docs/physics/ScrollPhysics.md' },
+            { src: 'src/physics/ParticlePhysics.js', dest: 'docs/physics/ParticlePhysics.md' },
+            { src: 'src/physics/DecelerationPhysics.js', dest: 'docs/physics/DecelerationPhysics.md' },
+            { src: 'src/physics/FlingPhysics.js', dest: 'docs/physics/FlingPhysics.md' },
+            { src: 'src/physics/RubberBandPhysics.js', dest: 'docs/physics/RubberBandPhysics.md' },
             // layouts
             { src: 'src/layouts/CollectionLayout.js', dest: 'docs/layouts/CollectionLayout.md' },
             { src: 'src/layouts/GridLayout.js', dest: 'docs/layouts/GridLayout.md' },
@@ -71,7 +81,12 @@ module.exports = function(grunt) {
             { src: 'src/layouts/WheelLayout.js', dest: 'docs/layouts/WheelLayout.md' },
             { src: 'src/layouts/CoverLayout.js', dest: 'docs/layouts/CoverLayout.md' },
             { src: 'src/layouts/ProportionalLayout.js', dest: 'docs/layouts/ProportionalLayout.md' },
-            { src: 'src/layouts/TabBarLayout.js', dest: 'docs/layouts/TabBarLayout.md' }
+            { src: 'src/layouts/TabBarLayout.js', dest: 'docs/layouts/TabBarLayout.md' },
+            { src: 'src/layouts/AutoLayout.js', dest: 'docs/layouts/AutoLayout.md' },
+            { src: 'src/layouts/FlexboxLayout.js', dest: 'docs/layouts/FlexboxLayout.md' },
+            { src: 'src/layouts/MasonryLayout.js', dest: 'docs/layouts/MasonryLayout.md' },
+            { src: 'src/layouts/JustifiedLayout.js', dest: 'docs/layouts/JustifiedLayout.md' },
+            { src: 'src/layouts/TableLayout.js', dest: 'docs/layouts/TableLayout.md' }
         ]
       }
     },
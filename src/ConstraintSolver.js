@@ -0,0 +1,320 @@
+/**
+ * This Source Code is licensed under the MIT license. If a copy of the
+ * MIT-license was not distributed with this file, You can obtain one at:
+ * http://opensource.org/licenses/mit-license.html.
+ *
+ * @author: Hein Rutjes (IjzerenHein)
+ * @license MIT
+ * @copyright Gloey Apps, 2015
+ */
+
+/**
+ * Linear constraint solver, used by LayoutConstraintHelper.
+ *
+ * Constraints are linear equations or inequalities over a set of variables,
+ * each with a priority. Required constraints (priority 1000) are always satisfied
+ * (when possible), lower priority constraints are satisfied as much as possible,
+ * where higher priorities are strongly preferred over lower priorities.
+ *
+ * Internally, each constraint is given an error variable, weighted by its priority,
+ * and the sum of the weighted errors is minimized using the simplex method.
+ * Constraints that don't share any variables are solved independently.
+ *
+ * **Example:**
+ *
+ * ```javascript
+ * var solver = new ConstraintSolver();
+ * var left = solver.addVariable();
+ * var width = solver.addVariable(true); // non-negative
+ * solver.addConstraint([[left, 1]], '==', 10);              // left == 10
+ * solver.addConstraint([[left, 1], [width, 1]], '<=', 300); // left + width <= 300
+ * solver.addConstraint([[width, 1]], '==', 500, 250);       // width == 500 (priority 250)
+ * var values = solver.solve(); // [10, 290]
+ * ```
+ *
+ * @module
+ */
+define(function(require, exports, module) {
+
+    // import dependencies
+    var LayoutUtility = require('./LayoutUtility');
+
+    var EPSILON = 1e-9;
+    var MAX_ITERATIONS = 10000;
+
+    /**
+     * @class
+     * @alias module:ConstraintSolver
+     */
+    function ConstraintSolver() {
+        this._variables = [];
+        this._constraints = [];
+    }
+
+    ConstraintSolver.Priority = {
+        REQUIRED: 1000,
+        HIGH: 750,
+        LOW: 250
+    };
+
+    /**
+     * Adds a variable to the solver.
+     *
+     * @param {Bool} [nonNegative] When set to `true`, the variable cannot become negative.
+     * @return {Number} variable
+     */
+    ConstraintSolver.prototype.addVariable = function(nonNegative) {
+        this._variables.push({
+            nonNegative: nonNegative ? true : false
+        });
+        return this._variables.length - 1;
+    };
+
+    /**
+     * Adds a constraint to the solver in the form: `sum(coefficient * variable) relation constant`.
+     *
+     * @param {Array} terms Array of `[variable, coefficient]` pairs.
+     * @param {String} relation Relation: `'=='`, `'<='` or `'>='`.
+     * @param {Number} constant Constant.
+     * @param {Number} [priority] Priority between 1 and 1000 (default: 1000 = required).
+     * @return {ConstraintSolver} this
+     */
+    ConstraintSolver.prototype.addConstraint = function(terms, relation, constant, priority) {
+        if ((relation !== '==') && (relation !== '<=') && (relation !== '>=')) {
+            LayoutUtility.error('Invalid relation "' + relation + '" specified to .addConstraint');
+        }
+        this._constraints.push({
+            terms: terms,
+            relation: relation,
+            constant: constant || 0,
+            priority: (priority === undefined) ? ConstraintSolver.Priority.REQUIRED : priority
+        });
+        return this;
+    };
+
+    /**
+     * Returns the weight of an error, for the given priority.
+     */
+    function _getWeight(priority) {
+        return (priority >= ConstraintSolver.Priority.REQUIRED) ? 1e8 : Math.pow(10, priority / 250);
+    }
+
+    /**
+     * Splits the constraints into groups which don't share any variables,
+     * so that these can be solved independently.
+     */
+    function _getComponents() {
+        var parents = this._variables.map(function(variable, index) {
+            return index;
+        });
+        function find(index) {
+            while (parents[index] !== index) {
+                parents[index] = parents[parents[index]];
+                index = parents[index];
+            }
+            return index;
+        }
+        var i;
+        var j;
+        for (i = 0; i < this._constraints.length; i++) {
+            var terms = this._constraints[i].terms;
+            for (j = 1; j < terms.length; j++) {
+                parents[find(terms[j][0])] = find(terms[0][0]);
+            }
+        }
+        var components = {};
+        for (i = 0; i < this._constraints.length; i++) {
+            var constraint = this._constraints[i];
+            if (constraint.terms.length) {
+                var root = find(constraint.terms[0][0]);
+                components[root] = components[root] || [];
+                components[root].push(constraint);
+            }
+        }
+        return components;
+    }
+
+    /**
+     * Pivots the tableau on the given row and column.
+     */
+    function _pivot(tableau, costs, basis, row, column) {
+        var pivotRow = tableau[row];
+        var pivotValue = pivotRow[column];
+        var i;
+        var j;
+        for (j = 0; j < pivotRow.length; j++) {
+            pivotRow[j] /= pivotValue;
+        }
+        for (i = 0; i < tableau.length; i++) {
+            var factor = tableau[i][column];
+            if ((i !== row) && factor) {
+                var tableauRow = tableau[i];
+                for (j = 0; j < tableauRow.length; j++) {
+                    tableauRow[j] -= factor * pivotRow[j];
+                }
+            }
+        }
+        var costFactor = costs[column];
+        if (costFactor) {
+            for (j = 0; j < costs.length; j++) {
+                costs[j] -= costFactor * pivotRow[j];
+            }
+        }
+        basis[row] = column;
+    }
+
+    /**
+     * Solves a group of constraints and stores the result in `values`.
+     */
+    function _solveComponent(constraints, values) {
+
+        // Allocate columns for the variables. Variables which may become
+        // negative are split into a positive and a negative part.
+        var columnCosts = [];
+        var variableColumns = {};
+        var i;
+        var j;
+        var terms;
+        for (i = 0; i < constraints.length; i++) {
+            terms = constraints[i].terms;
+            for (j = 0; j < terms.length; j++) {
+                var variable = terms[j][0];
+                if (!variableColumns[variable]) {
+                    variableColumns[variable] = [columnCosts.length];
+                    columnCosts.push(0);
+                    if (!this._variables[variable].nonNegative) {
+                        variableColumns[variable].push(columnCosts.length);
+                        columnCosts.push(0);
+                    }
+                }
+            }
+        }
+
+        // Create the rows. Each row gets an error and/or slack column with
+        // a coefficient of +1 which is used as the initial basis.
+        var rows = [];
+        var basis = [];
+        for (i = 0; i < constraints.length; i++) {
+            var constraint = constraints[i];
+            var sign = (constraint.constant < 0) ? -1 : 1;
+            var entries = [];
+            terms = constraint.terms;
+            for (j = 0; j < terms.length; j++) {
+                var columns = variableColumns[terms[j][0]];
+                entries.push([columns[0], sign * terms[j][1]]);
+                if (columns.length > 1) {
+                    entries.push([columns[1], -sign * terms[j][1]]);
+                }
+            }
+            var weight = _getWeight(constraint.priority);
+            var errorColumn = columnCosts.length;
+            if (constraint.relation === '==') {
+                columnCosts.push(weight, weight);
+                entries.push([errorColumn, -sign], [errorColumn + 1, sign]);
+                basis.push((sign > 0) ? (errorColumn + 1) : errorColumn);
+            }
+            else {
+                var direction = (constraint.relation === '<=') ? 1 : -1;
+                columnCosts.push(weight, 0);
+                entries.push([errorColumn, -direction * sign], [errorColumn + 1, direction * sign]);
+                basis.push((direction * sign > 0) ? (errorColumn + 1) : errorColumn);
+            }
+            rows.push({
+                entries: entries,
+                rhs: sign * constraint.constant
+            });
+        }
+
+        // Create tableau
+        var columnCount = columnCosts.length;
+        var tableau = new Array(rows.length);
+        for (i = 0; i < rows.length; i++) {
+            var tableauRow = new Array(columnCount + 1);
+            for (j = 0; j <= columnCount; j++) {
+                tableauRow[j] = 0;
+            }
+            for (j = 0; j < rows[i].entries.length; j++) {
+                tableauRow[rows[i].entries[j][0]] += rows[i].entries[j][1];
+            }
+            tableauRow[columnCount] = rows[i].rhs;
+            tableau[i] = tableauRow;
+        }
+
+        // Calculate reduced costs
+        var costs = columnCosts.slice(0);
+        costs.push(0);
+        for (i = 0; i < tableau.length; i++) {
+            var basisCost = columnCosts[basis[i]];
+            if (basisCost) {
+                for (j = 0; j <= columnCount; j++) {
+                    costs[j] -= basisCost * tableau[i][j];
+                }
+            }
+        }
+
+        // Minimize the weighted errors (using Bland's rule to prevent cycling)
+        for (var iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+            var column = -1;
+            for (j = 0; j < columnCount; j++) {
+                if (costs[j] < -EPSILON) {
+                    column = j;
+                    break;
+                }
+            }
+            if (column < 0) {
+                break;
+            }
+            var row = -1;
+            var minRatio;
+            for (i = 0; i < tableau.length; i++) {
+                if (tableau[i][column] > EPSILON) {
+                    var ratio = tableau[i][columnCount] / tableau[i][column];
+                    if ((row < 0) || (ratio < minRatio - EPSILON) ||
+                        ((ratio < minRatio + EPSILON) && (basis[i] < basis[row]))) {
+                        row = i;
+                        minRatio = ratio;
+                    }
+                }
+            }
+            if (row < 0) {
+                LayoutUtility.warning('ConstraintSolver: constraints are unbounded');
+                break;
+            }
+            _pivot(tableau, costs, basis, row, column);
+        }
+        if (iteration === MAX_ITERATIONS) {
+            LayoutUtility.warning('ConstraintSolver: maximum number of iterations reached');
+        }
+
+        // Read the values from the tableau
+        var columnValues = {};
+        for (i = 0; i < basis.length; i++) {
+            columnValues[basis[i]] = tableau[i][columnCount];
+        }
+        for (var key in variableColumns) {
+            var value = columnValues[variableColumns[key][0]] || 0;
+            if (variableColumns[key].length > 1) {
+                value -= columnValues[variableColumns[key][1]] || 0;
+            }
+            values[key] = value;
+        }
+    }
+
+    /**
+     * Solves the constraints.
+     *
+     * @return {Array.Number} values of the variables (in the order in which they were added)
+     */
+    ConstraintSolver.prototype.solve = function() {
+        var values = this._variables.map(function() {
+            return 0;
+        });
+        var components = _getComponents.call(this);
+        for (var key in components) {
+            _solveComponent.call(this, components[key], values);
+        }
+        return values;
+    };
+
+    module.exports = ConstraintSolver;
+});
@@ -16,6 +16,9 @@
  * -    Insert/remove at any position using animations
  * -    Support for `true` size renderables
  * -    Pull to refresh (header & footer)
+ * -    Infinite loading (`loadmore` & `loadprevious` events)
+ * -    Scroll-bar (draggable thumb & click-to-page track)
+ * -    Swipe actions (swipe items sideways to reveal actions, swipe-to-delete)
  * -    Horizontal/vertical direction
  * -    Top/left or bottom/right alignment
  * -    Pagination
@@ -31,6 +34,8 @@ define(function(require, exports, module) {
     var LayoutUtility = require('./LayoutUtility');
     var ScrollController = require('./ScrollController');
     var ListLayout = require('./layouts/ListLayout');
+    var Transitionable = require('famous/transitions/Transitionable');
+    var Engine = require('famous/core/Engine');
 
     //
     // Pull to refresh states
@@ -43,6 +48,16 @@ define(function(require, exports, module) {
         HIDDING: 4
     };
 
+    //
+    // Load more states
+    //
+    var LoadMoreState = {
+        IDLE: 0,
+        LOADING: 1,
+        FAILED: 2,
+        END: 3
+    };
+
     /**
      * @class
      * @extends ScrollController
@@ -51,17 +66,45 @@ define(function(require, exports, module) {
      * @param {Renderable} [options.pullToRefreshFooter] Pull to refresh renderable that is displayed when pulling up from the bottom.
      * @param {FlexScrollView} [options.leadingScrollView] Leading scrollview into which input events are piped (see Tutorial)
      * @param {FlexScrollView} [options.trailingScrollView] Trailing scrollview into which input events are piped (see Tutorial)
+     * @param {Number} [options.loadMoreThreshold] Emits `loadmore` when the end of the data-source is within this number of pixels from the edge of the view (should not exceed `extraBoundsSpace`).
+     * @param {Number} [options.loadMoreItemThreshold] Emits `loadmore` when no more than this number of items remain after the last visible item.
+     * @param {Bool} [options.loadPrevious] Enables the `loadprevious` event, which uses the same thresholds for the start of the data-source (default: `false`).
+     * @param {Renderable} [options.loadMoreFooter] Renderable that is displayed at the end while loading more (renderable must have a size).
+     * @param {Renderable} [options.loadPreviousHeader] Renderable that is displayed at the start while loading previous (renderable must have a size).
+     * @param {Renderable} [options.scrollBarThumb] Renderable that is displayed as the thumb of the scroll-bar (enables the scroll-bar).
+     * @param {Renderable} [options.scrollBarTrack] Renderable that is displayed as the track of the scroll-bar (enables click-to-page).
+     * @param {Object} [options.scrollBar] Scroll-bar options: `size`, `margin`, `minThumbSize`, `autoHide`, `hideDelay`, `fadeDuration`, `draggable` & `pageOnClick`.
+     * @param {Function} [options.swipeActions] Function that returns the leading and trailing actions of an item: `function(renderNode)` (see Tutorial).
+     * @param {Object} [options.swipeActionOptions] Swipe-action options: `fullSwipe`, `fullSwipeThreshold`, `actionSize` & `duration`.
      * @alias module:FlexScrollView
      */
     function FlexScrollView(options) {
-        ScrollController.call(this, LayoutUtility.combineOptions(FlexScrollView.DEFAULT_OPTIONS, options));
+        this._loadMore = [{
+            state: LoadMoreState.IDLE,
+            previous: true
+            //emit: false
+        }, {
+            state: LoadMoreState.IDLE,
+            previous: false
+            //emit: false
+        }];
+        options = LayoutUtility.combineOptions(FlexScrollView.DEFAULT_OPTIONS, options, true);
+        options.scrollBar = LayoutUtility.combineOptions(FlexScrollView.DEFAULT_OPTIONS.scrollBar, options.scrollBar);
+        options.swipeActionOptions = LayoutUtility.combineOptions(FlexScrollView.DEFAULT_OPTIONS.swipeActionOptions, options.swipeActionOptions);
+        ScrollController.call(this, options);
         this._thisScrollViewDelta = 0;
         this._leadingScrollViewDelta = 0;
         this._trailingScrollViewDelta = 0;
+
+        // Listen for presses on items to start swiping
+        //this._swipe = undefined;
+        this._eventInput.on('touchstart', _swipePress.bind(this));
+        this._eventInput.on('mousedown', _swipePress.bind(this));
     }
     FlexScrollView.prototype = Object.create(ScrollController.prototype);
     FlexScrollView.prototype.constructor = FlexScrollView;
     FlexScrollView.PullToRefreshState = PullToRefreshState;
+    FlexScrollView.LoadMoreState = LoadMoreState;
     FlexScrollView.Bounds = ScrollController.Bounds;
     FlexScrollView.PaginationMode = ScrollController.PaginationMode;
 
@@ -77,7 +120,31 @@ define(function(require, exports, module) {
         pullToRefreshHeader: undefined, // assign pull-to-refresh renderable here (renderable must have a size)
         pullToRefreshFooter: undefined, // assign pull-to-refresh renderable here (renderable must have a size)
         leadingScrollView: undefined,
-        trailingScrollView: undefined
+        trailingScrollView: undefined,
+        loadMoreThreshold: undefined,     // distance in pixels from the end at which `loadmore` is emitted
+        loadMoreItemThreshold: undefined, // number of remaining items at which `loadmore` is emitted
+        loadPrevious: false,              // emit `loadprevious` when reaching the start
+        loadMoreFooter: undefined,        // renderable that is shown at the end while loading (renderable must have a size)
+        loadPreviousHeader: undefined,    // renderable that is shown at the start while loading (renderable must have a size)
+        scrollBarThumb: undefined,        // renderable that is shown as the scroll-bar thumb
+        scrollBarTrack: undefined,        // renderable that is shown as the scroll-bar track
+        scrollBar: {
+            size: 6,            // thickness of the scroll-bar
+            margin: 2,          // space between the scroll-bar and the edges of the view
+            minThumbSize: 20,   // minimum length of the thumb
+            autoHide: true,     // fades out the scroll-bar when not scrolling
+            hideDelay: 500,     // delay before the scroll-bar fades out
+            fadeDuration: 200,  // duration of the fade-in/out animation
+            draggable: true,    // allows the thumb to be dragged using the mouse
+            pageOnClick: true   // scrolls a page when clicking on the track
+        },
+        swipeActions: undefined,          // function(renderNode) that returns the leading & trailing actions of an item
+        swipeActionOptions: {
+            fullSwipe: true,            // triggers the primary action when an item is swiped beyond `fullSwipeThreshold`
+            fullSwipeThreshold: 0.6,    // fraction of the item size beyond which a full swipe is triggered
+            actionSize: 80,             // size of an action renderable when it has no size
+            duration: 200               // duration of the open & close animation
+        }
         // see ScrollController for all other options
     };
 
@@ -89,6 +156,16 @@ define(function(require, exports, module) {
      * @param {Renderable} [options.pullToRefreshFooter] Pull to refresh renderable that is displayed when pulling up from the bottom.
      * @param {FlexScrollView} [options.leadingScrollView] Leading scrollview into which input events are piped (see Tutorial).
      * @param {FlexScrollView} [options.trailingScrollView] Trailing scrollview into which input events are piped (see Tutorial).
+     * @param {Number} [options.loadMoreThreshold] Emits `loadmore` when the end of the data-source is within this number of pixels from the edge of the view.
+     * @param {Number} [options.loadMoreItemThreshold] Emits `loadmore` when no more than this number of items remain after the last visible item.
+     * @param {Bool} [options.loadPrevious] Enables the `loadprevious` event.
+     * @param {Renderable} [options.loadMoreFooter] Renderable that is displayed at the end while loading more.
+     * @param {Renderable} [options.loadPreviousHeader] Renderable that is displayed at the start while loading previous.
+     * @param {Renderable} [options.scrollBarThumb] Renderable that is displayed as the thumb of the scroll-bar.
+     * @param {Renderable} [options.scrollBarTrack] Renderable that is displayed as the track of the scroll-bar.
+     * @param {Object} [options.scrollBar] Scroll-bar options.
+     * @param {Function} [options.swipeActions] Function that returns the leading and trailing actions of an item.
+     * @param {Object} [options.swipeActionOptions] Swipe-action options.
      * @return {FlexScrollView} this
      */
     FlexScrollView.prototype.setOptions = function(options) {
@@ -128,6 +205,11 @@ define(function(require, exports, module) {
                 this._pullToRefresh = undefined;
             }
         }
+
+        // Update scroll-bar renderables
+        if ((options.scrollBarThumb !== undefined) || (options.scrollBarTrack !== undefined) || (options.scrollBar && this._scrollBar)) {
+            _updateScrollBar.call(this);
+        }
         return this;
     };
 
@@ -242,11 +324,729 @@ define(function(require, exports, module) {
     }
 
     /**
-     * Post-layout function that adds the pull-to-refresh renderables.
+     * Helper function for setting the load-more status.
+     */
+    function _setLoadMoreState(loadMore, state) {
+        if (loadMore.state !== state) {
+            loadMore.state = state;
+            loadMore.emit = (state === LoadMoreState.LOADING);
+            var node = loadMore.previous ? this.options.loadPreviousHeader : this.options.loadMoreFooter;
+            if (node && node.setLoadMoreStatus) {
+                node.setLoadMoreStatus(state);
+            }
+            this._scroll.scrollDirty = true;
+        }
+    }
+
+    /**
+     * Enumerates the layed out nodes towards the end (or start) and determines the
+     * edge of the layed out renderables and the number of items that are outside the view.
+     */
+    function _getLoadMoreEdge(size, scrollOffset, previous) {
+        var edge = {
+            offset: scrollOffset + (this.options.alignment ? size[this._direction] : 0),
+            itemsOutside: 0
+            //viewSequence: undefined
+        };
+        var node = this._nodes.getStartEnumNode(!previous);
+        while (node) {
+            if (node._invalidated) {
+                if (node.scrollLength === undefined) {
+                    return undefined;
+                }
+                if (previous) {
+                    edge.offset -= node.scrollLength;
+                }
+                if (node._viewSequence) {
+                    edge.viewSequence = node._viewSequence;
+                    if (previous ? ((edge.offset + node.scrollLength) <= 0) : (edge.offset >= size[this._direction])) {
+                        edge.itemsOutside++;
+                    }
+                }
+                if (!previous) {
+                    edge.offset += node.scrollLength;
+                }
+            }
+            node = previous ? node._prev : node._next;
+        }
+        return edge;
+    }
+
+    /**
+     * Checks whether there is a next (or previous) renderable in the view-sequence.
+     */
+    function _hasSequence(viewSequence, previous) {
+        viewSequence = previous ? viewSequence.getPrevious() : viewSequence.getNext();
+        return (viewSequence && viewSequence.get()) ? viewSequence : undefined;
+    }
+
+    /**
+     * Checks whether the load-more threshold has been reached.
+     */
+    function _isLoadMoreThresholdReached(size, edge, previous) {
+        var viewSequence = edge.viewSequence || this._viewSequence;
+        if (!viewSequence || !viewSequence.get()) {
+            return true; // empty data-source
+        }
+        if (this.options.loadMoreItemThreshold !== undefined) {
+            var sequence = viewSequence;
+            for (var i = edge.itemsOutside; i <= this.options.loadMoreItemThreshold; i++) {
+                sequence = _hasSequence(sequence, previous);
+                if (!sequence) {
+                    return true;
+                }
+            }
+        }
+        if ((this.options.loadMoreThreshold !== undefined) && !_hasSequence(viewSequence, previous)) {
+            var remaining = previous ? -edge.offset : (edge.offset - size[this._direction]);
+            return remaining <= this.options.loadMoreThreshold;
+        }
+        return false;
+    }
+
+    /**
+     * Starts loading more data when the threshold has been reached and shows
+     * the loading renderable at the end (or start) of the data-source.
+     */
+    function _layoutLoadMore(size, scrollOffset, previous) {
+        var loadMore = this._loadMore[previous ? 0 : 1];
+        var edge = _getLoadMoreEdge.call(this, size, scrollOffset, previous);
+        if (!edge) {
+            return;
+        }
+        if ((loadMore.state === LoadMoreState.IDLE) && _isLoadMoreThresholdReached.call(this, size, edge, previous)) {
+            _setLoadMoreState.call(this, loadMore, LoadMoreState.LOADING);
+        }
+
+        // Show the loading renderable when the edge of the data-source has been layed out
+        var renderNode = previous ? this.options.loadPreviousHeader : this.options.loadMoreFooter;
+        var viewSequence = edge.viewSequence || this._viewSequence;
+        if (!renderNode || ((loadMore.state !== LoadMoreState.LOADING) && (loadMore.state !== LoadMoreState.FAILED)) ||
+            (viewSequence && viewSequence.get() && _hasSequence(viewSequence, previous))) {
+            return;
+        }
+        var length = renderNode.getSize()[this._direction];
+        var contextNode = {
+            renderNode: renderNode,
+            prev: previous,
+            next: !previous,
+            index: previous ? --this._nodes._contextState.prevGetIndex : ++this._nodes._contextState.nextGetIndex
+        };
+        var set = {
+            size: [size[0], size[1]],
+            translate: [0, 0, 0],
+            scrollLength: length
+        };
+        set.size[this._direction] = length;
+        set.translate[this._direction] = previous ? (edge.offset - length) : edge.offset;
+        this._nodes._context.set(contextNode, set);
+    }
+
+    /**
+     * Creates the scroll-bar state and (un)registers the mouse listeners
+     * on the thumb & track renderables.
+     */
+    function _updateScrollBar() {
+        var scrollBar = this._scrollBar;
+        if (!scrollBar) {
+            if (!this.options.scrollBarThumb) {
+                return;
+            }
+            scrollBar = {
+                opacity: new Transitionable(0),
+                visible: false,
+                listeners: {
+                    thumb: _thumbMouseDown.bind(this),
+                    track: _trackMouseDown.bind(this)
+                }
+                //thumb: undefined,
+                //track: undefined,
+                //contentOffset: undefined,
+                //layout: undefined,
+                //drag: undefined
+            };
+            this._scrollBar = scrollBar;
+        }
+        var thumb = this.options.scrollBarThumb;
+        var renderNodes = {
+            thumb: thumb,
+            track: thumb ? this.options.scrollBarTrack : undefined
+        };
+        for (var key in renderNodes) {
+            if (scrollBar[key] !== renderNodes[key]) {
+                if (scrollBar[key] && scrollBar[key].removeListener) {
+                    scrollBar[key].removeListener('mousedown', scrollBar.listeners[key]);
+                }
+                scrollBar[key] = renderNodes[key];
+                if (scrollBar[key] && scrollBar[key].on) {
+                    scrollBar[key].on('mousedown', scrollBar.listeners[key]);
+                }
+            }
+        }
+        if (!thumb) {
+            this._scrollBar = undefined;
+        }
+        else if (!this.options.scrollBar.autoHide) {
+            scrollBar.opacity.halt();
+            scrollBar.opacity.set(1);
+            scrollBar.visible = true;
+        }
+        if (this._scroll) {
+            this._scroll.scrollDirty = true;
+        }
+    }
+
+    /**
+     * Sets the size, position and opacity of a scroll-bar renderable. The
+     * renderable is positioned at the right/bottom edge of the view.
+     */
+    function _layoutScrollBarNode(renderNode, size, offset, length, opacity) {
+        var options = this.options.scrollBar;
+        var crossDirection = this._direction ? 0 : 1;
+        var contextNode = {
+            renderNode: renderNode,
+            prev: false,
+            next: true,
+            index: ++this._nodes._contextState.nextGetIndex
+        };
+        var set = {
+            size: [0, 0],
+            translate: [0, 0, 1e-3], // transform.inFront
+            opacity: opacity,
+            scrollLength: 0
+        };
+        set.size[this._direction] = length;
+        set.size[crossDirection] = options.size;
+        set.translate[this._direction] = offset;
+        set.translate[crossDirection] = size[crossDirection] - options.size - options.margin;
+        this._nodes._context.set(contextNode, set);
+    }
+
+    /**
+     * Fades the scroll-bar in while scrolling and lays out the thumb & track
+     * renderables.
+     */
+    function _layoutScrollBar(size) {
+        var scrollBar = this._scrollBar;
+        var options = this.options.scrollBar;
+        var contentLength = this.getContentLength();
+        var contentOffset = this.getContentOffset();
+        var viewLength = size[this._direction];
+        scrollBar.contentOffset = contentOffset;
+        scrollBar.layout = undefined;
+        if ((contentLength === undefined) || (contentOffset === undefined) || (contentLength <= viewLength)) {
+            return;
+        }
+
+        // Fade in while scrolling and fade out when scrolling has ended
+        var active = this._scroll.scrollForceCount || this.isScrolling() || scrollBar.drag;
+        if (!options.autoHide) {
+            scrollBar.visible = true;
+        }
+        else if (active && !scrollBar.visible) {
+            scrollBar.visible = true;
+            scrollBar.opacity.halt();
+            scrollBar.opacity.set(1, {duration: options.fadeDuration});
+        }
+        else if (!active && scrollBar.visible) {
+            scrollBar.visible = false;
+            scrollBar.opacity.delay(options.hideDelay);
+            scrollBar.opacity.set(0, {duration: options.fadeDuration});
+        }
+        var opacity = scrollBar.opacity.get();
+        if (!opacity) {
+            return;
+        }
+
+        // Calculate thumb size & position, and shrink the thumb when overscrolling
+        var trackLength = viewLength - (options.margin * 2);
+        var maxOffset = contentLength - viewLength;
+        var overscroll = Math.max(-contentOffset, contentOffset - maxOffset, 0);
+        var thumbLength = Math.max((trackLength * viewLength) / contentLength, options.minThumbSize);
+        thumbLength = Math.min(Math.max(thumbLength - overscroll, options.size), trackLength);
+        var thumbOffset = options.margin + ((trackLength - thumbLength) * Math.max(Math.min(contentOffset / maxOffset, 1), 0));
+        scrollBar.layout = {
+            thumbOffset: thumbOffset,
+            thumbLength: thumbLength,
+            trackLength: trackLength,
+            maxOffset: maxOffset
+        };
+
+        // Layout track & thumb
+        if (scrollBar.track) {
+            _layoutScrollBarNode.call(this, scrollBar.track, size, options.margin, trackLength, opacity);
+        }
+        _layoutScrollBarNode.call(this, scrollBar.thumb, size, thumbOffset, thumbLength, opacity);
+    }
+
+    /**
+     * Starts dragging the thumb of the scroll-bar.
+     */
+    function _thumbMouseDown(event) {
+        var scrollBar = this._scrollBar;
+        if (!scrollBar || !scrollBar.layout || scrollBar.drag || !this.options.scrollBar.draggable || !this.options.enabled) {
+            return;
+        }
+        if (event.stopPropagation) {
+            event.stopPropagation();
+        }
+        if (event.preventDefault) {
+            event.preventDefault();
+        }
+        var layout = scrollBar.layout;
+        scrollBar.drag = {
+            start: this._direction ? event.clientY : event.clientX,
+            offset: scrollBar.contentOffset,
+            ratio: layout.maxOffset / Math.max(layout.trackLength - layout.thumbLength, 1),
+            maxOffset: layout.maxOffset,
+            delta: 0,
+            mouseMove: _thumbMouseMove.bind(this),
+            mouseUp: _thumbMouseUp.bind(this)
+        };
+        Engine.on('mousemove', scrollBar.drag.mouseMove);
+        Engine.on('mouseup', scrollBar.drag.mouseUp);
+        this.applyScrollForce(0);
+    }
+
+    /**
+     * Scrolls the view while dragging the thumb of the scroll-bar.
+     */
+    function _thumbMouseMove(event) {
+        var drag = this._scrollBar ? this._scrollBar.drag : undefined;
+        if (!drag) {
+            return;
+        }
+        var move = (this._direction ? event.clientY : event.clientX) - drag.start;
+        var offset = Math.max(Math.min(drag.offset + (move * drag.ratio), drag.maxOffset), 0);
+        var delta = drag.offset - offset;
+        this.updateScrollForce(drag.delta, delta);
+        drag.delta = delta;
+    }
+
+    /**
+     * Ends dragging the thumb of the scroll-bar.
+     */
+    function _thumbMouseUp() {
+        var scrollBar = this._scrollBar;
+        var drag = scrollBar ? scrollBar.drag : undefined;
+        if (!drag) {
+            return;
+        }
+        Engine.removeListener('mousemove', drag.mouseMove);
+        Engine.removeListener('mouseup', drag.mouseUp);
+        scrollBar.drag = undefined;
+        this.releaseScrollForce(drag.delta, 0);
+    }
+
+    /**
+     * Scrolls a page towards the position where the track was clicked.
+     */
+    function _trackMouseDown(event) {
+        var scrollBar = this._scrollBar;
+        var offset = this._direction ? event.offsetY : event.offsetX;
+        if (!scrollBar || !scrollBar.layout || (offset === undefined) || !this.options.scrollBar.pageOnClick || !this.options.enabled) {
+            return;
+        }
+        if (event.stopPropagation) {
+            event.stopPropagation();
+        }
+        offset += this.options.scrollBar.margin;
+        var pageSize = this._contextSizeCache[this._direction];
+        if (offset < scrollBar.layout.thumbOffset) {
+            this.scroll(pageSize);
+        }
+        else if (offset > (scrollBar.layout.thumbOffset + scrollBar.layout.thumbLength)) {
+            this.scroll(-pageSize);
+        }
+    }
+
+    /**
+     * Returns the leading & trailing actions of an item, and the size of each action
+     * in the direction of the swipe.
+     */
+    function _getSwipeActions(renderNode) {
+        var crossDirection = this._direction ? 0 : 1;
+        var result = this.options.swipeActions(renderNode) || {};
+        var actions = {
+            leading: result.leading || [],
+            trailing: result.trailing || []
+        };
+        for (var side in actions) {
+            var total = 0;
+            for (var i = 0; i < actions[side].length; i++) {
+                var action = actions[side][i];
+                var size = action.renderNode.getSize ? action.renderNode.getSize() : undefined;
+                action.length = action.size || (size ? size[crossDirection] : undefined) || this.options.swipeActionOptions.actionSize;
+                total += action.length;
+            }
+            actions[side].total = total;
+        }
+        return actions;
+    }
+
+    /**
+     * Starts tracking the pointer when an item is pressed.
+     */
+    function _swipePress(event) {
+        if (!this.options.swipeActions || !this.options.enabled || this._reorder || event.button ||
+            (event.touches && (event.touches.length > 1))) {
+            return;
+        }
+        var pointer = this._getPointer(event);
+        var renderNode = pointer ? this._getEventRenderNode(event) : undefined;
+        var swipe = this._swipe;
+        if (!renderNode || (swipe && swipe.tracking)) {
+            return;
+        }
+        if (swipe) {
+            this._cancelItemPress(); // pressing an item closes the swiped item, rather than clicking it
+        }
+        if (swipe && (swipe.renderNode !== renderNode)) {
+            this.closeSwipeActions();
+            return;
+        }
+        if (!swipe) {
+            swipe = {
+                renderNode: renderNode,
+                offset: new Transitionable(0),
+                open: false,
+                listeners: {
+                    outside: _swipeOutsidePress.bind(this)
+                }
+                //actions: undefined,
+                //slot: undefined,
+                //tracking: undefined
+            };
+            this._swipe = swipe;
+        }
+        swipe.tracking = {
+            touch: !!(event.touches || event.changedTouches),
+            identifier: pointer.identifier,
+            start: [pointer.clientX, pointer.clientY],
+            startOffset: swipe.offset.get(),
+            //recognized: undefined,
+            listeners: {
+                move: _swipeMove.bind(this),
+                end: _swipeEnd.bind(this)
+            }
+        };
+        this._listenPointer(swipe.tracking, true);
+    }
+
+    /**
+     * Moves the swiped item with the pointer. The first time the pointer has moved far
+     * enough, the direction of the move determines whether the item is swiped or the view
+     * is scrolled, using the same measure as the `touchMoveDirectionThreshold` option.
+     * Moves which the scroll-view ignores because of that threshold, swipe the item.
+     */
+    function _swipeMove(event) {
+        var swipe = this._swipe;
+        var tracking = swipe.tracking;
+        var pointer = this._getPointer(event, tracking.identifier);
+        if (!pointer) {
+            return;
+        }
+        var current = [pointer.clientX, pointer.clientY];
+        var crossDirection = this._direction ? 0 : 1;
+        if (!tracking.recognized) {
+            if (this._isTapDistance(tracking.start, pointer)) {
+                return;
+            }
+            var diffX = Math.abs(current[0] - tracking.start[0]);
+            var diffY = Math.abs(current[1] - tracking.start[1]);
+            var moveDirection = Math.atan2(diffY, diffX) / (Math.PI / 2.0);
+            var threshold = this.options.touchMoveDirectionThreshold;
+            if (Math.abs(this._direction - moveDirection) <= ((threshold === undefined) ? 0.5 : threshold)) {
+                _swipeEnd.call(this, event);
+                return;
+            }
+            tracking.recognized = true;
+            tracking.start = current;
+            this._cancelScrollGesture();
+            if (!swipe.actions) {
+                swipe.actions = _getSwipeActions.call(this, swipe.renderNode);
+                _listenSwipeActions.call(this, swipe, true);
+            }
+            this._setTranslateFlow(swipe.renderNode, false);
+        }
+        if (event.preventDefault) {
+            event.preventDefault();
+        }
+
+        // Only move towards the sides that have actions
+        var offset = tracking.startOffset + (current[crossDirection] - tracking.start[crossDirection]);
+        var actions = swipe.actions[(offset > 0) ? 'leading' : 'trailing'];
+        var maxOffset = this.options.swipeActionOptions.fullSwipe ? _getSwipeSize.call(this) : actions.total;
+        offset = (offset > 0) ? Math.min(offset, maxOffset) : Math.max(offset, -maxOffset);
+        swipe.offset.halt();
+        swipe.offset.set(actions.length ? offset : 0);
+        this._reLayout = true;
+    }
+
+    /**
+     * Opens, closes or triggers the primary action when the pointer is released.
+     */
+    function _swipeEnd(event) {
+        var swipe = this._swipe;
+        var tracking = swipe.tracking;
+        if (event.changedTouches && !this._getPointer(event, tracking.identifier)) {
+            return;
+        }
+        this._listenPointer(tracking, false);
+        swipe.tracking = undefined;
+        if (!tracking.recognized || (event.type === 'touchcancel')) {
+            if (swipe.open && (event.type !== 'touchcancel')) {
+                this.closeSwipeActions();
+            }
+            else if (!swipe.open) {
+                _closeSwipeActions.call(this, swipe, true);
+            }
+            return;
+        }
+        var offset = swipe.offset.get();
+        var leading = offset > 0;
+        var actions = swipe.actions[leading ? 'leading' : 'trailing'];
+        var options = this.options.swipeActionOptions;
+        if (options.fullSwipe && actions.length && (Math.abs(offset) >= (_getSwipeSize.call(this) * options.fullSwipeThreshold))) {
+            _triggerSwipeAction.call(this, actions[0], leading, true);
+        }
+        else if (actions.length && (Math.abs(offset) >= (actions.total / 2))) {
+            swipe.offset.set(leading ? actions.total : -actions.total, {duration: options.duration});
+            if (!swipe.open) {
+                swipe.open = true;
+                Engine.on('mousedown', swipe.listeners.outside);
+                Engine.on('touchstart', swipe.listeners.outside);
+            }
+        }
+        else {
+            this.closeSwipeActions();
+        }
+    }
+
+    /**
+     * Closes the swiped item when pressing outside of its actions.
+     */
+    function _swipeOutsidePress(event) {
+        var swipe = this._swipe;
+        if (!swipe || swipe.tracking || !swipe.actions) {
+            return;
+        }
+        var actions = swipe.actions.leading.concat(swipe.actions.trailing);
+        for (var i = 0; i < actions.length; i++) {
+            if (this._containsEventTarget(actions[i].renderNode, event.target)) {
+                return;
+            }
+        }
+        this.closeSwipeActions();
+    }
+
+    /**
+     * Registers or removes the click listeners on the action renderables.
+     */
+    function _listenSwipeActions(swipe, enable) {
+        var actions = swipe.actions.leading.concat(swipe.actions.trailing);
+        for (var i = 0; i < actions.length; i++) {
+            var action = actions[i];
+            if (enable && action.renderNode.on) {
+                action.listener = _triggerSwipeAction.bind(this, action, swipe.actions.leading.indexOf(action) >= 0, false);
+                action.renderNode.on('click', action.listener);
+            }
+            else if (!enable && action.listener && action.renderNode.removeListener) {
+                action.renderNode.removeListener('click', action.listener);
+                action.listener = undefined;
+            }
+        }
+    }
+
+    /**
+     * Emits the `swipeaction` event, and removes the item when the action
+     * has the `remove` property set.
+     */
+    function _triggerSwipeAction(action, leading, fullSwipe) {
+        var swipe = this._swipe;
+        if (!swipe || swipe.tracking) {
+            return;
+        }
+        var renderNode = swipe.renderNode;
+        this._eventOutput.emit('swipeaction', {
+            target: this,
+            renderNode: renderNode,
+            action: action,
+            leading: leading,
+            fullSwipe: fullSwipe
+        });
+        if (action.remove) {
+            _closeSwipeActions.call(this, swipe, true);
+            this.remove(renderNode, this.options.flowOptions.removeSpec);
+        }
+        else if (this._swipe === swipe) {
+            this.closeSwipeActions();
+        }
+    }
+
+    /**
+     * Resets the swipe state, when the item has been closed.
+     */
+    function _closeSwipeActions(swipe, immediate) {
+        if ((this._swipe !== swipe) || swipe.tracking || (!immediate && swipe.offset.get())) {
+            return;
+        }
+        if (swipe.actions) {
+            _listenSwipeActions.call(this, swipe, false);
+        }
+        if (swipe.open) {
+            Engine.removeListener('mousedown', swipe.listeners.outside);
+            Engine.removeListener('touchstart', swipe.listeners.outside);
+        }
+        swipe.offset.halt();
+        this._swipe = undefined;
+        this._setTranslateFlow(swipe.renderNode, true);
+        this._reLayout = true;
+    }
+
+    /**
+     * Returns the size of the swiped item in the direction of the swipe.
+     */
+    function _getSwipeSize() {
+        var crossDirection = this._direction ? 0 : 1;
+        var slot = this._swipe.slot;
+        return slot ? slot.size[crossDirection] : this._contextSizeCache[crossDirection];
+    }
+
+    /**
+     * Creates a layout-context which moves the swiped item sideways, and which captures
+     * its position so that the actions can be layed out behind it.
+     */
+    function _createSwipeContext(context) {
+        var swipe = this._swipe;
+        var crossDirection = this._direction ? 0 : 1;
+        var swipeContext = Object.create(context);
+        swipe.slot = undefined;
+        swipeContext.set = function(contextNodeOrId, set) {
+            var contextNode = context.get(contextNodeOrId);
+            if (contextNode && (contextNode.renderNode === swipe.renderNode)) {
+                var translate = set.translate || [0, 0, 0];
+                swipe.slot = {
+                    translate: [translate[0], translate[1], translate[2]],
+                    size: [
+                        (set.size && (set.size[0] !== undefined)) ? set.size[0] : context.size[0],
+                        (set.size && (set.size[1] !== undefined)) ? set.size[1] : context.size[1]
+                    ]
+                };
+                var swipeSet = {};
+                for (var key in set) {
+                    swipeSet[key] = set[key];
+                }
+                swipeSet.translate = swipe.slot.translate.slice(0);
+                swipeSet.translate[crossDirection] += swipe.offset.get();
+                set = swipeSet;
+            }
+            return context.set(contextNodeOrId, set);
+        };
+        return swipeContext;
+    }
+
+    /**
+     * Lays out the actions in the space which is revealed by the swiped item. When
+     * swiped beyond the size of all actions, the primary (first) action fills up the
+     * remaining space.
+     */
+    function _layoutSwipeActions() {
+        var swipe = this._swipe;
+        var offset = swipe.offset.get();
+        if (!swipe.actions || !swipe.slot || !offset) {
+            return;
+        }
+        var crossDirection = this._direction ? 0 : 1;
+        var leading = offset > 0;
+        var actions = swipe.actions[leading ? 'leading' : 'trailing'];
+        var scale = Math.min(Math.abs(offset) / actions.total, 1);
+        var extra = Math.max(Math.abs(offset) - actions.total, 0);
+        var slot = swipe.slot;
+        var position = slot.translate[crossDirection] + (leading ? 0 : slot.size[crossDirection]);
+        for (var i = 0; i < actions.length; i++) {
+            var length = (actions[i].length * scale) + (i ? 0 : extra);
+            if (!leading) {
+                position -= length;
+            }
+            var set = {
+                size: [0, 0],
+                translate: [0, 0, slot.translate[2] - 1e-3], // transform.behind
+                scrollLength: 0
+            };
+            set.size[this._direction] = slot.size[this._direction];
+            set.size[crossDirection] = length;
+            set.translate[this._direction] = slot.translate[this._direction];
+            set.translate[crossDirection] = position;
+            this._nodes._context.set({
+                renderNode: actions[i].renderNode,
+                prev: false,
+                next: true,
+                index: ++this._nodes._contextState.nextGetIndex
+            }, set);
+            if (leading) {
+                position += length;
+            }
+        }
+    }
+
+    /**
+     * Executes the layout-function, and moves the swiped item sideways.
+     * @private
+     */
+    FlexScrollView.prototype._executeLayoutFunction = function(context) {
+        if (this._swipe) {
+            context = _createSwipeContext.call(this, context);
+        }
+        return ScrollController.prototype._executeLayoutFunction.call(this, context);
+    };
+
+    /**
+     * Closes the actions of the swiped item (see `swipeActions`).
+     *
+     * @param {Bool} [noAnimation] When set to true, closes the actions immediately.
+     * @return {FlexScrollView} this
+     */
+    FlexScrollView.prototype.closeSwipeActions = function(noAnimation) {
+        var swipe = this._swipe;
+        if (!swipe || swipe.tracking) {
+            return this;
+        }
+        if (noAnimation) {
+            _closeSwipeActions.call(this, swipe, true);
+        }
+        else {
+            swipe.offset.halt();
+            swipe.offset.set(0, {duration: this.options.swipeActionOptions.duration}, _closeSwipeActions.bind(this, swipe, false));
+            this._reLayout = true;
+        }
+        return this;
+    };
+
+    /**
+     * Post-layout function that adds the load-more, scroll-bar and pull-to-refresh renderables.
      * @private
      */
     FlexScrollView.prototype._postLayout = function(size, scrollOffset) {
 
+        // Check whether more data should be loaded and show the loading renderables
+        if ((this.options.loadMoreThreshold !== undefined) || (this.options.loadMoreItemThreshold !== undefined)) {
+            _layoutLoadMore.call(this, size, scrollOffset, false);
+            if (this.options.loadPrevious) {
+                _layoutLoadMore.call(this, size, scrollOffset, true);
+            }
+        }
+
+        // Show the scroll-bar
+        if (this._scrollBar) {
+            _layoutScrollBar.call(this, size);
+        }
+
+        // Show the actions behind the swiped item
+        if (this._swipe) {
+            _layoutSwipeActions.call(this);
+        }
+
         // Exit immediately when pull to refresh is not configured
         if (!this._pullToRefresh) {
             return;
@@ -409,6 +1209,64 @@ define(function(require, exports, module) {
         return pullToRefresh ? (pullToRefresh.state === PullToRefreshState.ACTIVE) : false;
     };
 
+    /**
+     * Marks the current batch as loaded, so that `loadmore` (or `loadprevious`) is
+     * emitted again when the threshold is reached.
+     *
+     * @param {Bool} [previous] set to true to finish `loadprevious` (default: false).
+     * @return {FlexScrollView} this
+     */
+    FlexScrollView.prototype.finishLoadMore = function(previous) {
+        _setLoadMoreState.call(this, this._loadMore[previous ? 0 : 1], LoadMoreState.IDLE);
+        return this;
+    };
+
+    /**
+     * Marks loading as failed. No more `loadmore` (or `loadprevious`) events are emitted
+     * until `resetLoadMore` is called. The loading renderable remains visible and receives
+     * the failed state through `setLoadMoreStatus`, so that it can show a retry option.
+     *
+     * @param {Bool} [previous] set to true to fail `loadprevious` (default: false).
+     * @return {FlexScrollView} this
+     */
+    FlexScrollView.prototype.failLoadMore = function(previous) {
+        _setLoadMoreState.call(this, this._loadMore[previous ? 0 : 1], LoadMoreState.FAILED);
+        return this;
+    };
+
+    /**
+     * Declares that the end (or start) of the data has been reached. No more `loadmore`
+     * (or `loadprevious`) events are emitted until `resetLoadMore` is called.
+     *
+     * @param {Bool} [previous] set to true to declare the start of the data (default: false).
+     * @return {FlexScrollView} this
+     */
+    FlexScrollView.prototype.endLoadMore = function(previous) {
+        _setLoadMoreState.call(this, this._loadMore[previous ? 0 : 1], LoadMoreState.END);
+        return this;
+    };
+
+    /**
+     * Resets the load-more state after a failure or after the end was reached (e.g. to retry
+     * or after refreshing the data-source).
+     *
+     * @param {Bool} [previous] set to true to reset `loadprevious` (default: false).
+     * @return {FlexScrollView} this
+     */
+    FlexScrollView.prototype.resetLoadMore = function(previous) {
+        return this.finishLoadMore(previous);
+    };
+
+    /**
+     * Get the load-more state (see `FlexScrollView.LoadMoreState`).
+     *
+     * @param {Bool} [previous] set to true to get the state of `loadprevious` (default: false).
+     * @return {Number} state
+     */
+    FlexScrollView.prototype.getLoadMoreState = function(previous) {
+        return this._loadMore[previous ? 0 : 1].state;
+    };
+
     /**
      * Delegates any scroll force to leading/trailing scrollviews.
      * @private
@@ -579,6 +1437,16 @@ define(function(require, exports, module) {
      */
     FlexScrollView.prototype.commit = function(context) {
 
+        // Keep laying out while the scroll-bar is fading in or out
+        if (this._scrollBar && this._scrollBar.opacity.isActive()) {
+            this._scroll.scrollDirty = true;
+        }
+
+        // Keep laying out while a swiped item is opening or closing
+        if (this._swipe && this._swipe.offset.isActive()) {
+            this._scroll.scrollDirty = true;
+        }
+
         // Call base class
         var result = ScrollController.prototype.commit.call(this, context);
 
@@ -600,6 +1468,17 @@ define(function(require, exports, module) {
                 }
             }
         }
+
+        // Emit load more events
+        for (var j = 0; j < 2; j++) {
+            var loadMore = this._loadMore[j];
+            if (loadMore.emit) {
+                loadMore.emit = false;
+                this._eventOutput.emit(loadMore.previous ? 'loadprevious' : 'loadmore', {
+                    target: this
+                });
+            }
+        }
         return result;
     };
 
@@ -0,0 +1,1258 @@
+/**
+ * This Source Code is licensed under the MIT license. If a copy of the
+ * MIT-license was not distributed with this file, You can obtain one at:
+ * http://opensource.org/licenses/mit-license.html.
+ *
+ * @author: Hein Rutjes (IjzerenHein)
+ * @license MIT
+ * @copyright Gloey Apps, 2015
+ */
+
+/**
+ * Layout-controller which scrolls and virtualizes along both the X and Y axis (e.g. a spreadsheet).
+ *
+ * Key features:
+ * -    Scrolls horizontally and vertically at the same time (separate scroll particle per axis)
+ * -    Only creates & lays out the cells that are (nearly) visible
+ * -    Rows and columns with fixed or variable sizes
+ * -    Diagonal lock, which locks scrolling to the dominant axis of a gesture
+ * -    Scroll to any cell using `goToRenderNode` and `ensureVisible`
+ * -    Option to embed in a ContainerSurface
+ *
+ * The data-source is either an Array of rows (where each row is an Array of renderables),
+ * or a factory delegate which creates the renderables on demand. The factory should
+ * support the following functions:
+ * - create(row, column)
+ * - destroy(renderable) (optional)
+ *
+ * When a factory is used, specify the size of the grid using the `rowCount` and `columnCount` options.
+ * Cells that are no longer layed out are destroyed using the `destroy` function of the factory.
+ *
+ * Example:
+ *
+ * ```javascript
+ * var GridScrollController = require('famous-flex/GridScrollController');
+ *
+ * var spreadsheet = new GridScrollController({
+ *   rowCount: 10000,
+ *   columnCount: 200,
+ *   rowSize: 30,
+ *   columnSize: function(column) {
+ *     return column ? 100 : 50;
+ *   },
+ *   dataSource: {
+ *     create: function(row, column) {
+ *       return new Surface({content: row + ', ' + column});
+ *     }
+ *   },
+ *   useContainer: true
+ * });
+ * spreadsheet.goToRenderNode([5000, 100]); // scroll to row 5000, column 100
+ * ```
+ *
+ * **Layout-function:**
+ *
+ * By default, the cells are layed out in rows and columns. A custom layout-function can
+ * be used, which accesses the cells using `context.get([row, column])`. The layout-function
+ * lays out the cells in content-coordinates (the content is scrolled as a whole), and receives
+ * the following additional information in the layout-context:
+ *
+ * |property|type|description|
+ * |---|---|---|
+ * |`scrollOffset`|Array|Offset of the content (`[x, y]`), negative when scrolled. A renderable at `-scrollOffset` is shown in the top-left corner|
+ * |`scrollStart`|Array|Start of the region (`[x, y]`) that should be layed out, in content-coordinates|
+ * |`scrollEnd`|Array|End of the region (`[x, y]`) that should be layed out, in content-coordinates|
+ * |`visibleRows`|Array|First and last row within the region (e.g. `[100, 120]`)|
+ * |`visibleColumns`|Array|First and last column within the region (e.g. `[0, 8]`)|
+ * |`rowOffsets`|Array|Start offset of each row, followed by the total height of the content|
+ * |`columnOffsets`|Array|Start offset of each column, followed by the total width of the content|
+ *
+ * The layout-function is only executed when the visible rows or columns change. Layouts
+ * which position renderables relative to the scroll-offset (e.g. frozen header rows) should
+ * set the `alwaysLayout` option.
+ *
+ * Events:
+ *
+ * |event      |description|
+ * |-----------|-----------|
+ * |scrollstart|Emitted when scrolling starts.|
+ * |scroll     |Emitted as the content scrolls (once for each frame the visible offset has changed).|
+ * |scrollend  |Emitted after scrolling stops (when the scroll particles settle).|
+ *
+ * Inherited from: [LayoutController](./LayoutController.md)
+ * @module
+ */
+define(function(require, exports, module) {
+
+    // import dependencies
+    var LayoutUtility = require('./LayoutUtility');
+    var LayoutController = require('./LayoutController');
+    var LayoutNode = require('./LayoutNode');
+    var FlowLayoutNode = require('./FlowLayoutNode');
+    var LayoutNodeManager = require('./LayoutNodeManager');
+    var ContainerSurface = require('famous/surfaces/ContainerSurface');
+    var Transform = require('famous/core/Transform');
+    var EventHandler = require('famous/core/EventHandler');
+    var Group = require('famous/core/Group');
+    var Vector = require('famous/math/Vector');
+    var PhysicsEngine = require('famous/physics/PhysicsEngine');
+    var Particle = require('famous/physics/bodies/Particle');
+    var Drag = require('famous/physics/forces/Drag');
+    var Spring = require('famous/physics/forces/Spring');
+    var ScrollSync = require('famous/inputs/ScrollSync');
+
+    /**
+     * Axis to which a gesture is locked
+     */
+    var LockedAxis = {
+        NONE: -1,
+        X: 0,
+        Y: 1
+    };
+
+    /**
+     * Default layout, which positions the cells in rows and columns.
+     */
+    function _cellLayout(context) {
+        for (var row = context.visibleRows[0]; row <= context.visibleRows[1]; row++) {
+            for (var column = context.visibleColumns[0]; column <= context.visibleColumns[1]; column++) {
+                var node = context.get([row, column]);
+                if (node) {
+                    context.set(node, {
+                        size: [context.columnOffsets[column + 1] - context.columnOffsets[column], context.rowOffsets[row + 1] - context.rowOffsets[row]],
+                        translate: [context.columnOffsets[column], context.rowOffsets[row], 0]
+                    });
+                }
+            }
+        }
+    }
+
+    /**
+     * @class
+     * @extends LayoutController
+     * @param {Object} options Configurable options (see LayoutController for all inherited options).
+     * @param {Number} [options.rowCount] Number of rows, when the data-source is a factory.
+     * @param {Number} [options.columnCount] Number of columns, when the data-source is a factory.
+     * @param {Number|Function} [options.rowSize] Height of a row or function which returns the height, e.g.: `function(row)` (default: `44`).
+     * @param {Number|Function} [options.columnSize] Width of a column or function which returns the width, e.g.: `function(column)` (default: `100`).
+     * @param {Bool} [options.diagonalLock] Locks scrolling to the dominant axis of a gesture (default: `true`).
+     * @param {Number} [options.diagonalLockThreshold] Angle (0..0.5, where 0.5 is 45 degrees) within which a gesture is locked to an axis (default: `0.3`).
+     * @param {Bool} [options.useContainer] Embeds the view in a ContainerSurface to hide any overflow and capture input events (default: `false`).
+     * @param {String} [options.container] Options that are passed to the ContainerSurface in case `useContainer` is true.
+     * @param {Bool} [options.mouseMove] Enables scrolling by holding the mouse-button down and moving the mouse (default: `false`).
+     * @param {Bool} [options.enabled] Enables or disabled user input (default: `true`).
+     * @param {Bool} [options.overscroll] Enables or disables overscroll (default: `true`).
+     * @param {Object} [options.scrollParticle] Options for the scroll particles (default: `{}`)
+     * @param {Object} [options.scrollSpring] Spring-force options that are applied on the scroll particles when e.g. bounds is reached (default: `{dampingRatio: 1.0, period: 350}`)
+     * @param {Object} [options.scrollDrag] Drag-force options to apply on the scroll particles
+     * @param {Object} [options.scrollFriction] Friction-force options to apply on the scroll particles
+     * @param {Array} [options.extraBoundsSpace] Extra space (`[before, after]`) in which cells are layed out outside the visible area (default: `[100, 100]`).
+     * @alias module:GridScrollController
+     */
+    function GridScrollController(options) {
+        options = LayoutUtility.combineOptions(GridScrollController.DEFAULT_OPTIONS, options);
+        var layoutManager = new LayoutNodeManager(options.flow ? FlowLayoutNode : LayoutNode, _initLayoutNode.bind(this));
+        LayoutController.call(this, options, layoutManager);
+
+        // Scrolling
+        this._scroll = {
+            // physics-engine to use for scrolling
+            pe: new PhysicsEngine(this.options.scrollPhysicsEngine),
+            // particles that represent the x & y scroll-offset
+            particles: [new Particle(this.options.scrollParticle), new Particle(this.options.scrollParticle)],
+            dragForces: [new Drag(this.options.scrollDrag), new Drag(this.options.scrollDrag)],
+            frictionForces: [new Drag(this.options.scrollFriction), new Drag(this.options.scrollFriction)],
+            // springs
+            springForces: [new Spring(this.options.scrollSpring), new Spring(this.options.scrollSpring)],
+            springEndStates: [new Vector([0, 0, 0]), new Vector([0, 0, 0])],
+            springForceIds: [undefined, undefined],
+            springValues: [undefined, undefined],
+            // delta
+            scrollDelta: [0, 0],
+            scrollForce: [0, 0],
+            scrollForceCount: 0,
+            //scrollToOffset: undefined,
+            // state
+            isScrolling: false
+        };
+
+        // Grid geometry
+        this._grid = {
+            rowCount: 0,
+            columnCount: 0,
+            rowOffsets: [0],
+            columnOffsets: [0]
+        };
+
+        // Create group for faster rendering
+        this.group = new Group();
+        this.group.add({render: _innerRender.bind(this)});
+
+        // Configure physics engine with particles, drag & springs
+        for (var i = 0; i < 2; i++) {
+            this._scroll.pe.addBody(this._scroll.particles[i]);
+            if (!this.options.scrollDrag.disabled) {
+                this._scroll.pe.attach(this._scroll.dragForces[i], this._scroll.particles[i]);
+            }
+            if (!this.options.scrollFriction.disabled) {
+                this._scroll.pe.attach(this._scroll.frictionForces[i], this._scroll.particles[i]);
+            }
+            this._scroll.springForces[i].setOptions({ anchor: this._scroll.springEndStates[i] });
+        }
+
+        // Listen to touch events
+        this._eventInput.on('touchstart', _touchStart.bind(this));
+        this._eventInput.on('touchmove', _touchMove.bind(this));
+        this._eventInput.on('touchend', _touchEnd.bind(this));
+        this._eventInput.on('touchcancel', _touchEnd.bind(this));
+
+        // Listen to mouse-move events
+        this._eventInput.on('mousedown', _mouseDown.bind(this));
+        this._eventInput.on('mouseup', _mouseUp.bind(this));
+        this._eventInput.on('mousemove', _mouseMove.bind(this));
+
+        // Listen to mouse-wheel events
+        this._scrollSync = new ScrollSync(this.options.scrollSync);
+        this._eventInput.pipe(this._scrollSync);
+        this._scrollSync.on('update', _scrollUpdate.bind(this));
+
+        // Embed in container surface if neccesary
+        if (this.options.useContainer) {
+            this.container = new ContainerSurface(this.options.container);
+
+            // Create container surface, which has one child, which just returns
+            // the entity-id of this scrollview. This causes the Commit function
+            // of this scrollview to be called
+            this.container.add({
+                render: function() {
+                    return this.id;
+                }.bind(this)
+            });
+
+            // Pipe events received in container to this scrollview
+            if (!this.options.autoPipeEvents) {
+                this.subscribe(this.container);
+                EventHandler.setInputHandler(this.container, this);
+                EventHandler.setOutputHandler(this.container, this);
+            }
+            else {
+                this.container.pipe(this);
+            }
+        }
+    }
+    GridScrollController.prototype = Object.create(LayoutController.prototype);
+    GridScrollController.prototype.constructor = GridScrollController;
+    GridScrollController.LockedAxis = LockedAxis;
+
+    GridScrollController.DEFAULT_OPTIONS = {
+        layout: _cellLayout,
+        rowCount: 0,
+        columnCount: 0,
+        rowSize: 44,
+        columnSize: 100,
+        diagonalLock: true,
+        diagonalLockThreshold: 0.3,
+        useContainer: false,    // when true embeds inside a ContainerSurface for capturing input events & clipping
+        container: {
+            properties: {
+                overflow: 'hidden' // overflow mode when useContainer is enabled
+            }
+        },
+        scrollPhysicsEngine: {
+            // use defaults
+        },
+        scrollParticle: {
+            // use defaults
+        },
+        scrollDrag: {
+            forceFunction: Drag.FORCE_FUNCTIONS.QUADRATIC,
+            strength: 0.001,
+            disabled: true
+        },
+        scrollFriction: {
+            forceFunction: Drag.FORCE_FUNCTIONS.LINEAR,
+            strength: 0.0025,
+            disabled: false
+        },
+        scrollSpring: {
+            dampingRatio: 1.0,
+            period: 350
+        },
+        scrollSync: {
+            scale: 0.2
+        },
+        overscroll: true,
+        touchMoveNoVelocityDuration: 100,
+        mouseMove: false,
+        enabled: true,          // set to false to disable scrolling
+        alwaysLayout: false,    // set to true to always call the layout function
+        extraBoundsSpace: [100, 100]
+    };
+
+    /**
+     * Patches the GridScrollController instance's options with the passed-in ones.
+     *
+     * @param {Object} options Configurable options (see LayoutController for all inherited options).
+     * @param {Number} [options.rowCount] Number of rows, when the data-source is a factory.
+     * @param {Number} [options.columnCount] Number of columns, when the data-source is a factory.
+     * @param {Number|Function} [options.rowSize] Height of a row or function which returns the height, e.g.: `function(row)`.
+     * @param {Number|Function} [options.columnSize] Width of a column or function which returns the width, e.g.: `function(column)`.
+     * @param {Bool} [options.diagonalLock] Locks scrolling to the dominant axis of a gesture.
+     * @param {Bool} [options.mouseMove] Enables scrolling by holding the mouse-button down and moving the mouse.
+     * @param {Bool} [options.enabled] Enables or disables user input.
+     * @param {Bool} [options.overscroll] Enables or disables overscroll.
+     * @param {Object} [options.scrollSpring] Spring-force options that are applied on the scroll particles when e.g. bounds is reached
+     * @param {Object} [options.scrollDrag] Drag-force options to apply on the scroll particles
+     * @return {GridScrollController} this
+     */
+    GridScrollController.prototype.setOptions = function(options) {
+        LayoutController.prototype.setOptions.call(this, options);
+        if ((options.rowCount !== undefined) || (options.columnCount !== undefined) ||
+            (options.rowSize !== undefined) || (options.columnSize !== undefined)) {
+            this._isDirty = true;
+        }
+        if (this._scroll) {
+            for (var i = 0; i < 2; i++) {
+                if (options.scrollSpring) {
+                    this._scroll.springForces[i].setOptions(options.scrollSpring);
+                }
+                if (options.scrollDrag) {
+                    this._scroll.dragForces[i].setOptions(options.scrollDrag);
+                }
+            }
+        }
+        if (options.scrollSync && this._scrollSync) {
+            this._scrollSync.setOptions(options.scrollSync);
+        }
+        return this;
+    };
+
+    /**
+     * Sets the cells which are layed out in the grid.
+     *
+     * The data-source can be either an Array of rows (where each row is an Array of
+     * renderables), or a factory delegate which creates the renderables on demand
+     * (e.g. `{create: function(row, column) {}, destroy: function(renderable) {}}`).
+     *
+     * @param {Array|Object} dataSource Array of rows or factory delegate.
+     * @return {GridScrollController} this
+     */
+    GridScrollController.prototype.setDataSource = function(dataSource) {
+        if (this._cells) {
+            _cleanupCells.call(this, true);
+        }
+        this._dataSource = dataSource;
+        this._nodesById = undefined;
+        this._viewSequence = undefined;
+        this._cells = {};
+        if (this.options.autoPipeEvents && (dataSource instanceof Array)) {
+            for (var row = 0; row < dataSource.length; row++) {
+                for (var column = 0; column < (dataSource[row] ? dataSource[row].length : 0); column++) {
+                    _pipeRenderable.call(this, dataSource[row][column]);
+                }
+            }
+        }
+        this._isDirty = true;
+        return this;
+    };
+
+    /**
+     * Rejects the LayoutController functions that modify a linear data-source, as
+     * they don't apply to the rows & columns of a grid.
+     */
+    function _unsupported(name) {
+        return function() {
+            LayoutUtility.error('GridScrollController.' + name + ' is not supported, use setDataSource to change the cells of the grid');
+            return this;
+        };
+    }
+
+    /**
+     * Inserting, removing, moving and replacing individual renderables is not supported
+     * by the GridScrollController. Instead, change the Array of rows (or the factory) and
+     * call `setDataSource` again.
+     */
+    GridScrollController.prototype.insert = _unsupported('insert');
+    GridScrollController.prototype.push = _unsupported('push');
+    GridScrollController.prototype.remove = _unsupported('remove');
+    GridScrollController.prototype.removeAll = _unsupported('removeAll');
+    GridScrollController.prototype.move = _unsupported('move');
+    GridScrollController.prototype.swap = _unsupported('swap');
+    GridScrollController.prototype.replace = _unsupported('replace');
+
+    /**
+     * Called whenever a layout-node is created/re-used. Initializes
+     * the node with the `insertSpec` if it has been defined.
+     */
+    function _initLayoutNode(node, spec) {
+        if (!spec && this.options.flowOptions.insertSpec) {
+            node.setSpec(this.options.flowOptions.insertSpec);
+        }
+    }
+
+    /**
+     * Pipes the events of a renderable to this controller, when `autoPipeEvents` is enabled.
+     */
+    function _pipeRenderable(renderable) {
+        if (renderable && renderable.pipe) {
+            renderable.pipe(this);
+            renderable.pipe(this._eventOutput);
+        }
+    }
+
+    /**
+     * Calculates the start-offsets of the rows or columns, followed
+     * by the total size.
+     */
+    function _calcOffsets(count, size) {
+        var offsets = [0];
+        for (var i = 0; i < count; i++) {
+            offsets.push(offsets[i] + ((size instanceof Function) ? size(i) : size));
+        }
+        return offsets;
+    }
+
+    /**
+     * Returns the row or column which contains the given offset.
+     */
+    function _indexAt(offsets, offset) {
+        var low = 0;
+        var high = offsets.length - 2;
+        while (low < high) {
+            var mid = Math.ceil((low + high) / 2);
+            if (offsets[mid] <= offset) {
+                low = mid;
+            }
+            else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Updates the number of rows & columns and their offsets.
+     */
+    function _updateGrid() {
+        var grid = this._grid;
+        var dataSource = this._dataSource;
+        if (dataSource instanceof Array) {
+            grid.rowCount = dataSource.length;
+            grid.columnCount = 0;
+            for (var row = 0; row < dataSource.length; row++) {
+                grid.columnCount = Math.max(grid.columnCount, dataSource[row] ? dataSource[row].length : 0);
+            }
+        }
+        else {
+            grid.rowCount = dataSource ? this.options.rowCount : 0;
+            grid.columnCount = dataSource ? this.options.columnCount : 0;
+        }
+        grid.rowOffsets = _calcOffsets(grid.rowCount, this.options.rowSize);
+        grid.columnOffsets = _calcOffsets(grid.columnCount, this.options.columnSize);
+    }
+
+    /**
+     * Gets (or creates) the renderable for a cell.
+     */
+    function _getCell(row, column) {
+        var grid = this._grid;
+        if ((row < 0) || (column < 0) || (row >= grid.rowCount) || (column >= grid.columnCount)) {
+            return undefined;
+        }
+        var dataSource = this._dataSource;
+        if (dataSource instanceof Array) {
+            return dataSource[row] ? dataSource[row][column] : undefined;
+        }
+        var key = row + ':' + column;
+        var cell = this._cells[key];
+        if (!cell) {
+            var renderable = dataSource.create(row, column);
+            if (!renderable) {
+                return undefined;
+            }
+            cell = {
+                renderNode: renderable,
+                row: row,
+                column: column
+            };
+            this._cells[key] = cell;
+            if (this.options.autoPipeEvents) {
+                _pipeRenderable.call(this, renderable);
+            }
+        }
+        cell.touched = true;
+        return cell.renderNode;
+    }
+
+    /**
+     * Destroys the cells that were created by the factory and that have not been
+     * accessed since the previous cleanup.
+     */
+    function _cleanupCells(all) {
+        var factory = this._dataSource;
+        for (var key in this._cells) {
+            var cell = this._cells[key];
+            if (all || !cell.touched) {
+                if (factory.destroy) {
+                    factory.destroy(cell.renderNode);
+                }
+                delete this._cells[key];
+            }
+            else {
+                cell.touched = false;
+            }
+        }
+    }
+
+    /**
+     * Finds the row & column of a renderable.
+     */
+    function _findCell(renderNode) {
+        var dataSource = this._dataSource;
+        if (dataSource instanceof Array) {
+            for (var row = 0; row < dataSource.length; row++) {
+                var column = dataSource[row] ? dataSource[row].indexOf(renderNode) : -1;
+                if (column >= 0) {
+                    return [row, column];
+                }
+            }
+        }
+        else {
+            for (var key in this._cells) {
+                if (this._cells[key].renderNode === renderNode) {
+                    return [this._cells[key].row, this._cells[key].column];
+                }
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Returns the minimum scroll-offset for an axis (the maximum is always 0).
+     */
+    function _getMinOffset(axis) {
+        var offsets = axis ? this._grid.rowOffsets : this._grid.columnOffsets;
+        return Math.min(0, this._contextSizeCache[axis] - offsets[offsets.length - 1]);
+    }
+
+    /**
+     * Applies the diagonal-lock to a delta.
+     */
+    function _lockDelta(delta, lockedAxis) {
+        if ((lockedAxis === LockedAxis.X) || (lockedAxis === LockedAxis.Y)) {
+            var result = [0, 0];
+            result[lockedAxis] = delta[lockedAxis];
+            return result;
+        }
+        return delta;
+    }
+
+    /**
+     * Determines the axis to which a gesture is locked, based on its direction.
+     */
+    function _getLockedAxis(delta) {
+        if (!this.options.diagonalLock) {
+            return LockedAxis.NONE;
+        }
+        var direction = Math.atan2(Math.abs(delta[1]), Math.abs(delta[0])) / (Math.PI / 2.0);
+        if (direction <= this.options.diagonalLockThreshold) {
+            return LockedAxis.X;
+        }
+        else if (direction >= (1 - this.options.diagonalLockThreshold)) {
+            return LockedAxis.Y;
+        }
+        return LockedAxis.NONE;
+    }
+
+    /**
+     * Returns the time from the given input event.
+     */
+    function _getEventTimestamp(event) {
+        return event.timeStamp || Date.now();
+    }
+
+    /**
+     * Starts a move operation (touch or mouse).
+     */
+    function _startMove(id, current, time) {
+        this._scroll.move = {
+            id: id,
+            delta: [0, 0],
+            start: current,
+            current: current,
+            prev: current,
+            time: time,
+            prevTime: time
+            //lockedAxis: undefined
+        };
+        this.applyScrollForce([0, 0]);
+    }
+
+    /**
+     * Updates the active move operation.
+     */
+    function _updateMove(current, time) {
+        var move = this._scroll.move;
+        move.prev = move.current;
+        move.current = current;
+        move.prevTime = move.time;
+        move.time = time;
+        var delta = [current[0] - move.start[0], current[1] - move.start[1]];
+        if ((move.lockedAxis === undefined) && (delta[0] || delta[1])) {
+            move.lockedAxis = _getLockedAxis.call(this, delta);
+        }
+        delta = _lockDelta(delta, move.lockedAxis);
+        this.updateScrollForce(move.delta, delta);
+        move.delta = delta;
+    }
+
+    /**
+     * Ends the active move operation and applies the velocity.
+     */
+    function _endMove(time) {
+        var move = this._scroll.move;
+        var velocity = [0, 0];
+        var diffTime = move.time - move.prevTime;
+        if ((diffTime > 0) && ((time - move.time) <= this.options.touchMoveNoVelocityDuration)) {
+            velocity[0] = (move.current[0] - move.prev[0]) / diffTime;
+            velocity[1] = (move.current[1] - move.prev[1]) / diffTime;
+        }
+        this._scroll.move = undefined;
+        this.releaseScrollForce(move.delta, _lockDelta(velocity, move.lockedAxis));
+    }
+
+    /**
+     * Called whenever the user presses the mouse button on the scrollview
+     */
+    function _mouseDown(event) {
+        if (!this.options.mouseMove || !this.options.enabled) {
+            return;
+        }
+        if (this._scroll.move) {
+            _endMove.call(this, _getEventTimestamp(event));
+        }
+        _startMove.call(this, 'mouse', [event.clientX, event.clientY], _getEventTimestamp(event));
+    }
+    function _mouseMove(event) {
+        if (!this._scroll.move || (this._scroll.move.id !== 'mouse')) {
+            return;
+        }
+        _updateMove.call(this, [event.clientX, event.clientY], _getEventTimestamp(event));
+    }
+    function _mouseUp(event) {
+        if (!this._scroll.move || (this._scroll.move.id !== 'mouse')) {
+            return;
+        }
+        _endMove.call(this, _getEventTimestamp(event));
+    }
+
+    /**
+     * Called whenever the user starts touching the scrollview. Only the
+     * first finger is used for scrolling.
+     */
+    function _touchStart(event) {
+        if (!this.options.enabled || this._scroll.move) {
+            return;
+        }
+        var touch = event.changedTouches[0];
+        _startMove.call(this, touch.identifier, [touch.clientX, touch.clientY], _getEventTimestamp(event));
+    }
+    function _touchMove(event) {
+        if (!this._scroll.move) {
+            return;
+        }
+        for (var i = 0; i < event.changedTouches.length; i++) {
+            var touch = event.changedTouches[i];
+            if (touch.identifier === this._scroll.move.id) {
+                _updateMove.call(this, [touch.clientX, touch.clientY], _getEventTimestamp(event));
+            }
+        }
+    }
+    function _touchEnd(event) {
+        if (!this._scroll.move) {
+            return;
+        }
+        for (var i = 0; i < event.changedTouches.length; i++) {
+            if (event.changedTouches[i].identifier === this._scroll.move.id) {
+                _endMove.call(this, _getEventTimestamp(event));
+                break;
+            }
+        }
+    }
+
+    /**
+     * Called whenever the user is scrolling the view using either a mouse
+     * scroll wheel or a track-pad.
+     */
+    function _scrollUpdate(event) {
+        if (!this.options.enabled) {
+            return;
+        }
+        var delta = Array.isArray(event.delta) ? event.delta : [0, event.delta];
+        this.scroll(_lockDelta(delta, _getLockedAxis.call(this, delta)));
+    }
+
+    /**
+     * Get the in-use scroll-offset ([x, y]). Any pending scroll-deltas are
+     * applied to the particles.
+     */
+    function _calcScrollOffset() {
+        var scroll = this._scroll;
+        var scrollOffset = [0, 0];
+        for (var i = 0; i < 2; i++) {
+            var particle = scroll.particles[i];
+            var minOffset = _getMinOffset.call(this, i);
+            var offset = Math.round(particle.getPosition1D() * 1000) / 1000;
+
+            // Apply scroll delta, but don't exceed the bounds
+            var delta = scroll.scrollDelta[i];
+            if (delta) {
+                if (delta > 0) {
+                    offset = Math.min(offset + delta, Math.max(offset, 0));
+                }
+                else {
+                    offset = Math.max(offset + delta, Math.min(offset, minOffset));
+                }
+                particle.setPosition1D(offset);
+                scroll.scrollDelta[i] = 0;
+                if (scroll.springValues[i] !== undefined) {
+                    scroll.pe.wake();
+                }
+            }
+
+            // When the user is moving the view, make the offset stick to the
+            // finger. When the bounds is exceeded, decrease the scroll distance by two.
+            if (scroll.scrollForceCount && scroll.scrollForce[i]) {
+                offset += scroll.scrollForce[i];
+                if (offset > 0) {
+                    offset /= 2;
+                }
+                else if (offset < minOffset) {
+                    offset = minOffset + ((offset - minOffset) / 2);
+                }
+            }
+
+            // Prevent the scroll position from exceeding the bounds when overscroll is disabled
+            if (!this.options.overscroll) {
+                offset = Math.max(minOffset, Math.min(0, offset));
+            }
+            scrollOffset[i] = offset;
+        }
+        return scrollOffset;
+    }
+
+    /**
+     * Sets the spring of an axis to the given value, or `undefined` to disable the spring.
+     */
+    function _setSpring(axis, springValue) {
+        var scroll = this._scroll;
+        if (scroll.springValues[axis] === springValue) {
+            return;
+        }
+        scroll.springValues[axis] = springValue;
+        if (springValue === undefined) {
+            scroll.pe.detach(scroll.springForceIds[axis]);
+            scroll.springForceIds[axis] = undefined;
+        }
+        else {
+            if (scroll.springForceIds[axis] === undefined) {
+                scroll.springForceIds[axis] = scroll.pe.attach(scroll.springForces[axis], scroll.particles[axis]);
+            }
+            scroll.springEndStates[axis].set1D(springValue);
+            scroll.pe.wake();
+        }
+    }
+
+    /**
+     * Updates the springs, so that the particles are pulled back within the
+     * bounds, or towards the cell that was scrolled to.
+     */
+    function _updateSprings() {
+        var scroll = this._scroll;
+        var settled = true;
+        for (var i = 0; i < 2; i++) {
+            var springValue = undefined; // reset for each axis (var is function-scoped)
+            if (!scroll.scrollForceCount) {
+                var position = scroll.particles[i].getPosition1D();
+                var minOffset = _getMinOffset.call(this, i);
+                if (position > 0) {
+                    springValue = 0;
+                }
+                else if (position < minOffset) {
+                    springValue = minOffset;
+                }
+                else if (scroll.scrollToOffset) {
+                    springValue = Math.max(minOffset, Math.min(0, scroll.scrollToOffset[i]));
+                    settled = settled && (Math.abs(position - springValue) < 0.5) &&
+                        (Math.abs(scroll.particles[i].getVelocity1D()) < 0.001);
+                }
+            }
+            _setSpring.call(this, i, springValue);
+        }
+        if (scroll.scrollToOffset && settled) {
+            scroll.scrollToOffset = undefined;
+        }
+    }
+
+    /**
+     * Calculates the rows & columns within the given region (content-coordinates).
+     */
+    function _calcRange(start, end) {
+        var grid = this._grid;
+        if (!grid.rowCount || !grid.columnCount) {
+            return {
+                rows: [0, -1],
+                columns: [0, -1]
+            };
+        }
+        return {
+            rows: [_indexAt(grid.rowOffsets, start[1]), _indexAt(grid.rowOffsets, end[1])],
+            columns: [_indexAt(grid.columnOffsets, start[0]), _indexAt(grid.columnOffsets, end[0])]
+        };
+    }
+
+    /**
+     * Executes the layout-function for the cells within the given region.
+     */
+    function _layout(size, scrollOffset, scrollStart, scrollEnd, range) {
+        var layoutContext = this._nodes.prepareForLayout(
+            undefined,              // no sequence
+            undefined, {            // no ids
+                size: size,
+                direction: this._direction,
+                scrollOffset: scrollOffset,
+                scrollStart: scrollStart,
+                scrollEnd: scrollEnd,
+                getCell: _getCell.bind(this)
+            }
+        );
+        layoutContext.visibleRows = range.rows;
+        layoutContext.visibleColumns = range.columns;
+        layoutContext.rowOffsets = this._grid.rowOffsets;
+        layoutContext.columnOffsets = this._grid.columnOffsets;
+
+        // Layout objects
+        this._executeLayoutFunction(layoutContext);
+
+        // Mark non-invalidated nodes for removal
+        this._nodes.removeNonInvalidatedNodes(this.options.flowOptions.removeSpec);
+
+        // Destroy any cells that are no longer layed out
+        if (!(this._dataSource instanceof Array)) {
+            _cleanupCells.call(this);
+        }
+    }
+
+    /**
+     * Inner render function of the Group
+     */
+    function _innerRender() {
+        var specs = this._specs;
+        for (var i3 = 0, j3 = specs.length; i3 < j3; i3++) {
+            if (specs[i3].renderNode) {
+                specs[i3].target = specs[i3].renderNode.render();
+            }
+        }
+
+        // Add our cleanup-registration id also to the list, so that the
+        // cleanup function is called by famo.us when the LayoutController is
+        // removed from the render-tree.
+        if (!specs.length || (specs[specs.length-1] !== this._cleanupRegistration)) {
+            specs.push(this._cleanupRegistration);
+        }
+        return specs;
+    }
+
+    /**
+     * Helper function that scrolls to the given offset, either immediately or
+     * using the scroll springs.
+     */
+    function _scrollToOffset(offset, noAnimation) {
+        this.halt();
+        if (noAnimation) {
+            for (var i = 0; i < 2; i++) {
+                _setSpring.call(this, i, undefined);
+                this._scroll.particles[i].setPosition1D(offset[i]);
+            }
+        }
+        else {
+            this._scroll.scrollToOffset = offset;
+        }
+    }
+
+    /**
+     * Converts a renderable or `[row, column]` into a cell.
+     */
+    function _resolveCell(node) {
+        if (Array.isArray(node)) {
+            return ((node[0] >= 0) && (node[0] < this._grid.rowCount) && (node[1] >= 0) && (node[1] < this._grid.columnCount)) ? node : undefined;
+        }
+        return node ? _findCell.call(this, node) : undefined;
+    }
+
+    /**
+     * Scrolls to the given cell, so that it is shown in the top-left corner (or as close
+     * to it as the bounds allow).
+     *
+     * When a renderable is specified and the data-source is a factory, only the cells that
+     * are currently layed out can be found. Use `[row, column]` to scroll to any cell.
+     *
+     * @param {Renderable|Array} node renderable or `[row, column]` to scroll to.
+     * @param {Bool} [noAnimation] When set to true, immediately shows the cell without scrolling animation.
+     * @return {GridScrollController} this
+     */
+    GridScrollController.prototype.goToRenderNode = function(node, noAnimation) {
+        if (this._isDirty) {
+            _updateGrid.call(this);
+        }
+        var cell = _resolveCell.call(this, node);
+        if (!cell) {
+            return this;
+        }
+        var offset = [-this._grid.columnOffsets[cell[1]], -this._grid.rowOffsets[cell[0]]];
+        offset[0] = Math.max(_getMinOffset.call(this, 0), Math.min(0, offset[0]));
+        offset[1] = Math.max(_getMinOffset.call(this, 1), Math.min(0, offset[1]));
+        _scrollToOffset.call(this, offset, noAnimation);
+        return this;
+    };
+
+    /**
+     * Ensures that a cell is entirely visible.
+     *
+     * When the cell is already visible, nothing happens. If the cell is not entirely visible
+     * the view is scrolled as much as needed (horizontally and/or vertically) to make it entirely visible.
+     *
+     * @param {Renderable|Array} node renderable or `[row, column]`
+     * @param {Bool} [noAnimation] When set to true, immediately shows the cell without scrolling animation.
+     * @return {GridScrollController} this
+     */
+    GridScrollController.prototype.ensureVisible = function(node, noAnimation) {
+        if (this._isDirty) {
+            _updateGrid.call(this);
+        }
+        var cell = _resolveCell.call(this, node);
+        if (!cell) {
+            return this;
+        }
+        var scrollOffset = _calcScrollOffset.call(this);
+        var offset = [scrollOffset[0], scrollOffset[1]];
+        var offsets = [this._grid.columnOffsets, this._grid.rowOffsets];
+        var index = [cell[1], cell[0]];
+        for (var i = 0; i < 2; i++) {
+            var start = offsets[i][index[i]];
+            var end = offsets[i][index[i] + 1];
+            if ((start + offset[i]) < 0) {
+                offset[i] = -start;
+            }
+            else if ((end + offset[i]) > this._contextSizeCache[i]) {
+                offset[i] = Math.max(-start, this._contextSizeCache[i] - end);
+            }
+        }
+        if ((offset[0] !== scrollOffset[0]) || (offset[1] !== scrollOffset[1])) {
+            _scrollToOffset.call(this, offset, noAnimation);
+        }
+        return this;
+    };
+
+    /**
+     * Get the rows & columns which are (partially) visible.
+     *
+     * @return {Object} `{rows: [first, last], columns: [first, last]}`
+     */
+    GridScrollController.prototype.getVisibleRange = function() {
+        var scrollOffset = this._scrollOffsetCache || [0, 0];
+        var size = this._contextSizeCache;
+        return _calcRange.call(this,
+            [-scrollOffset[0], -scrollOffset[1]],
+            [Math.max(0, size[0] - scrollOffset[0] - 1), Math.max(0, size[1] - scrollOffset[1] - 1)]
+        );
+    };
+
+    /**
+     * Get the scroll-offset (the number of pixels the content has been scrolled).
+     *
+     * @return {Array} `[x, y]`
+     */
+    GridScrollController.prototype.getScrollOffset = function() {
+        var scrollOffset = this._scrollOffsetCache || [0, 0];
+        return [-scrollOffset[0], -scrollOffset[1]];
+    };
+
+    /**
+     * Scrolls the view by the specified number of pixels.
+     *
+     * @param {Array} delta Delta in pixels (`[x, y]`, where < 0 = down/right, > 0 = top/left).
+     * @return {GridScrollController} this
+     */
+    GridScrollController.prototype.scroll = function(delta) {
+        this.halt();
+        this._scroll.scrollDelta[0] += delta[0];
+        this._scroll.scrollDelta[1] += delta[1];
+        return this;
+    };
+
+    /**
+     * Halts all scrolling going on. In essence this function sets
+     * the velocity to 0 and cancels any `goToRenderNode` or `ensureVisible` operation.
+     *
+     * @return {GridScrollController} this
+     */
+    GridScrollController.prototype.halt = function() {
+        this._scroll.scrollToOffset = undefined;
+        this._scroll.particles[0].setVelocity1D(0);
+        this._scroll.particles[1].setVelocity1D(0);
+        return this;
+    };
+
+    /**
+     * Checks whether scrolling is in progress or not.
+     *
+     * @return {Bool} true when scrolling is active
+     */
+    GridScrollController.prototype.isScrolling = function() {
+        return this._scroll.isScrolling;
+    };
+
+    /**
+     * Checks whether user is touching the GridScrollController.
+     *
+     * @return {Bool} true when user is touching the GridScrollController
+     */
+    GridScrollController.prototype.isTouching = function() {
+        return !!this._scroll.move && (this._scroll.move.id !== 'mouse');
+    };
+
+    /**
+     * Get the current scrolling velocity.
+     *
+     * @return {Array} Scroll velocity (`[x, y]`)
+     */
+    GridScrollController.prototype.getVelocity = function() {
+        return [this._scroll.particles[0].getVelocity1D(), this._scroll.particles[1].getVelocity1D()];
+    };
+
+    /**
+     * Set the scrolling velocity.
+     *
+     * @param {Array} velocity New scroll velocity (`[x, y]`)
+     * @return {GridScrollController} this
+     */
+    GridScrollController.prototype.setVelocity = function(velocity) {
+        this._scroll.particles[0].setVelocity1D(velocity[0]);
+        this._scroll.particles[1].setVelocity1D(velocity[1]);
+        this._scroll.pe.wake();
+        return this;
+    };
+
+    /**
+     * Applies a permanent scroll-force (delta) until it is released.
+     * When the cumulative scroll-offset lies outside the allowed bounds
+     * a strech effect is used, and the offset beyond the bounds is
+     * substracted by halve. This function should always be accompanied
+     * by a call to `releaseScrollForce`.
+     *
+     * @param {Array} delta Starting scroll-delta force to apply (`[x, y]`)
+     * @return {GridScrollController} this
+     */
+    GridScrollController.prototype.applyScrollForce = function(delta) {
+        this.halt();
+        this._scroll.scrollForceCount++;
+        this._scroll.scrollForce[0] += delta[0];
+        this._scroll.scrollForce[1] += delta[1];
+        return this;
+    };
+
+    /**
+     * Updates a existing scroll-force previously applied by calling
+     * `applyScrollForce`.
+     *
+     * @param {Array} prevDelta Previous delta (`[x, y]`)
+     * @param {Array} newDelta New delta (`[x, y]`)
+     * @return {GridScrollController} this
+     */
+    GridScrollController.prototype.updateScrollForce = function(prevDelta, newDelta) {
+        this.halt();
+        this._scroll.scrollForce[0] += newDelta[0] - prevDelta[0];
+        this._scroll.scrollForce[1] += newDelta[1] - prevDelta[1];
+        return this;
+    };
+
+    /**
+     * Releases a scroll-force and sets the velocity.
+     *
+     * @param {Array} delta Scroll delta to release (`[x, y]`)
+     * @param {Array} [velocity] Velocity (`[x, y]`) to apply after which the view keeps scrolling
+     * @return {GridScrollController} this
+     */
+    GridScrollController.prototype.releaseScrollForce = function(delta, velocity) {
+        this.halt();
+        if (this._scroll.scrollForceCount === 1) {
+            var scrollOffset = _calcScrollOffset.call(this);
+            for (var i = 0; i < 2; i++) {
+                this._scroll.particles[i].setPosition1D(scrollOffset[i]);
+                this._scroll.particles[i].setVelocity1D(velocity ? velocity[i] : 0);
+            }
+            this._scroll.pe.wake();
+            this._scroll.scrollForce = [0, 0];
+        }
+        else {
+            this._scroll.scrollForce[0] -= delta[0];
+            this._scroll.scrollForce[1] -= delta[1];
+        }
+        this._scroll.scrollForceCount--;
+        return this;
+    };
+
+    /**
+     * Apply changes from this component to the corresponding document element.
+     * This includes changes to classes, styles, size, content, opacity, origin,
+     * and matrix transforms.
+     *
+     * @private
+     * @method commit
+     * @param {Context} context commit context
+     */
+    GridScrollController.prototype.commit = function commit(context) {
+        var size = context.size;
+
+        // Reset the flow-state when requested
+        if (this._resetFlowState) {
+            this._resetFlowState = false;
+            this._isDirty = true;
+            this._nodes.removeAll();
+        }
+
+        // Update the grid & scroll-offset
+        var sizeChanged = (size[0] !== this._contextSizeCache[0]) || (size[1] !== this._contextSizeCache[1]);
+        var isDirty = this._isDirty;
+        this._contextSizeCache[0] = size[0];
+        this._contextSizeCache[1] = size[1];
+        if (isDirty) {
+            _updateGrid.call(this);
+        }
+        _updateSprings.call(this);
+        var scrollOffset = _calcScrollOffset.call(this);
+        var oldScrollOffset = this._scrollOffsetCache || scrollOffset;
+        this._scrollOffsetCache = scrollOffset;
+
+        // Determine the region which should be layed out
+        var scrollStart = [
+            -scrollOffset[0] - this.options.extraBoundsSpace[0],
+            -scrollOffset[1] - this.options.extraBoundsSpace[0]
+        ];
+        var scrollEnd = [
+            -scrollOffset[0] + size[0] + this.options.extraBoundsSpace[1],
+            -scrollOffset[1] + size[1] + this.options.extraBoundsSpace[1]
+        ];
+        var range = _calcRange.call(this, scrollStart, scrollEnd);
+        var rangeCache = this._rangeCache;
+        var rangeChanged = !rangeCache ||
+            (rangeCache.rows[0] !== range.rows[0]) || (rangeCache.rows[1] !== range.rows[1]) ||
+            (rangeCache.columns[0] !== range.columns[0]) || (rangeCache.columns[1] !== range.columns[1]);
+        var scrollChanged = (oldScrollOffset[0] !== scrollOffset[0]) || (oldScrollOffset[1] !== scrollOffset[1]);
+
+        // Prepare event data
+        var eventData = {
+            target: this,
+            oldSize: size,
+            size: size,
+            oldScrollOffset: [-oldScrollOffset[0], -oldScrollOffset[1]],
+            scrollOffset: [-scrollOffset[0], -scrollOffset[1]]
+        };
+
+        // Emit scroll-start event
+        var emitEndScrollingEvent = false;
+        if (scrollChanged) {
+            if (!this._scroll.isScrolling) {
+                this._scroll.isScrolling = true;
+                this._eventOutput.emit('scrollstart', eventData);
+            }
+        }
+        else if (this._scroll.isScrolling && !this._scroll.scrollForceCount) {
+            emitEndScrollingEvent = true;
+        }
+
+        // When the size, visible cells or layout function has changed, reflow the layout
+        var layoutPerformed = false;
+        if (sizeChanged ||
+            isDirty ||
+            rangeChanged ||
+            this._reLayout ||
+            this._nodes._trueSizeRequested ||
+            (this.options.alwaysLayout && scrollChanged)) {
+
+            this._reLayout = false;
+            this._eventOutput.emit('layoutstart', eventData);
+
+            // When the layout has changed, and we are not just scrolling,
+            // disable the locked state of the layout-nodes so that they
+            // can freely transition between the old and new state.
+            if (this.options.flow && (isDirty || (this.options.flowOptions.reflowOnResize && sizeChanged))) {
+                var node = this._nodes.getStartEnumNode();
+                while (node) {
+                    node.releaseLock(true);
+                    node = node._next;
+                }
+            }
+
+            // Perform layout
+            _layout.call(this, size, scrollOffset, scrollStart, scrollEnd, range);
+            this._rangeCache = range;
+            this._isDirty = false;
+            layoutPerformed = true;
+        }
+
+        // Update output and optionally emit event
+        var result = this._nodes.buildSpecAndDestroyUnrenderedNodes();
+        this._specs = result.specs;
+        if (layoutPerformed) {
+            this._eventOutput.emit('layoutend', eventData);
+        }
+        this._processUpdateCallbacks(layoutPerformed, result);
+        if (result.modified) {
+            this._eventOutput.emit('reflow', {
+                target: this
+            });
+        }
+
+        // View has been scrolled, emit event
+        if (scrollChanged) {
+            this._eventOutput.emit('scroll', eventData);
+        }
+
+        // Emit end scrolling event
+        if (emitEndScrollingEvent) {
+            this._scroll.isScrolling = false;
+            this._eventOutput.emit('scrollend', eventData);
+        }
+
+        // The cells are layed out in content-coordinates. Scroll the content
+        // as a whole by moving the group, so that the renderables don't have to be
+        // repositioned for every change to the scroll-offset.
+        return {
+            transform: Transform.thenMove(context.transform, [scrollOffset[0], scrollOffset[1], 0]),
+            size: size,
+            opacity: context.opacity,
+            origin: context.origin,
+            target: this.group.render()
+        };
+    };
+
+    /**
+     * Generate a render spec from the contents of this component.
+     *
+     * @private
+     * @method render
+     * @return {number} Render spec for this component
+     */
+    GridScrollController.prototype.render = function render() {
+        if (this.container) {
+            return this.container.render.apply(this.container, arguments);
+        }
+        else {
+            return this.id;
+        }
+    };
+
+    module.exports = GridScrollController;
+});
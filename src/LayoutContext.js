@@ -55,6 +55,17 @@ define(function(require, exports, module) {
      */
     LayoutContext.prototype.scrollEnd = undefined;
 
+    /**
+     * {Property} {Number} Zoom-scale of a zoomable ScrollController/FlexScrollView (default: 1).
+     */
+    LayoutContext.prototype.zoom = undefined;
+
+    /**
+     * {Property} {Number} Scrolling offset along the other axis than `direction` (0 or negative
+     * when scrolled), when the layout-function has set a cross scroll-length (default: 0).
+     */
+    LayoutContext.prototype.crossScrollOffset = undefined;
+
     /**
      * Get the context-node for the next renderable in the data-source. When
      * the end of the data-source is reached, `undefined` is returned.
@@ -186,7 +197,16 @@ define(function(require, exports, module) {
      * });
      * ```
      *
-     * @param {Object|String} node context-node or node-id
+     * **Cells:**
+     *
+     * When used inside a [GridScrollController](./GridScrollController.md), the cells
+     * of the grid are accessed by passing in the row and column:
+     *
+     * ```javascript
+     * var node = context.get([row, column]);
+     * ```
+     *
+     * @param {Object|String|Array} node context-node, node-id or `[row, column]`
      * @return {Object} context-node or undefined
      */
     LayoutContext.prototype.get = function(node) {
@@ -258,5 +278,100 @@ define(function(require, exports, module) {
         // dummy implementation, override in constructor
     };
 
+    /**
+     * Gets a Map in which the layout-function can keep state between layouts, such
+     * as the placement of renderables that are no longer visible. The Map is owned by
+     * the layout-controller, so that the state is not shared with other layout-controllers
+     * that use the same layout-function or show the same renderables. A separate Map is
+     * returned for each key.
+     *
+     * The maps are cleared when the data-source or the layout-options are changed, when
+     * renderables are inserted, removed or moved, or when `reflowLayout` is called. Changes
+     * that are not made through the layout-controller (e.g. to a shared view-sequence) are not
+     * tracked, the layout-function should verify the cached state against the renderables
+     * it enumerates.
+     *
+     * **Example:**
+     *
+     * ```javascript
+     * function MyLayoutFunction(context, options) {
+     *   var cache = context.getCache(MyLayoutFunction);
+     *   var node = context.next();
+     *   while (node) {
+     *     var state = cache.get(node.renderNode) || {};
+     *     cache.set(node.renderNode, state);
+     *     node = context.next();
+     *   }
+     * }
+     * ```
+     *
+     * @param {Object} key Key that identifies the cache, e.g. the layout-function
+     * @return {Map} cache
+     */
+    LayoutContext.prototype.getCache = function(key) {
+        // dummy implementation, override in constructor
+    };
+
+    /**
+     * Sets the length of the content along the other axis than `direction`. When
+     * the content is larger than the size of the ScrollController/FlexScrollView
+     * along that axis, the user can scroll it along that axis as well. The layout-function
+     * should then offset the renderables by `crossScrollOffset`.
+     *
+     * **Example:**
+     *
+     * ```javascript
+     * function MyLayoutFunction(context, options) {
+     *   var width = 1000;
+     *   var height = 0;
+     *   var node = context.next();
+     *   while (node) {
+     *     context.set(node, {
+     *       size: [width, 100],
+     *       translate: [context.crossScrollOffset, height, 0]
+     *     });
+     *     height += 100;
+     *     node = context.next();
+     *   }
+     *   context.setCrossScrollLength(width);
+     * }
+     * ```
+     *
+     * @param {Number} length Length of the content along the other axis
+     */
+    LayoutContext.prototype.setCrossScrollLength = function(length) {
+        // dummy implementation, override in constructor
+    };
+
+    /**
+     * Checks whether the renderable of a context-node is selected (see the
+     * `selectionMode` option of the LayoutController). Use this function to
+     * style or offset the selected renderables.
+     *
+     * **Example:**
+     *
+     * ```javascript
+     * function MyLayoutFunction(context, options) {
+     *   var height = 0;
+     *   var node = context.next();
+     *   while (node) {
+     *     var selected = context.isSelected(node);
+     *     context.set(node, {
+     *       size: [context.size[0], 100],
+     *       translate: [selected ? 20 : 0, height, 0]
+     *     });
+     *     height += 100;
+     *     node = context.next();
+     *   }
+     * }
+     * ```
+     *
+     * @param {Object|String} node context-node or node-id
+     * @return {Bool} true when the renderable is selected
+     */
+    LayoutContext.prototype.isSelected = function(node) {
+        return false;
+    };
+
     module.exports = LayoutContext;
 });
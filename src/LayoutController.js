@@ -22,6 +22,13 @@
  * |layoutstart|Emitted before the layout function is executed.|
  * |layoutend  |Emitted after the layout function has been executed.|
  * |reflow     |Emitted after one or more renderables have been changed.|
+ * |reorderstart|Emitted when a renderable is lifted for reordering (see `reorder`).|
+ * |reorder    |Emitted when a lifted renderable has been dropped at a new index.|
+ * |reorderend |Emitted when a reorder operation has ended (dropped or cancelled).|
+ * |reorderenter|Emitted when a lifted renderable is dragged into the layout-controller from another layout-controller (see `reorderOptions.group`).|
+ * |reorderleave|Emitted when a lifted renderable is dragged out of the layout-controller into another layout-controller.|
+ * |reorderdrop|Emitted when a renderable from another layout-controller has been dropped.|
+ * |selectionchange|Emitted when renderables are selected or deselected (see `selectionMode`).|
  *
  * @module
  */
@@ -41,7 +48,18 @@ define(function (require, exports, module) {
     var LayoutNode = require('./LayoutNode');
     var FlowLayoutNode = require('./FlowLayoutNode');
     var Transform = require('famous/core/Transform');
+    var Transitionable = require('famous/transitions/Transitionable');
+    var Engine = require('famous/core/Engine');
+    var Timer = require('famous/utilities/Timer');
+    var Map = require('es6-map');
     require('./helpers/LayoutDockHelper');
+    require('./helpers/LayoutConstraintHelper');
+
+    // Layout-controllers by reorder-group, between which renderables can be dragged
+    var reorderGroups = {};
+
+    // Maximum distance in pixels the pointer may move for a press to be considered a tap
+    var TAP_THRESHOLD = 10;
 
     /**
      * @class
@@ -49,6 +67,9 @@ define(function (require, exports, module) {
      * @param {Function|Object} [options.layout] Layout function or layout-literal.
      * @param {Object} [options.layoutOptions] Options to pass in to the layout-function.
      * @param {Array|LinkedListViewSequence|Object} [options.dataSource] Array, LinkedListViewSequence or Object with key/value pairs.
+     * @param {Array} [options.dataModels] Array of data-models to create the data-source from (see `setDataModels`).
+     * @param {Function|String} [options.dataModelKey] Function or property-name which returns the unique key of a data-model.
+     * @param {Function|Object} [options.dataModelFactory] Function or object with `create` and optional `update` functions, which creates a renderable for a data-model.
      * @param {Utility.Direction} [options.direction] Direction to layout into (e.g. Utility.Direction.Y) (when omitted the default direction of the layout is used)
      * @param {Bool} [options.flow] Enables flow animations when the layout changes (default: `false`).
      * @param {Object} [options.flowOptions] Options used by nodes when reflowing.
@@ -59,6 +80,16 @@ define(function (require, exports, module) {
      * @param {Spec} [options.flowOptions.removeSpec] Size, transform, opacity... to use when removing renderables from the scene (default: undefined).
      * @param {Bool} [options.alwaysLayout] When set to true, always calls the layout function on every render-cycle (default: `false`).
      * @param {Bool} [options.autoPipeEvents] When set to true, automatically calls .pipe on all renderables when inserted (default: `false`).
+     * @param {Bool} [options.reorder] Enables reordering renderables by long-pressing and dragging them (default: `false`).
+     * @param {Object} [options.reorderOptions] Options used when reordering.
+     * @param {Number} [options.reorderOptions.longPressDelay] Time in milliseconds a renderable must be pressed before it is lifted (default: `500`).
+     * @param {Number} [options.reorderOptions.moveThreshold] Distance in pixels the pointer may move before the long-press is cancelled (default: `10`).
+     * @param {Spec} [options.reorderOptions.liftSpec] Opacity, scale, etc.. of the lifted renderable, `translate` is added to the position (default: `{translate: [0, 0, 10], opacity: 0.8}`).
+     * @param {Number} [options.reorderOptions.autoScrollMargin] Distance from the edge at which scroll-views start scrolling automatically (default: `50`).
+     * @param {Number} [options.reorderOptions.autoScrollSpeed] Auto-scroll speed in pixels per millisecond at the edge (default: `0.5`).
+     * @param {String} [options.reorderOptions.group] Name of the group of layout-controllers between which renderables can be dragged (default: `undefined`).
+     * @param {Function} [options.reorderOptions.accept] Function which is called before a renderable from another layout-controller is dragged into this one, return `false` to reject it: `function(event)` (default: `undefined`).
+     * @param {String} [options.selectionMode] Selects renderables when tapped: `'none'`, `'single'` or `'multiple'` (default: `'none'`).
      * @param {Object} [options.preallocateNodes] Optimisation option to improve initial scrolling/animation performance by pre-allocating nodes, e.g.: `{count: 50, spec: {size:[0, 0], transform: Transform.identity}}`.
      * @alias module:LayoutController
      */
@@ -94,6 +125,23 @@ define(function (require, exports, module) {
         this._eventOutput = new EventHandler();
         EventHandler.setOutputHandler(this, this._eventOutput);
 
+        // Listen for long-presses to start reordering
+        //this._reorder = undefined;
+        //this._reorderPress = undefined;
+        //this._reorderGroup = undefined;
+        //this._reorderBounds = undefined;
+        this._eventInput.on('touchstart', _reorderPress.bind(this));
+        this._eventInput.on('mousedown', _reorderPress.bind(this));
+
+        // Listen for taps to select renderables
+        this._selection = {
+            keys: new Map()
+            //anchor: undefined
+        };
+        //this._itemPress = undefined;
+        this._eventInput.on('touchstart', _itemPress.bind(this));
+        this._eventInput.on('mousedown', _itemPress.bind(this));
+
         if (options.nativeScroll) {
             // Create groupt for faster rendering
             this.group = new NativeScrollGroup();
@@ -118,6 +166,7 @@ define(function (require, exports, module) {
         //this._direction = undefined;
         this._layout.optionsManager = new OptionsManager(this._layout.options);
         this._layout.optionsManager.on('change', function () {
+            this._nodes.clearCaches();
             this._isDirty = true;
         }.bind(this));
 
@@ -163,7 +212,21 @@ define(function (require, exports, module) {
                 dampingRatio: 0.8,
                 period: 300
             }
-        }
+        },
+        reorder: false,
+        reorderOptions: {
+            longPressDelay: 500,
+            moveThreshold: 10,
+            liftSpec: {
+                translate: [0, 0, 10],
+                opacity: 0.8
+            },
+            autoScrollMargin: 50,
+            autoScrollSpeed: 0.5,
+            group: undefined,
+            accept: undefined
+        },
+        selectionMode: 'none'
     };
 
     /**
@@ -183,6 +246,9 @@ define(function (require, exports, module) {
      * @param {Function|Object} [options.layout] Layout function or layout-literal.
      * @param {Object} [options.layoutOptions] Options to pass in to the layout-function.
      * @param {Array|LinkedListViewSequence|Object} [options.dataSource] Array, LinkedListViewSequence or Object with key/value pairs.
+     * @param {Array} [options.dataModels] Array of data-models to create the data-source from (see `setDataModels`).
+     * @param {Function|String} [options.dataModelKey] Function or property-name which returns the unique key of a data-model.
+     * @param {Function|Object} [options.dataModelFactory] Function or object with `create` and optional `update` functions, which creates a renderable for a data-model.
      * @param {Utility.Direction} [options.direction] Direction to layout into (e.g. Utility.Direction.Y) (when omitted the default direction of the layout is used)
      * @param {Object} [options.flowOptions] Options used by nodes when reflowing.
      * @param {Bool} [options.flowOptions.reflowOnResize] Smoothly reflows renderables on resize (only used when flow = true) (default: `true`).
@@ -191,6 +257,9 @@ define(function (require, exports, module) {
      * @param {Spec} [options.flowOptions.insertSpec] Size, transform, opacity... to use when inserting new renderables into the scene (default: `{}`).
      * @param {Spec} [options.flowOptions.removeSpec] Size, transform, opacity... to use when removing renderables from the scene (default: `{}`).
      * @param {Bool} [options.alwaysLayout] When set to true, always calls the layout function on every render-cycle (default: `false`).
+     * @param {Bool} [options.reorder] Enables reordering renderables by long-pressing and dragging them (default: `false`).
+     * @param {Object} [options.reorderOptions] Options used when reordering (`longPressDelay`, `moveThreshold`, `liftSpec`, `autoScrollMargin`, `autoScrollSpeed`, `group`, `accept`).
+     * @param {String} [options.selectionMode] Selects renderables when tapped: `'none'`, `'single'` or `'multiple'`.
      * @return {LayoutController} this
      */
     LayoutController.prototype.setOptions = function (options) {
@@ -237,6 +306,9 @@ define(function (require, exports, module) {
         if (options.dataSource) {
             this.setDataSource(options.dataSource);
         }
+        if (options.dataModels) {
+            this.setDataModels(options.dataModels);
+        }
         if (options.layout) {
             this.setLayout(options.layout, options.layoutOptions);
         }
@@ -323,6 +395,7 @@ define(function (require, exports, module) {
                 }.bind(this));
             }
         }
+        this._nodes.clearCaches();
         this._isDirty = true;
         return this;
     };
@@ -336,14 +409,265 @@ define(function (require, exports, module) {
         return this._dataSource;
     };
 
+    /**
+     * Helper function that returns the key of a data-model.
+     */
+    function _getDataModelKey(model) {
+        var dataModelKey = this.options.dataModelKey;
+        return (dataModelKey instanceof Function) ? dataModelKey(model) : model[dataModelKey];
+    }
+
+    /**
+     * Helper function that creates a renderable for a data-model.
+     */
+    function _createDataModelRenderable(model) {
+        var factory = this.options.dataModelFactory;
+        return (factory instanceof Function) ? factory(model) : factory.create(model);
+    }
+
+    /**
+     * Returns, for the given list of old indexes, which of the positions are
+     * part of the longest increasing sub-sequence. The items at these positions
+     * have kept their relative order and don't need to be moved.
+     */
+    function _getStablePositions(oldIndexes) {
+        var tails = [];
+        var prev = new Array(oldIndexes.length);
+        for (var i = 0; i < oldIndexes.length; i++) {
+            var low = 0;
+            var high = tails.length;
+            while (low < high) {
+                var mid = (low + high) >> 1;
+                if (oldIndexes[tails[mid]] < oldIndexes[i]) {
+                    low = mid + 1;
+                }
+                else {
+                    high = mid;
+                }
+            }
+            prev[i] = (low > 0) ? tails[low - 1] : -1;
+            tails[low] = i;
+        }
+        var stable = new Array(oldIndexes.length);
+        var position = tails.length ? tails[tails.length - 1] : -1;
+        while (position >= 0) {
+            stable[position] = true;
+            position = prev[position];
+        }
+        return stable;
+    }
+
+    /**
+     * Sets the data-source from an array of plain data-models. Each data-model
+     * is identified by a key (`options.dataModelKey`) and a renderable is created
+     * for it using `options.dataModelFactory`.
+     *
+     * When called again with a new array, the old and new data-models are compared
+     * by key and the minimal set of changes is applied to the data-source:
+     *
+     * - new data-models are inserted (using `flowOptions.insertSpec`)
+     * - data-models that no longer exist are removed (using `flowOptions.removeSpec`)
+     * - data-models that changed position are moved
+     * - data-models that have the same key, but are a different object, are updated
+     *
+     * When the factory is an object with an `update` function, that function is
+     * called to update the renderable of a changed data-model. It may return a new
+     * renderable, which then replaces the old one. When the factory is a plain
+     * function, a new renderable is created for the changed data-model.
+     *
+     * **Example:**
+     *
+     * ```javascript
+     * var scrollView = new FlexScrollView({
+     *   flow: true,
+     *   dataModelKey: 'id',
+     *   dataModelFactory: {
+     *     create: function(model) {
+     *       return new Surface({content: model.name, size: [undefined, 50]});
+     *     },
+     *     update: function(renderable, model) {
+     *       renderable.setContent(model.name);
+     *     }
+     *   }
+     * });
+     * scrollView.setDataModels([{id: 1, name: 'one'}, {id: 2, name: 'two'}]);
+     * scrollView.setDataModels([{id: 2, name: 'two'}, {id: 3, name: 'three'}, {id: 1, name: 'one!'}]);
+     * ```
+     *
+     * @param {Array} models Array of data-models.
+     * @return {LayoutController} this
+     */
+    LayoutController.prototype.setDataModels = function (models) {
+        if (_queueUpdate.call(this, 'setDataModels', arguments)) {
+            return this;
+        }
+        if ((this.options.dataModelKey === undefined) || !this.options.dataModelFactory) {
+            LayoutUtility.error('Options `dataModelKey` and `dataModelFactory` are required when using data-models');
+        }
+        models = models || [];
+
+        // Create a new data-source when neccesary
+        var state = this._dataModels;
+        if (!state || (state.dataSource !== this._dataSource)) {
+            this.setDataSource(new LinkedListViewSequence());
+            state = {
+                dataSource: this._dataSource,
+                models: [],
+                items: new Map()
+            };
+            this._dataModels = state;
+        }
+
+        // Determine the keys of the new data-models
+        var i;
+        var key;
+        var item;
+        var keys = new Array(models.length);
+        var newItems = new Map();
+        for (i = 0; i < models.length; i++) {
+            key = _getDataModelKey.call(this, models[i]);
+            if (newItems.has(key)) {
+                LayoutUtility.error('Duplicate data-model key "' + key + '" specified to .setDataModels');
+            }
+            keys[i] = key;
+            newItems.set(key, i);
+        }
+
+        // Remove items that no longer exist
+        var removeSpec = this.options.flowOptions.removeSpec;
+        var oldIndexes = [];
+        for (i = 0; i < state.models.length; i++) {
+            key = _getDataModelKey.call(this, state.models[i]);
+            item = state.items.get(key);
+            if (newItems.has(key)) {
+                oldIndexes[newItems.get(key)] = oldIndexes.length;
+            }
+            else {
+                state.items.delete(key);
+                this.remove(item.renderable, removeSpec);
+            }
+        }
+
+        // Take out all items that have moved, the remaining items
+        // are in the correct relative order
+        var oldIndexesInNewOrder = [];
+        for (i = 0; i < models.length; i++) {
+            if (oldIndexes[i] !== undefined) {
+                oldIndexesInNewOrder.push(oldIndexes[i]);
+            }
+        }
+        var stable = _getStablePositions(oldIndexesInNewOrder);
+        var position = 0;
+        var moved = [];
+        for (i = 0; i < models.length; i++) {
+            if (oldIndexes[i] !== undefined) {
+                if (!stable[position]) {
+                    item = state.items.get(keys[i]);
+                    this._viewSequence = this._viewSequence.remove(this._viewSequence.findByValue(item.renderable));
+                    moved[i] = true;
+                }
+                position++;
+            }
+        }
+
+        // Insert new and moved items at their new positions
+        for (i = 0; i < models.length; i++) {
+            if (moved[i]) {
+                this._viewSequence.insert(i, state.items.get(keys[i]).renderable);
+            }
+            else if (oldIndexes[i] === undefined) {
+                item = {
+                    model: models[i],
+                    renderable: _createDataModelRenderable.call(this, models[i])
+                };
+                state.items.set(keys[i], item);
+                this.insert(i, item.renderable);
+            }
+        }
+
+        // Update items of which the data-model has changed
+        var factory = this.options.dataModelFactory;
+        var sequence = this._viewSequence.getHead();
+        for (i = 0; i < models.length; i++) {
+            item = state.items.get(keys[i]);
+            if (item.model !== models[i]) {
+                var oldModel = item.model;
+                item.model = models[i];
+                var renderable = factory.update ? factory.update(item.renderable, item.model, oldModel) : _createDataModelRenderable.call(this, item.model);
+                if (renderable && (renderable !== item.renderable)) {
+                    item.renderable = renderable;
+                    this.replace(i, renderable, true, sequence);
+                }
+            }
+            sequence = sequence.getNext();
+        }
+
+        state.models = models.slice(0);
+        this._isDirty = true;
+        return this;
+    };
+
+    /**
+     * Get the data-models that were set using `setDataModels`.
+     *
+     * @return {Array} data-models or undefined
+     */
+    LayoutController.prototype.getDataModels = function () {
+        return (this._dataModels && (this._dataModels.dataSource === this._dataSource)) ? this._dataModels.models : undefined;
+    };
+
     /**
      * Set the new layout.
      *
+     * When `morphOptions` are specified, the renderables morph from the old layout
+     * into the new layout. During the morph, both layouts are executed and the
+     * resulting size, translation, opacity, etc... of the renderables are blended
+     * based on the progress of the morph (0 = old layout, 1 = new layout). Renderables
+     * that only exist in one of the layouts are faded in or out.
+     *
+     * When a `transition` is specified, the progress is animated from 0 to 1. When
+     * it is omitted, the morph stays at progress 0 until it is changed using
+     * `setLayoutProgress`. This makes it possible to drive the morph using a gesture
+     * (e.g. pinch between a list and a grid layout).
+     *
+     * **Example:**
+     *
+     * ```javascript
+     * // Animate from the current layout into a collection-layout
+     * layoutController.setLayout(CollectionLayout, {itemSize: [100, 100]}, {
+     *   transition: {duration: 500, curve: Easing.inOutQuad}
+     * });
+     *
+     * // Morph using a spring
+     * var SpringTransition = require('famous/transitions/SpringTransition');
+     * layoutController.setLayout(ListLayout, {itemSize: 50}, {
+     *   transition: {method: SpringTransition, period: 500, dampingRatio: 0.6}
+     * });
+     * ```
+     *
      * @param {Function|Object} layout Layout function or layout-literal
      * @param {Object} [options] Options to pass in to the layout-function
+     * @param {Object} [morphOptions] Options for morphing from the old into the new layout
+     * @param {Object} [morphOptions.transition] Transition (e.g. `{duration: 500, curve: Easing.inOutQuad}` or `{method: SpringTransition, period: 500, dampingRatio: 0.6}`)
+     * @param {Function} [morphOptions.callback] Function that is called when the morph has ended
      * @return {LayoutController} this
      */
-    LayoutController.prototype.setLayout = function (layout, options) {
+    LayoutController.prototype.setLayout = function (layout, options, morphOptions) {
+
+        // Prepare morph from the old to the new layout
+        var morph;
+        if (morphOptions && this._layout._function) {
+            morph = {
+                from: {
+                    _function: this._layout._function,
+                    literal: this._layout.literal,
+                    capabilities: this._layout.capabilities,
+                    options: LayoutUtility.combineOptions(this._layout.options, undefined, true)
+                },
+                transitionable: new Transitionable(0)
+            };
+        }
+        this._layout.morph = morph;
 
         // Set new layout funtion
         if (layout instanceof Function) {
@@ -377,9 +701,246 @@ define(function (require, exports, module) {
         // Update direction
         this.setDirection(this._configuredDirection);
         this._isDirty = true;
+
+        // Start morph
+        if (morph && !this._layout._function) {
+            this._layout.morph = undefined;
+        }
+        else if (morph && morphOptions.transition) {
+            this.setLayoutProgress(1, morphOptions.transition, morphOptions.callback);
+        }
+        else if (morph) {
+            morph.callback = morphOptions.callback;
+        }
+        return this;
+    };
+
+    /**
+     * Ends the morph. When the morph has ended at progress 0, the old
+     * layout is restored.
+     */
+    function _endMorph(progress) {
+        var morph = this._layout.morph;
+        this._layout.morph = undefined;
+        if (progress === 0) {
+            this._layout._function = morph.from._function;
+            this._layout.literal = morph.from.literal;
+            this._layout.capabilities = morph.from.capabilities;
+            this._layout.optionsManager.setOptions(morph.from.options);
+            this.setDirection(this._configuredDirection);
+        }
+        this._isDirty = true;
+        if (morph.callback) {
+            morph.callback.call(this, progress);
+        }
+    }
+
+    /**
+     * Sets the progress of the morph that was started using `setLayout`.
+     *
+     * When the progress reaches 1, the morph ends and the new layout is used. When
+     * the progress reaches 0, the morph ends and the old layout is restored.
+     *
+     * **Example:**
+     *
+     * ```javascript
+     * // Start a morph which is driven by a gesture
+     * layoutController.setLayout(CollectionLayout, {itemSize: [100, 100]}, {});
+     * pinchSync.on('update', function(event) {
+     *   layoutController.setLayoutProgress(Math.min(Math.max(event.scale - 1, 0.01), 0.99));
+     * });
+     * pinchSync.on('end', function(event) {
+     *   var progress = layoutController.getLayoutProgress() >= 0.5 ? 1 : 0;
+     *   layoutController.setLayoutProgress(progress, {duration: 200});
+     * });
+     * ```
+     *
+     * @param {Number} progress Progress of the morph (0 = old layout, 1 = new layout)
+     * @param {Object} [transition] Transition to use for animating towards the progress
+     * @param {Function} [callback] Function that is called when the morph has ended
+     * @return {LayoutController} this
+     */
+    LayoutController.prototype.setLayoutProgress = function (progress, transition, callback) {
+        var morph = this._layout.morph;
+        if (!morph) {
+            return this;
+        }
+        if (callback) {
+            morph.callback = callback;
+        }
+        morph.transitionable.halt();
+        morph.transitionable.set(progress, transition, function () {
+            if ((this._layout.morph === morph) && ((progress === 0) || (progress === 1))) {
+                _endMorph.call(this, progress);
+            }
+        }.bind(this));
+        this._reLayout = true;
         return this;
     };
 
+    /**
+     * Get the progress of the current morph (see `setLayout`). When no
+     * morph is in progress, 1 is returned.
+     *
+     * @return {Number} progress (0 = old layout, 1 = new layout)
+     */
+    LayoutController.prototype.getLayoutProgress = function () {
+        return this._layout.morph ? this._layout.morph.transitionable.get() : 1;
+    };
+
+    var morphDefaults = {
+        size: undefined, // defaults to the other size or the context-size
+        translate: [0, 0, 0],
+        origin: [0, 0],
+        align: [0, 0],
+        rotate: [0, 0, 0],
+        scale: [1, 1, 1],
+        skew: [0, 0, 0]
+    };
+
+    /**
+     * Makes a copy of a set, so that it can be blended later on.
+     */
+    function _cloneSet(set) {
+        var clone = {
+            opacity: set.opacity,
+            scrollLength: set.scrollLength
+        };
+        for (var property in morphDefaults) {
+            if (set[property]) {
+                clone[property] = set[property].slice(0);
+            }
+        }
+        return clone;
+    }
+
+    /**
+     * Executes a layout-function and captures the sets, without updating
+     * the layout-nodes.
+     */
+    function _captureLayout(context, layoutFunction, options) {
+        var result = {
+            contextNodes: [],
+            sets: new Map()
+        };
+        var captureContext = Object.create(context);
+        captureContext.set = function (contextNodeOrId, set) {
+            var contextNode = context.get(contextNodeOrId);
+            if (contextNode && contextNode.renderNode) {
+                if (!result.sets.has(contextNode.renderNode)) {
+                    result.contextNodes.push(contextNode);
+                }
+                result.sets.set(contextNode.renderNode, _cloneSet(set));
+            }
+            return set;
+        };
+        layoutFunction(captureContext, options);
+        return result;
+    }
+
+    /**
+     * Blends two sets based on the progress (0 = from, 1 = to).
+     */
+    function _blendSets(from, to, progress, size) {
+        var fromOpacity = (from.opacity === undefined) ? 1 : from.opacity;
+        var toOpacity = (to.opacity === undefined) ? 1 : to.opacity;
+        var set = {
+            opacity: fromOpacity + ((toOpacity - fromOpacity) * progress),
+            scrollLength: to.scrollLength
+        };
+        for (var property in morphDefaults) {
+            var fromValue = from[property];
+            var toValue = to[property];
+            if (fromValue || toValue) {
+                var defaultValue = morphDefaults[property] || size;
+                fromValue = fromValue || ((property === 'size') ? toValue : defaultValue);
+                toValue = toValue || ((property === 'size') ? fromValue : defaultValue);
+                var value = new Array(defaultValue.length);
+                for (var i = 0; i < defaultValue.length; i++) {
+                    var fromItem = (fromValue[i] === undefined) ? defaultValue[i] : fromValue[i];
+                    var toItem = (toValue[i] === undefined) ? defaultValue[i] : toValue[i];
+                    value[i] = fromItem + ((toItem - fromItem) * progress);
+                }
+                set[property] = value;
+            }
+        }
+        return set;
+    }
+
+    /**
+     * Executes both the old and new layout-function and blends the results.
+     */
+    function _morphLayout(context, morph, progress) {
+        var from = _captureLayout(context, morph.from._function, morph.from.options);
+        this._nodes.rewindContext();
+        var to = _captureLayout(context, this._layout._function, this._layout.options);
+        var i;
+        var contextNode;
+        var set;
+
+        // Set the nodes in the order of the new layout
+        for (i = 0; i < to.contextNodes.length; i++) {
+            contextNode = to.contextNodes[i];
+            set = to.sets.get(contextNode.renderNode);
+            context.set(contextNode, _blendSets(from.sets.get(contextNode.renderNode) || {
+                size: set.size,
+                translate: set.translate,
+                opacity: 0
+            }, set, progress, context.size));
+        }
+
+        // Fade out nodes that only exist in the old layout
+        for (i = 0; i < from.contextNodes.length; i++) {
+            contextNode = from.contextNodes[i];
+            if (!to.sets.has(contextNode.renderNode)) {
+                set = from.sets.get(contextNode.renderNode);
+                set = _blendSets(set, {
+                    size: set.size,
+                    translate: set.translate,
+                    opacity: 0
+                }, progress, context.size);
+                set.scrollLength = undefined;
+                context.set({
+                    renderNode: contextNode.renderNode,
+                    viewSequence: contextNode.viewSequence,
+                    byId: contextNode.byId
+                }, set);
+            }
+        }
+    }
+
+    /**
+     * Executes the layout-function. This function is used by both the
+     * LayoutController and the ScrollController to perform the layout.
+     *
+     * @private
+     * @param {LayoutContext} context Context which the layout-function can use
+     */
+    LayoutController.prototype._executeLayoutFunction = function (context) {
+        if (this._selection.keys.size) {
+            context = _createSelectionContext.call(this, context);
+        }
+        if (this._reorder) {
+            context = _createReorderContext.call(this, context);
+        }
+        var morph = this._layout.morph;
+        if (morph) {
+            var progress = morph.transitionable.get();
+            if (this._layout.morph === morph) {
+                if (morph.transitionable.isActive()) {
+                    this._reLayout = true;
+                }
+                return _morphLayout.call(this, context, morph, progress);
+            }
+        }
+        if (this._layout._function) {
+            this._layout._function(
+                context,                // context which the layout-function can use
+                this._layout.options    // additional layout-options
+            );
+        }
+    };
+
     /**
      * Get the current layout.
      *
@@ -529,11 +1090,14 @@ define(function (require, exports, module) {
     };
 
     /**
-     * Forces a reflow of the layout the next render cycle.
+     * Forces a reflow of the layout the next render cycle. Any state that the
+     * layout-function keeps between layouts (e.g. the cell placement of the
+     * CollectionLayout) is cleared, so that it is calculated again.
      *
      * @return {LayoutController} this
      */
     LayoutController.prototype.reflowLayout = function () {
+        this._nodes.clearCaches();
         this._isDirty = true;
         return this;
     };
@@ -551,6 +1115,369 @@ define(function (require, exports, module) {
         return this;
     };
 
+    /**
+     * Begins a batch of updates. Until `endUpdates` is called, calls to `insert`,
+     * `push`, `remove`, `removeAll`, `move`, `swap`, `replace` and `setDataModels` are
+     * queued rather than executed. When `endUpdates` is called, all queued updates
+     * are applied at once, resulting in a single relayout and a single coordinated
+     * flow animation.
+     *
+     * For sequential data-sources, the queued updates are combined into a single
+     * change of the data-source: renderables that are moved keep their layout-node
+     * (and animate to their new position), and renderables that are inserted and
+     * removed within the same batch are never shown. Indexes passed to the queued
+     * calls refer to the data-source as updated by the calls that precede them.
+     * Batches that contain `setDataModels`, or that use ids, are applied call by call.
+     *
+     * Calls to `beginUpdates` may be nested, in which case the updates are applied
+     * when the outer-most `endUpdates` is called.
+     *
+     * **Example:**
+     *
+     * ```javascript
+     * layoutController.beginUpdates();
+     * layoutController.remove(2);
+     * layoutController.insert(0, new Surface({content: 'new'}));
+     * layoutController.move(3, 1);
+     * layoutController.endUpdates(function() {
+     *   console.log('all renderables have settled');
+     * });
+     * ```
+     *
+     * @return {LayoutController} this
+     */
+    LayoutController.prototype.beginUpdates = function () {
+        this._updates = this._updates || {
+            count: 0,
+            queue: [],
+            callbacks: []
+        };
+        this._updates.count++;
+        return this;
+    };
+
+    /**
+     * Ends a batch of updates that was started using `beginUpdates`, and applies
+     * all queued updates at once.
+     *
+     * @param {Function} [callback] Function that is called when the layout has been updated and all renderables have settled.
+     * @return {LayoutController} this
+     */
+    LayoutController.prototype.endUpdates = function (callback) {
+        var updates = this._updates;
+        if (!updates) {
+            LayoutUtility.error('.endUpdates called without a matching call to .beginUpdates');
+        }
+        if (callback) {
+            updates.callbacks.push(callback);
+        }
+        updates.count--;
+        if (updates.count) {
+            return this;
+        }
+
+        // Apply all queued updates
+        this._updates = undefined;
+        if (!updates.state || !_applyUpdateState.call(this, updates.state)) {
+            for (var i = 0; i < updates.queue.length; i++) {
+                var update = updates.queue[i];
+                this[update.method].apply(this, update.args);
+            }
+        }
+
+        // Wait for the next layout & for all nodes to settle
+        if (updates.callbacks.length) {
+            this._updateCallbacks = this._updateCallbacks || {
+                pending: [],
+                settling: []
+            };
+            this._updateCallbacks.pending = this._updateCallbacks.pending.concat(updates.callbacks);
+        }
+        this._isDirty = true;
+        return this;
+    };
+
+    /**
+     * Queues the update when `beginUpdates` has been called. The update is
+     * applied to the update-state right away, so that an invalid call throws
+     * when it is made, rather than when `endUpdates` is called.
+     *
+     * @return {Bool} true when the update was queued
+     */
+    function _queueUpdate(method, args) {
+        var updates = this._updates;
+        if (!updates) {
+            return false;
+        }
+        var update = {
+            method: method,
+            args: Array.prototype.slice.call(args)
+        };
+        var state = _getUpdateState.call(this, updates);
+        if (state && !_simulateUpdate(state, update.method, update.args)) {
+            updates.state = null;
+        }
+        updates.queue.push(update);
+        return true;
+    }
+
+    /**
+     * Returns the queued updates applied to a copy of the items of the data-source,
+     * or `null` when the updates cannot be combined (see `beginUpdates`). The copy is
+     * created when the first update is queued.
+     */
+    function _getUpdateState(updates) {
+        if (updates.state === undefined) {
+            updates.state = null;
+            if (!this._nodesById && (!this._dataSource || (this._viewSequence instanceof LinkedListViewSequence))) {
+                var items = [];
+                var sequence = this._viewSequence ? this._viewSequence.getHead() : undefined;
+                while (sequence && (sequence.get() !== undefined)) {
+                    items.push(sequence.get());
+                    sequence = sequence.getNext();
+                }
+                updates.state = {
+                    oldItems: items,
+                    items: items.slice(0),
+                    insertSpecs: new Map(),
+                    removeSpecs: new Map(),
+                    replaced: new Map()
+                };
+            }
+        }
+        return updates.state;
+    }
+
+    /**
+     * Applies a single queued update to the copy of the items. Throws the same
+     * errors as the corresponding call would (before changing the copy), and
+     * returns false when the update cannot be combined with the others.
+     */
+    function _simulateUpdate(state, method, args) {
+        var items = state.items;
+        var index = args[0];
+        var renderable;
+        if ((method === 'setDataModels') || (index instanceof String) || (typeof index === 'string')) {
+            return false;
+        }
+        switch (method) {
+            case 'insert':
+                index = (index === -1) ? items.length : index;
+                if (!(index >= 0) || (index > items.length)) {
+                    throw 'Invalid index (' + args[0] + ') specified to .insert';
+                }
+                items.splice(index, 0, args[1]);
+                state.removeSpecs.delete(args[1]);
+                if (args[2]) {
+                    state.insertSpecs.set(args[1], args[2]);
+                }
+                break;
+
+            case 'remove':
+                index = ((index instanceof Number) || (typeof index === 'number')) ? index : items.indexOf(index);
+                if ((index >= 0) && (index < items.length)) {
+                    renderable = items.splice(index, 1)[0];
+                    if (args[1]) {
+                        state.removeSpecs.set(renderable, args[1]);
+                    }
+                }
+                break;
+
+            case 'removeAll':
+                for (var i = 0; i < items.length; i++) {
+                    if (args[0]) {
+                        state.removeSpecs.set(items[i], args[0]);
+                    }
+                }
+                items.length = 0;
+                break;
+
+            case 'move':
+                if (!(index >= 0) || (index >= items.length)) {
+                    throw 'Invalid index (' + index + ') specified to .move';
+                }
+                renderable = items.splice(index, 1)[0];
+                items.splice((args[1] === -1) ? items.length : args[1], 0, renderable);
+                break;
+
+            case 'swap':
+                if (!(index >= 0) || (index >= items.length)) {
+                    throw new Error('Invalid first index specified to swap: ' + index);
+                }
+                if (!(args[1] >= 0) || (args[1] >= items.length)) {
+                    throw new Error('Invalid second index specified to swap: ' + args[1]);
+                }
+                renderable = items[index];
+                items[index] = items[args[1]];
+                items[args[1]] = renderable;
+                break;
+
+            case 'replace':
+                if (!(index >= 0) || (index >= items.length)) {
+                    throw 'Invalid index (' + index + ') specified to .replace';
+                }
+                renderable = items[index];
+                items[index] = args[1];
+                if (args[2] && (renderable !== args[1])) {
+                    state.replaced.set(args[1], state.replaced.has(renderable) ? state.replaced.get(renderable) : renderable);
+                    state.replaced.delete(renderable);
+                }
+                break;
+        }
+        return true;
+    }
+
+    /**
+     * Updates the data-source so that it contains the items of the update-state.
+     * Renderables that have kept their relative order stay in place, the others
+     * are moved, and new renderables are inserted using their insert-spec.
+     *
+     * @return {Bool} false when the items contain duplicates, or when the data-source
+     *                was changed otherwise, and cannot be diffed
+     */
+    function _applyUpdateState(state) {
+        var items = state.items;
+        var oldItems = state.oldItems;
+        var newIndexes = new Map();
+        var oldIndexMap = new Map();
+        var i;
+        for (i = 0; i < items.length; i++) {
+            newIndexes.set(items[i], i);
+        }
+        var sequence = this._viewSequence ? this._viewSequence.getHead() : undefined;
+        for (i = 0; i < oldItems.length; i++) {
+            if (!sequence || (sequence.get() !== oldItems[i])) {
+                return false;
+            }
+            oldIndexMap.set(oldItems[i], i);
+            sequence = sequence.getNext();
+        }
+        if ((sequence && (sequence.get() !== undefined)) ||
+            (newIndexes.size !== items.length) || (oldIndexMap.size !== oldItems.length)) {
+            return false;
+        }
+        if (this._dataSource === undefined) {
+            if (!items.length) {
+                return true;
+            }
+            this._dataSource = new LinkedListViewSequence();
+            this._viewSequence = this._dataSource;
+        }
+
+        // Replace renderables that were replaced without animation, in place
+        state.replaced.forEach(function (oldRenderable, renderable) {
+            if (newIndexes.has(renderable) && !oldIndexMap.has(renderable) &&
+                oldIndexMap.has(oldRenderable) && !newIndexes.has(oldRenderable)) {
+                var oldIndex = oldIndexMap.get(oldRenderable);
+                this.replace(oldIndex, renderable, true);
+                oldItems[oldIndex] = renderable;
+                oldIndexMap.delete(oldRenderable);
+                oldIndexMap.set(renderable, oldIndex);
+            }
+        }.bind(this));
+
+        // Remove renderables that no longer exist
+        sequence = this._viewSequence.getHead();
+        while (sequence && (sequence.get() !== undefined)) {
+            var next = sequence.getNext();
+            var renderable = sequence.get();
+            if (!newIndexes.has(renderable)) {
+                this._viewSequence = this._viewSequence.remove(sequence);
+                var removeSpec = state.removeSpecs.get(renderable);
+                var node = removeSpec ? this._nodes.getNodeByRenderNode(renderable) : undefined;
+                if (node) {
+                    node.remove(removeSpec);
+                }
+            }
+            sequence = next;
+        }
+
+        // Take out all renderables that have moved, the remaining renderables
+        // are in the correct relative order
+        var oldIndexes = [];
+        for (i = 0; i < items.length; i++) {
+            if (oldIndexMap.has(items[i])) {
+                oldIndexes.push(oldIndexMap.get(items[i]));
+            }
+        }
+        var stable = _getStablePositions(oldIndexes);
+        var position = 0;
+        var moved = [];
+        for (i = 0; i < items.length; i++) {
+            if (oldIndexMap.has(items[i])) {
+                if (!stable[position]) {
+                    this._viewSequence = this._viewSequence.remove(this._viewSequence.findByValue(items[i]));
+                    moved[i] = true;
+                }
+                position++;
+            }
+        }
+
+        // Insert new and moved renderables at their new positions
+        for (i = 0; i < items.length; i++) {
+            if (moved[i]) {
+                this._viewSequence.insert(i, items[i]);
+            }
+            else if (!oldIndexMap.has(items[i])) {
+                this.insert(i, items[i], state.insertSpecs.get(items[i]));
+            }
+        }
+        this._nodes.clearCaches();
+        this._isDirty = true;
+        return true;
+    }
+
+    /**
+     * Returns the renderable with the given id, as it will be after the queued
+     * updates have been applied.
+     */
+    function _getQueuedRenderableById(id) {
+        var renderable = this._nodesById ? this._nodesById[id] : undefined;
+        var queue = this._updates.queue;
+        for (var i = 0; i < queue.length; i++) {
+            var args = queue[i].args;
+            if (queue[i].method === 'removeAll') {
+                renderable = undefined;
+            }
+            else if ((args[0] === id) && ((queue[i].method === 'insert') || (queue[i].method === 'replace'))) {
+                renderable = args[1];
+            }
+            else if ((queue[i].method === 'remove') && ((args[0] === id) || ((args[0] === renderable) && (renderable !== undefined)))) {
+                renderable = undefined;
+            }
+        }
+        return renderable;
+    }
+
+    /**
+     * Calls the `endUpdates` callbacks when a layout has been performed
+     * and all the nodes have settled.
+     *
+     * @private
+     * @param {Bool} layoutPerformed Whether the layout-function was executed this render-cycle
+     * @param {Object} [result] Result of `buildSpecAndDestroyUnrenderedNodes`
+     */
+    LayoutController.prototype._processUpdateCallbacks = function (layoutPerformed, result) {
+        var updateCallbacks = this._updateCallbacks;
+        if (!updateCallbacks) {
+            return;
+        }
+        if (layoutPerformed) {
+            updateCallbacks.settling = updateCallbacks.settling.concat(updateCallbacks.pending);
+            updateCallbacks.pending = [];
+        }
+        else if (updateCallbacks.settling.length && !(result && (result.modified || result.ongoingTransition))) {
+            var callbacks = updateCallbacks.settling;
+            updateCallbacks.settling = [];
+            if (!updateCallbacks.pending.length) {
+                this._updateCallbacks = undefined;
+            }
+            for (var i = 0; i < callbacks.length; i++) {
+                callbacks[i].call(this);
+            }
+        }
+    };
+
     /**
      * Inserts a renderable into the data-source.
      *
@@ -564,6 +1491,9 @@ define(function (require, exports, module) {
      * @return {LayoutController} this
      */
     LayoutController.prototype.insert = function (indexOrId, renderable, insertSpec) {
+        if (_queueUpdate.call(this, 'insert', arguments)) {
+            return this;
+        }
         insertSpec = insertSpec || this.options.flowOptions.insertSpec;
 
         // Add the renderable in case of an id (String)
@@ -609,6 +1539,7 @@ define(function (require, exports, module) {
         }
 
         // Force a reflow
+        this._nodes.clearCaches();
         this._isDirty = true;
 
         this._dirtyRenderables.push(renderable);
@@ -698,7 +1629,11 @@ define(function (require, exports, module) {
      * @return {LayoutController} this
      */
     LayoutController.prototype.swap = function (index, index2) {
+        if (_queueUpdate.call(this, 'swap', arguments)) {
+            return this;
+        }
         this._viewSequence.swap(index, index2);
+        this._nodes.clearCaches();
         this._isDirty = true;
         return this;
     };
@@ -709,14 +1644,25 @@ define(function (require, exports, module) {
      * @param {Number|String} indexOrId Index within dataSource array or id (String)
      * @param {Renderable} renderable renderable to replace with
      * @param {Bool} [noAnimation] When set to `true`, replaces the renderable without any flowing animation.
-     * @return {Renderable} old renderable that has been replaced
+     * @return {Renderable} old renderable that has been replaced (when called between `beginUpdates` and `endUpdates`, the renderable that is replaced once the queued updates are applied)
      */
     LayoutController.prototype.replace = function (indexOrId, renderable, noAnimation, sequence) {
         var oldRenderable;
-        if (this._nodesById || (indexOrId instanceof String) || (typeof indexOrId === 'string')) {
-            oldRenderable = this._nodesById[indexOrId];
-            if (oldRenderable !== renderable) {
-                if (noAnimation && oldRenderable) {
+        if (this._updates) {
+            if (this._nodesById || (indexOrId instanceof String) || (typeof indexOrId === 'string')) {
+                oldRenderable = _getQueuedRenderableById.call(this, indexOrId);
+            }
+            else {
+                var state = _getUpdateState.call(this, this._updates);
+                oldRenderable = state ? state.items[indexOrId] : undefined;
+            }
+            _queueUpdate.call(this, 'replace', [indexOrId, renderable, noAnimation]);
+            return oldRenderable;
+        }
+        if (this._nodesById || (indexOrId instanceof String) || (typeof indexOrId === 'string')) {
+            oldRenderable = this._nodesById[indexOrId];
+            if (oldRenderable !== renderable) {
+                if (noAnimation && oldRenderable) {
                     var node = this._nodes.getNodeByRenderNode(oldRenderable);
                     if (node) {
                         node.setRenderNode(renderable);
@@ -742,6 +1688,7 @@ define(function (require, exports, module) {
                     node.setRenderNode(renderable);
                 }
             } else {
+                this._nodes.clearCaches();
                 this._isDirty = true;
             }
 
@@ -759,12 +1706,16 @@ define(function (require, exports, module) {
      * @return {LayoutController} this
      */
     LayoutController.prototype.move = function (index, newIndex) {
+        if (_queueUpdate.call(this, 'move', arguments)) {
+            return this;
+        }
         var sequence = this._viewSequence.findByIndex(index);
         if (!sequence) {
             throw 'Invalid index (' + index + ') specified to .move';
         }
         this._viewSequence = this._viewSequence.remove(sequence);
         this._viewSequence.insert(newIndex, sequence.get());
+        this._nodes.clearCaches();
         this._isDirty = true;
         return this;
     };
@@ -778,9 +1729,29 @@ define(function (require, exports, module) {
      *
      * @param {Number|String|Renderable} indexOrId Index, id (String) or renderable to remove.
      * @param {Spec} [removeSpec] Size, transform, etc.. to end with when removing
-     * @return {Renderable} renderable that has been removed
+     * @return {Renderable} renderable that has been removed (when called between `beginUpdates` and `endUpdates`, the renderable that is removed once the queued updates are applied)
      */
     LayoutController.prototype.remove = function (indexOrId, removeSpec) {
+        if (this._updates) {
+            var removed;
+            if (this._nodesById || (indexOrId instanceof String) || (typeof indexOrId === 'string')) {
+                removed = ((indexOrId instanceof String) || (typeof indexOrId === 'string')) ? _getQueuedRenderableById.call(this, indexOrId) : indexOrId;
+            }
+            else {
+                var state = _getUpdateState.call(this, this._updates);
+                if (!state) {
+                    removed = ((indexOrId instanceof Number) || (typeof indexOrId === 'number')) ? undefined : indexOrId;
+                }
+                else if ((indexOrId instanceof Number) || (typeof indexOrId === 'number')) {
+                    removed = state.items[indexOrId];
+                }
+                else {
+                    removed = (state.items.indexOf(indexOrId) >= 0) ? indexOrId : undefined;
+                }
+            }
+            _queueUpdate.call(this, 'remove', arguments);
+            return removed;
+        }
         var renderNode;
 
         // Remove the renderable in case of an id (String)
@@ -829,6 +1800,7 @@ define(function (require, exports, module) {
 
         // Force a reflow
         if (renderNode) {
+            this._nodes.clearCaches();
             this._isDirty = true;
         }
 
@@ -846,6 +1818,9 @@ define(function (require, exports, module) {
      * @return {LayoutController} this
      */
     LayoutController.prototype.removeAll = function (removeSpec) {
+        if (_queueUpdate.call(this, 'removeAll', arguments)) {
+            return this;
+        }
         if (this._nodesById) {
             var dirty = false;
             for (var key in this._nodesById) {
@@ -858,6 +1833,7 @@ define(function (require, exports, module) {
         }
         else if (this._viewSequence) {
             this._viewSequence = this._viewSequence.clear();
+            this._nodes.clearCaches();
         }
         if (removeSpec) {
             var node = this._nodes.getStartEnumNode();
@@ -869,6 +1845,944 @@ define(function (require, exports, module) {
         return this;
     };
 
+    /**
+     * Returns the mouse-event or touch (with the given identifier) of an input event.
+     *
+     * @private
+     */
+    LayoutController.prototype._getPointer = function (event, identifier) {
+        var touches = event.changedTouches || event.touches;
+        if (!touches) {
+            return event;
+        }
+        for (var i = 0; i < touches.length; i++) {
+            if ((identifier === undefined) || (touches[i].identifier === identifier)) {
+                return touches[i];
+            }
+        }
+        return undefined;
+    };
+
+    /**
+     * Checks whether a pointer is still within the distance from its start position
+     * in which a press is considered a tap, rather than a scroll or swipe.
+     *
+     * @private
+     */
+    LayoutController.prototype._isTapDistance = function (start, pointer) {
+        return (Math.abs(pointer.clientX - start[0]) <= TAP_THRESHOLD) &&
+            (Math.abs(pointer.clientY - start[1]) <= TAP_THRESHOLD);
+    };
+
+    /**
+     * Checks whether the DOM target of an event lies within a renderable. Surfaces
+     * (incl. ContainerSurfaces) are hit-tested using their element. Composite renderables
+     * (Views, RenderNodes and nested layout-controllers & scroll-views) are walked until
+     * a surface is found that contains the target.
+     *
+     * @private
+     */
+    LayoutController.prototype._containsEventTarget = function (renderable, target) {
+        if (!renderable || !target) {
+            return false;
+        }
+        if (renderable.setContent && renderable.deploy) {
+            var element = renderable._currentTarget;
+            return element ? ((element === target) || !!(element.contains && element.contains(target))) : false;
+        }
+        if (renderable instanceof LayoutController) {
+            return renderable.container ? this._containsEventTarget(renderable.container, target) : !!renderable._getEventRenderNode({target: target});
+        }
+        if (renderable._node) { // View
+            return this._containsEventTarget(renderable._node, target);
+        }
+        if ((renderable._object !== undefined) && (renderable._child !== undefined)) { // RenderNode
+            if (this._containsEventTarget(renderable._object, target)) {
+                return true;
+            }
+            var children = (renderable._child instanceof Array) ? renderable._child : [renderable._child];
+            for (var i = 0; i < children.length; i++) {
+                if (this._containsEventTarget(children[i], target)) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    };
+
+    /**
+     * Finds the layed out renderable which contains the target of the event.
+     * See `_containsEventTarget` for the renderables that are supported.
+     *
+     * @private
+     */
+    LayoutController.prototype._getEventRenderNode = function (event) {
+        var node = this._nodes.getStartEnumNode();
+        while (node) {
+            if (node._viewSequence && node.renderNode && this._containsEventTarget(node.renderNode, event.target)) {
+                return node.renderNode;
+            }
+            node = node._next;
+        }
+        return undefined;
+    };
+
+    /**
+     * Registers or removes the pointer listeners of a press, drag or swipe operation.
+     * Listening on the Engine ensures that all moves are received, even when the
+     * pointer is no longer above the renderable.
+     *
+     * @private
+     */
+    LayoutController.prototype._listenPointer = function (state, enable) {
+        var method = enable ? 'on' : 'removeListener';
+        Engine[method](state.touch ? 'touchmove' : 'mousemove', state.listeners.move);
+        Engine[method](state.touch ? 'touchend' : 'mouseup', state.listeners.end);
+        if (state.touch) {
+            Engine[method]('touchcancel', state.listeners.end);
+        }
+    };
+
+    /**
+     * Starts a long-press when a renderable is pressed.
+     */
+    function _reorderPress(event) {
+        if (!this.options.reorder || this._reorder || this._reorderPress || event.button ||
+            (event.touches && (event.touches.length > 1))) {
+            return;
+        }
+        var pointer = this._getPointer(event);
+        var renderNode = pointer ? this._getEventRenderNode(event) : undefined;
+        if (!renderNode) {
+            return;
+        }
+        var press = {
+            renderNode: renderNode,
+            event: event,
+            touch: !!(event.touches || event.changedTouches),
+            identifier: pointer.identifier,
+            start: [pointer.clientX, pointer.clientY],
+            listeners: {
+                move: _reorderPressMove.bind(this),
+                end: _cancelReorderPress.bind(this)
+            }
+        };
+        press.timer = Timer.setTimeout(function() {
+            _cancelReorderPress.call(this);
+            this.startReorder(press.renderNode, press.event);
+        }.bind(this), this.options.reorderOptions.longPressDelay);
+        this._listenPointer(press, true);
+        this._reorderPress = press;
+    }
+
+    /**
+     * Cancels the long-press when the pointer is moved too far (e.g. when scrolling).
+     */
+    function _reorderPressMove(event) {
+        var press = this._reorderPress;
+        var pointer = this._getPointer(event, press.identifier);
+        if (!pointer) {
+            return;
+        }
+        press.event = event;
+        var threshold = this.options.reorderOptions.moveThreshold;
+        if ((Math.abs(pointer.clientX - press.start[0]) > threshold) ||
+            (Math.abs(pointer.clientY - press.start[1]) > threshold)) {
+            _cancelReorderPress.call(this);
+        }
+    }
+
+    /**
+     * Cancels a pending long-press.
+     */
+    function _cancelReorderPress() {
+        var press = this._reorderPress;
+        if (press) {
+            this._reorderPress = undefined;
+            Timer.clear(press.timer);
+            this._listenPointer(press, false);
+        }
+    }
+
+    /**
+     * Enables or disables flowing of the translation of a renderable, so that it
+     * follows the pointer directly while it is dragged, and flows back into place
+     * when released.
+     *
+     * @private
+     */
+    LayoutController.prototype._setTranslateFlow = function (renderNode, enable) {
+        var node = this.options.flow ? this._nodes.getNodeByRenderNode(renderNode) : undefined;
+        if (node && node.setOptions) {
+            node.setOptions({
+                properties: {
+                    translate: enable ? this.options.flowOptions.properties.translate : false
+                }
+            });
+        }
+    };
+
+    /**
+     * Creates a layout-context which captures the sets of all renderables, and which
+     * positions the lifted renderable at the pointer.
+     */
+    function _createReorderContext(context) {
+        var reorder = this._reorder;
+        var reorderContext = Object.create(context);
+        var size = context.size;
+        reorder.sets.clear();
+        reorderContext.set = function(contextNodeOrId, set) {
+            var contextNode = context.get(contextNodeOrId);
+            if (!contextNode || !contextNode.renderNode) {
+                return context.set(contextNodeOrId, set);
+            }
+            var slot = _cloneSet(set);
+            slot.size = [
+                (set.size && (set.size[0] !== undefined)) ? set.size[0] : size[0],
+                (set.size && (set.size[1] !== undefined)) ? set.size[1] : size[1]
+            ];
+            slot.translate = slot.translate || [0, 0, 0];
+            slot.viewSequence = contextNode.viewSequence;
+            reorder.sets.set(contextNode.renderNode, slot);
+            if (contextNode.renderNode === reorder.renderNode) {
+                set = _getReorderSet.call(this, reorder, slot);
+            }
+            return context.set(contextNodeOrId, set);
+        }.bind(this);
+        return reorderContext;
+    }
+
+    /**
+     * Returns the set of the lifted renderable, positioned at the pointer.
+     */
+    function _getReorderSet(reorder, slot) {
+        if (!reorder.translate) {
+            reorder.translate = slot.translate.slice(0);
+        }
+        var liftSpec = this.options.reorderOptions.liftSpec || {};
+        var lift = liftSpec.translate || [0, 0, 0];
+        var set = _cloneSet(slot);
+        set.translate = [
+            reorder.translate[0] + (reorder.current[0] - reorder.start[0]) + lift[0],
+            reorder.translate[1] + (reorder.current[1] - reorder.start[1]) + lift[1],
+            (reorder.translate[2] || 0) + (lift[2] || 0)
+        ];
+        for (var property in liftSpec) {
+            if (property !== 'translate') {
+                set[property] = liftSpec[property];
+            }
+        }
+        return set;
+    }
+
+    /**
+     * Moves the lifted renderable to the index of the renderable below the center
+     * of the lifted renderable. To prevent items from swapping back and forth, the
+     * center must have passed the middle of the other renderable.
+     *
+     * @private
+     */
+    LayoutController.prototype._updateReorderIndex = function () {
+        var reorder = this._reorder;
+        var slot = reorder ? reorder.sets.get(reorder.renderNode) : undefined;
+        if (!slot || !reorder.translate) {
+            return;
+        }
+        var center = [
+            reorder.translate[0] + (reorder.current[0] - reorder.start[0]) + (slot.size[0] / 2),
+            reorder.translate[1] + (reorder.current[1] - reorder.start[1]) + (slot.size[1] / 2)
+        ];
+        var direction = this._direction;
+        var target;
+        reorder.sets.forEach(function(set, renderNode) {
+            if (target || (renderNode === reorder.renderNode) || !set.viewSequence ||
+                (center[0] < set.translate[0]) || (center[0] > (set.translate[0] + set.size[0])) ||
+                (center[1] < set.translate[1]) || (center[1] > (set.translate[1] + set.size[1]))) {
+                return;
+            }
+            var axis = (Math.abs(set.translate[direction] - slot.translate[direction]) >= 1) ? direction : (direction ? 0 : 1);
+            var index = set.viewSequence.getIndex();
+            var middle = set.translate[axis] + (set.size[axis] / 2);
+            if ((index > reorder.index) ? (center[axis] > middle) : (center[axis] < middle)) {
+                target = index;
+            }
+        });
+        if ((target !== undefined) && (target !== reorder.index)) {
+            this.move(reorder.index, target);
+            reorder.index = target;
+            reorder.sets.clear();
+        }
+    };
+
+    /**
+     * Called when the pointer moves while a renderable is lifted.
+     */
+    function _reorderMove(event) {
+        var reorder = this._reorder;
+        var pointer = this._getPointer(event, reorder.identifier);
+        if (!pointer) {
+            return;
+        }
+        if (event.preventDefault) {
+            event.preventDefault();
+        }
+        reorder.current = [pointer.clientX, pointer.clientY];
+        if (!_dragIntoReorderTarget.call(this)) {
+            this._updateReorderIndex();
+            this._reLayout = true;
+        }
+    }
+
+    /**
+     * Called when the pointer is released (or the touch is cancelled) while a
+     * renderable is lifted.
+     */
+    function _reorderEnd(event) {
+        if (event.changedTouches && !this._getPointer(event, this._reorder.identifier)) {
+            return;
+        }
+        _stopReorder.call(this, event.type === 'touchcancel');
+    }
+
+    /**
+     * Returns the index at which a renderable that is dragged into the layout-controller
+     * is inserted, based on the position of the renderables around the given point.
+     */
+    function _getReorderDropIndex(point) {
+        var direction = this._direction;
+        var index;
+        var distance;
+        var specs = this._specs || [];
+        for (var i = 0; i < specs.length; i++) {
+            var spec = specs[i];
+            var sequence = (spec.renderNode && spec.transform && spec.size && this._viewSequence) ? this._viewSequence.findByValue(spec.renderNode) : undefined;
+            if (sequence) {
+                var center = [
+                    spec.transform[12] + (spec.size[0] / 2),
+                    spec.transform[13] + (spec.size[1] / 2)
+                ];
+                var dist = Math.sqrt(Math.pow(point[0] - center[0], 2) + Math.pow(point[1] - center[1], 2));
+                if ((distance === undefined) || (dist < distance)) {
+                    distance = dist;
+                    index = sequence.getIndex() + ((point[direction] > center[direction]) ? 1 : 0);
+                }
+            }
+        }
+        return index || 0;
+    }
+
+    /**
+     * Moves the lifted renderable into another layout-controller. The renderable is
+     * removed immediately from this layout-controller and inserted into the target,
+     * starting at its current spec, after which the target continues the reorder
+     * operation.
+     */
+    function _moveReorder(target, index) {
+        var reorder = this._reorder;
+        var renderNode = reorder.renderNode;
+        var bounds = this._reorderBounds || [0, 0];
+        var targetBounds = target._reorderBounds || bounds;
+        var offset = [bounds[0] - targetBounds[0], bounds[1] - targetBounds[1]];
+        var spec = this.getSpec(renderNode, true);
+        var insertSpec = spec ? {
+            size: spec.size,
+            opacity: spec.opacity,
+            transform: Transform.thenMove(spec.transform, [offset[0], offset[1], 0])
+        } : undefined;
+
+        // Remove from this layout-controller
+        this._reorder = undefined;
+        this._listenPointer(reorder, false);
+        this.remove(reorder.index);
+        var node = this._nodes.getNodeByRenderNode(renderNode);
+        if (node) {
+            this._nodes.removeNode(node);
+        }
+        this._eventOutput.emit('reorderleave', {
+            target: this,
+            source: reorder.source,
+            renderNode: renderNode,
+            index: reorder.index
+        });
+
+        // Continue in the target layout-controller
+        target.insert(index, renderNode, insertSpec);
+        reorder.index = index;
+        reorder.sets = new Map();
+        reorder.translate = [
+            reorder.translate[0] + offset[0],
+            reorder.translate[1] + offset[1],
+            reorder.translate[2]
+        ];
+        reorder.listeners = {
+            move: _reorderMove.bind(target),
+            end: _reorderEnd.bind(target)
+        };
+        target._reorder = reorder;
+        this._listenPointer(reorder, true);
+        target._setTranslateFlow(renderNode, false);
+        target._reLayout = true;
+        target._eventOutput.emit('reorderenter', {
+            target: target,
+            source: reorder.source,
+            renderNode: renderNode,
+            index: index
+        });
+    }
+
+    /**
+     * Checks whether the pointer is above another layout-controller of the same
+     * reorder group, and when that layout-controller accepts the renderable, moves
+     * the renderable into it.
+     */
+    function _dragIntoReorderTarget() {
+        var reorder = this._reorder;
+        var targets = this._reorderGroup ? reorderGroups[this._reorderGroup] : undefined;
+        if (!targets || !reorder.translate || _isInReorderBounds(this, reorder.current)) {
+            return false;
+        }
+        for (var i = 0; i < targets.length; i++) {
+            var target = targets[i];
+            if ((target !== this) && !target._reorder && !target._nodesById && _isInReorderBounds(target, reorder.current)) {
+                var index = _getReorderDropIndex.call(target, [
+                    reorder.current[0] - target._reorderBounds[0],
+                    reorder.current[1] - target._reorderBounds[1]
+                ]);
+                var accept = target.options.reorderOptions.accept;
+                if ((target === reorder.source) || !accept || (accept({
+                        target: target,
+                        source: reorder.source,
+                        renderNode: reorder.renderNode,
+                        index: index
+                    }) !== false)) {
+                    _moveReorder.call(this, target, index);
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Checks whether a point (in client coordinates) lies within the bounds of
+     * the layout-controller.
+     */
+    function _isInReorderBounds(layoutController, point) {
+        var bounds = layoutController._reorderBounds;
+        return !!bounds && (point[0] >= bounds[0]) && (point[0] < (bounds[0] + bounds[2])) &&
+            (point[1] >= bounds[1]) && (point[1] < (bounds[1] + bounds[3]));
+    }
+
+    /**
+     * Adds the layout-controller to a reorder group, or removes it from its
+     * current group when no group is specified.
+     */
+    function _setReorderGroup(group) {
+        if (group !== this._reorderGroup) {
+            if (this._reorderGroup) {
+                var members = reorderGroups[this._reorderGroup];
+                members.splice(members.indexOf(this), 1);
+                if (!members.length) {
+                    delete reorderGroups[this._reorderGroup];
+                }
+            }
+            if (group) {
+                reorderGroups[group] = reorderGroups[group] || [];
+                reorderGroups[group].push(this);
+            }
+            this._reorderGroup = group;
+        }
+    }
+
+    /**
+     * Adds the layout-controller to its reorder group and stores its bounds, so
+     * that renderables can be dragged into it from other layout-controllers.
+     *
+     * When the view is embedded in a container (`useContainer`), the bounds are read
+     * from the container element while a renderable of the group is being dragged.
+     * Otherwise they are derived from the context, which is only correct when the
+     * famo.us context is positioned at the top-left of the window.
+     *
+     * @private
+     */
+    LayoutController.prototype._updateReorderGroup = function (context) {
+        var group = this.options.reorder ? this.options.reorderOptions.group : undefined;
+        _setReorderGroup.call(this, group);
+        if (!group) {
+            return;
+        }
+        var element = this.container ? this.container._currentTarget : undefined;
+        if (element && element.getBoundingClientRect) {
+            var members = reorderGroups[group];
+            for (var i = 0; i < members.length; i++) {
+                if (members[i]._reorder) {
+                    var rect = element.getBoundingClientRect();
+                    this._reorderBounds = [rect.left, rect.top, rect.width, rect.height];
+                    return;
+                }
+            }
+            this._reorderBounds = undefined;
+        }
+        else {
+            var origin = context.origin || [0, 0];
+            this._reorderBounds = [
+                context.transform[12] - (origin[0] * context.size[0]),
+                context.transform[13] - (origin[1] * context.size[1]),
+                context.size[0],
+                context.size[1]
+            ];
+        }
+    };
+
+    /**
+     * Drops the lifted renderable, or moves it back to its original index
+     * when cancelled.
+     */
+    function _stopReorder(cancelled) {
+        var reorder = this._reorder;
+        if (cancelled && (reorder.source !== this)) {
+            _moveReorder.call(this, reorder.source, reorder.fromIndex);
+            return _stopReorder.call(reorder.source, true);
+        }
+        this._reorder = undefined;
+        this._listenPointer(reorder, false);
+        if (cancelled && (reorder.index !== reorder.fromIndex)) {
+            this.move(reorder.index, reorder.fromIndex);
+            reorder.index = reorder.fromIndex;
+        }
+        this._setTranslateFlow(reorder.renderNode, true);
+        this._reLayout = true;
+        var eventData = {
+            target: this,
+            source: reorder.source,
+            renderNode: reorder.renderNode,
+            oldIndex: reorder.fromIndex,
+            index: reorder.index,
+            cancelled: cancelled
+        };
+        if (reorder.source !== this) {
+            this._eventOutput.emit('reorderdrop', eventData);
+            reorder.source._eventOutput.emit('reorderend', eventData);
+        }
+        else if (reorder.index !== reorder.fromIndex) {
+            this._eventOutput.emit('reorder', eventData);
+        }
+        this._eventOutput.emit('reorderend', eventData);
+    }
+
+    /**
+     * Lifts a renderable so that it can be reordered by dragging it. This function
+     * is called automatically when a renderable is long-pressed and the `reorder`
+     * option is enabled. Call it yourself to start reordering from a drag-handle.
+     *
+     * While dragging, the renderable follows the pointer and is moved (using `move`)
+     * to the index of the renderable below it, causing the other renderables to flow
+     * out of the way. When dropped, the `reorder` event is emitted. When the `reorderOptions.group`
+     * option is set, the renderable can also be dragged into other layout-controllers of the
+     * same group, in which case the `reorderdrop` event is emitted by the target.
+     *
+     * This method is only supported for dataSources of type Array or LinkedListViewSequence.
+     *
+     * Example:
+     *
+     * ```javascript
+     * dragHandle.on('mousedown', function(event) {
+     *   scrollView.startReorder(item, event);
+     * });
+     * scrollView.on('reorder', function(event) {
+     *   items.splice(event.index, 0, items.splice(event.oldIndex, 1)[0]);
+     * });
+     * ```
+     *
+     * @param {Renderable} renderNode Renderable to lift.
+     * @param {Event} [event] Mouse or touch event that started the drag operation.
+     * @return {LayoutController} this
+     */
+    LayoutController.prototype.startReorder = function (renderNode, event) {
+        _cancelReorderPress.call(this);
+        this._cancelItemPress();
+        if (this._reorder) {
+            return this;
+        }
+        var sequence = (this._viewSequence && this._viewSequence.findByValue) ? this._viewSequence.findByValue(renderNode) : undefined;
+        if (!sequence) {
+            LayoutUtility.warning('Renderable could not be found, reordering is only supported for dataSources of type Array or LinkedListViewSequence');
+            return this;
+        }
+        var pointer = event ? this._getPointer(event) : undefined;
+        var start = pointer ? [pointer.clientX, pointer.clientY] : [0, 0];
+        var index = sequence.getIndex();
+        this._reorder = {
+            source: this,
+            renderNode: renderNode,
+            touch: !!(event && (event.touches || event.changedTouches)),
+            identifier: pointer ? pointer.identifier : undefined,
+            start: start,
+            current: start,
+            fromIndex: index,
+            index: index,
+            sets: new Map(),
+            //translate: undefined,
+            listeners: {
+                move: _reorderMove.bind(this),
+                end: _reorderEnd.bind(this)
+            }
+        };
+        this._listenPointer(this._reorder, true);
+        this._setTranslateFlow(renderNode, false);
+        this._reLayout = true;
+        this._eventOutput.emit('reorderstart', {
+            target: this,
+            renderNode: renderNode,
+            index: index
+        });
+        return this;
+    };
+
+    /**
+     * Cancels the current reorder operation and moves the lifted renderable
+     * back to its original index.
+     *
+     * @return {LayoutController} this
+     */
+    LayoutController.prototype.cancelReorder = function () {
+        _cancelReorderPress.call(this);
+        if (this._reorder) {
+            _stopReorder.call(this, true);
+        }
+        return this;
+    };
+
+    /**
+     * Returns the key by which a renderable is selected. When data-models are used,
+     * this is the key of the data-model, so that the selection is retained when
+     * the renderable is replaced. Otherwise, the renderable itself is the key.
+     */
+    function _getSelectionKey(renderNode) {
+        var state = this._dataModels;
+        if (state && (state.dataSource === this._dataSource)) {
+            var key;
+            state.items.forEach(function(item, itemKey) {
+                if (item.renderable === renderNode) {
+                    key = itemKey;
+                }
+            });
+            if (key !== undefined) {
+                return key;
+            }
+        }
+        return renderNode;
+    }
+
+    /**
+     * Returns the renderable for a selection-key.
+     */
+    function _getSelectionRenderNode(key) {
+        var state = this._dataModels;
+        if (state && (state.dataSource === this._dataSource) && state.items.has(key)) {
+            return state.items.get(key).renderable;
+        }
+        return key;
+    }
+
+    /**
+     * Creates a layout-context which exposes the selected state of the renderables
+     * through `isSelected`.
+     */
+    function _createSelectionContext(context) {
+        var selected = new Map();
+        this._selection.keys.forEach(function(value, key) {
+            selected.set(_getSelectionRenderNode.call(this, key), true);
+        }.bind(this));
+        var selectionContext = Object.create(context);
+        selectionContext.isSelected = function(contextNodeOrId) {
+            var contextNode = context.get(contextNodeOrId);
+            return !!(contextNode && contextNode.renderNode && selected.get(contextNode.renderNode));
+        };
+        return selectionContext;
+    }
+
+    /**
+     * Replaces the selection-keys and emits the `selectionchange` event when
+     * renderables were selected or deselected.
+     */
+    function _setSelectionKeys(keys) {
+        var selection = this._selection;
+        var added = [];
+        var removed = [];
+        keys.forEach(function(value, key) {
+            if (!selection.keys.has(key)) {
+                added.push(_getSelectionRenderNode.call(this, key));
+            }
+        }.bind(this));
+        selection.keys.forEach(function(value, key) {
+            if (!keys.has(key)) {
+                removed.push(_getSelectionRenderNode.call(this, key));
+            }
+        }.bind(this));
+        if (!added.length && !removed.length) {
+            return;
+        }
+        selection.keys = keys;
+        this._reLayout = true;
+        this._eventOutput.emit('selectionchange', {
+            target: this,
+            selection: this.getSelection(),
+            added: added,
+            removed: removed
+        });
+    }
+
+    /**
+     * Returns the keys of the renderables in the data-source between (and including)
+     * the two given renderables.
+     */
+    function _getSelectionRange(renderNode1, renderNode2) {
+        var keys = new Map();
+        var inRange = false;
+        _forEachRenderable.call(this, function(renderNode) {
+            var isEdge = (renderNode === renderNode1) || (renderNode === renderNode2);
+            if (inRange || isEdge) {
+                keys.set(_getSelectionKey.call(this, renderNode), true);
+            }
+            if (isEdge && (renderNode1 !== renderNode2)) {
+                inRange = !inRange;
+            }
+        }.bind(this));
+        return keys;
+    }
+
+    /**
+     * Starts tracking a press on a renderable. When the renderable is released without
+     * moving the pointer, it is considered a tap (see `_itemTap`). When the `longPressDelay`
+     * option is set (e.g. by the ScrollController), holding the pointer is considered a
+     * long-press (see `_itemLongPress`).
+     */
+    function _itemPress(event) {
+        this._cancelItemPress();
+        if (event.button || (event.touches && (event.touches.length > 1)) || !this._canPressItem()) {
+            return;
+        }
+        var pointer = this._getPointer(event);
+        var renderNode = pointer ? this._getEventRenderNode(event) : undefined;
+        if (!renderNode) {
+            return;
+        }
+        var press = {
+            renderNode: renderNode,
+            touch: !!(event.touches || event.changedTouches),
+            identifier: pointer.identifier,
+            start: [pointer.clientX, pointer.clientY],
+            listeners: {
+                move: _itemPressMove.bind(this),
+                end: _itemPressEnd.bind(this)
+            }
+        };
+        if (this.options.longPressDelay !== undefined) {
+            press.timer = Timer.setTimeout(function() {
+                this._cancelItemPress();
+                this._itemLongPress(press.renderNode, event);
+            }.bind(this), this.options.longPressDelay);
+        }
+        this._listenPointer(press, true);
+        this._itemPress = press;
+    }
+
+    /**
+     * Cancels the press when the pointer is moved too far (e.g. when scrolling or swiping).
+     */
+    function _itemPressMove(event) {
+        var press = this._itemPress;
+        var pointer = this._getPointer(event, press.identifier);
+        if (pointer && !this._isTapDistance(press.start, pointer)) {
+            this._cancelItemPress();
+        }
+    }
+
+    /**
+     * Calls `_itemTap` when the pressed renderable is released.
+     */
+    function _itemPressEnd(event) {
+        var press = this._itemPress;
+        var pointer = this._getPointer(event, press.identifier);
+        if (!pointer) {
+            return;
+        }
+        this._cancelItemPress();
+        if ((event.type !== 'touchcancel') && this._isTapDistance(press.start, pointer)) {
+            this._itemTap(press.renderNode, event);
+        }
+    }
+
+    /**
+     * Cancels a pending press, so that it is not considered a tap or long-press
+     * (e.g. when another gesture takes over the pointer).
+     *
+     * @private
+     */
+    LayoutController.prototype._cancelItemPress = function () {
+        var press = this._itemPress;
+        if (press) {
+            this._itemPress = undefined;
+            if (press.timer) {
+                Timer.clear(press.timer);
+            }
+            this._listenPointer(press, false);
+        }
+    };
+
+    /**
+     * Checks whether presses on renderables should be tracked. The layout-controller
+     * only tracks presses for selecting renderables.
+     *
+     * @private
+     */
+    LayoutController.prototype._canPressItem = function () {
+        return !this._reorder && ((this.options.selectionMode === 'single') || (this.options.selectionMode === 'multiple'));
+    };
+
+    /**
+     * Called when a renderable is tapped, selects the renderable. In `multiple` mode,
+     * holding ctrl/cmd toggles the renderable and holding shift selects the range from
+     * the previously tapped renderable. Tapping on a touch-screen always toggles the
+     * renderable in `multiple` mode.
+     *
+     * @private
+     */
+    LayoutController.prototype._itemTap = function (renderNode, event) {
+        if ((this.options.selectionMode !== 'single') && (this.options.selectionMode !== 'multiple')) {
+            return;
+        }
+        var key = _getSelectionKey.call(this, renderNode);
+        var keys;
+        if (this.options.selectionMode !== 'multiple') {
+            keys = new Map();
+            keys.set(key, true);
+        }
+        else if (event.shiftKey && (this._selection.anchor !== undefined)) {
+            keys = _getSelectionRange.call(this, _getSelectionRenderNode.call(this, this._selection.anchor), renderNode);
+            if (event.ctrlKey || event.metaKey) {
+                this._selection.keys.forEach(function(value, selectedKey) {
+                    keys.set(selectedKey, true);
+                });
+            }
+        }
+        else {
+            if (event.ctrlKey || event.metaKey || event.changedTouches) {
+                keys = new Map();
+                this._selection.keys.forEach(function(value, selectedKey) {
+                    keys.set(selectedKey, true);
+                });
+            }
+            else {
+                keys = new Map();
+            }
+            if (keys.has(key)) {
+                keys.delete(key);
+            }
+            else {
+                keys.set(key, true);
+            }
+            this._selection.anchor = key;
+        }
+        _setSelectionKeys.call(this, keys);
+    };
+
+    /**
+     * Called when a renderable is long-pressed (only when the `longPressDelay`
+     * option is set).
+     *
+     * @private
+     */
+    LayoutController.prototype._itemLongPress = function (renderNode, event) {
+        // override to implement
+    };
+
+    /**
+     * Checks whether a renderable is selected.
+     *
+     * @param {Renderable} renderNode Renderable to check.
+     * @return {Bool} true when selected
+     */
+    LayoutController.prototype.isSelected = function (renderNode) {
+        return this._selection.keys.has(_getSelectionKey.call(this, renderNode));
+    };
+
+    /**
+     * Selects or deselects a renderable. Unless `selectionMode` is `'multiple'`,
+     * selecting a renderable deselects all other renderables.
+     *
+     * The selection is keyed by the renderable (or by the key of the data-model when
+     * `setDataModels` is used), and is therefore retained when renderables are inserted,
+     * removed or moved.
+     *
+     * @param {Renderable} renderNode Renderable to select or deselect.
+     * @param {Bool} [selected] Selected state (default: `true`).
+     * @return {LayoutController} this
+     */
+    LayoutController.prototype.setSelected = function (renderNode, selected) {
+        var key = _getSelectionKey.call(this, renderNode);
+        var keys = new Map();
+        if ((selected === false) || (this.options.selectionMode === 'multiple')) {
+            this._selection.keys.forEach(function(value, selectedKey) {
+                keys.set(selectedKey, true);
+            });
+        }
+        if (selected === false) {
+            keys.delete(key);
+        }
+        else {
+            keys.set(key, true);
+            this._selection.anchor = key;
+        }
+        _setSelectionKeys.call(this, keys);
+        return this;
+    };
+
+    /**
+     * Get the selected renderables, in the order of the data-source.
+     *
+     * @return {Array} array of renderables
+     */
+    LayoutController.prototype.getSelection = function () {
+        var selection = [];
+        if (this._selection.keys.size && (this._nodesById || this._viewSequence)) {
+            _forEachRenderable.call(this, function(renderNode) {
+                if (this._selection.keys.has(_getSelectionKey.call(this, renderNode))) {
+                    selection.push(renderNode);
+                }
+            }.bind(this));
+        }
+        return selection;
+    };
+
+    /**
+     * Replaces the selection with the given renderables.
+     *
+     * @param {Array} renderNodes Renderables to select.
+     * @return {LayoutController} this
+     */
+    LayoutController.prototype.setSelection = function (renderNodes) {
+        var keys = new Map();
+        for (var i = 0; i < renderNodes.length; i++) {
+            keys.set(_getSelectionKey.call(this, renderNodes[i]), true);
+        }
+        this._selection.anchor = renderNodes.length ? _getSelectionKey.call(this, renderNodes[renderNodes.length - 1]) : undefined;
+        _setSelectionKeys.call(this, keys);
+        return this;
+    };
+
+    /**
+     * Deselects all renderables.
+     *
+     * @return {LayoutController} this
+     */
+    LayoutController.prototype.clearSelection = function () {
+        this._selection.anchor = undefined;
+        _setSelectionKeys.call(this, new Map());
+        return this;
+    };
+
     /**
      * Return size of contained element or `undefined` when size is not defined.
      *
@@ -912,6 +2826,7 @@ define(function (require, exports, module) {
         }
 
         this._isDisplaying = true;
+        this._updateReorderGroup(context);
         var sizeChanged = size[0] !== this._contextSizeCache[0] ||
             size[1] !== this._contextSizeCache[1];
         if (sizeChanged) {
@@ -926,9 +2841,11 @@ define(function (require, exports, module) {
                 sizeChanged ||
                 this._isDirty ||
                 this._nodes._trueSizeRequested ||
+                this._reLayout ||
                 this.options.alwaysLayout
             )
         ) {
+            this._reLayout = false;
 
             // Emit start event
             var eventData = {
@@ -976,6 +2893,10 @@ define(function (require, exports, module) {
             if (this.options.size && (this.options.size[this._direction] === true)) {
                 scrollEnd = 1000000; // calculate scroll-length
             }
+            // Layout from the head, as renderables may have been inserted or moved before it
+            if (this._viewSequence && this._viewSequence.getHead) {
+                this._viewSequence = this._viewSequence.getHead() || this._viewSequence;
+            }
             var layoutContext = this._nodes.prepareForLayout(
                 this._viewSequence,     // first node to layout
                 this._nodesById, {      // so we can do fast id lookups
@@ -986,12 +2907,7 @@ define(function (require, exports, module) {
             );
 
             // Layout objects
-            if (this._layout._function) {
-                this._layout._function(
-                    layoutContext,          // context which the layout-function can use
-                    this._layout.options    // additional layout-options
-                );
-            }
+            this._executeLayoutFunction(layoutContext);
 
             // Mark non-invalidated nodes for removal
             this._nodes.removeNonInvalidatedNodes(this.options.flowOptions.removeSpec);
@@ -1039,6 +2955,7 @@ define(function (require, exports, module) {
             this._lastResultUntouched = !result.modified;
         }
         this._hasOngoingTransition = result && result.ongoingTransition;
+        this._processUpdateCallbacks(eventData !== undefined, result); // eventData is only set when a layout was performed
 
         // Render child-nodes every commit
         var target = this._commitOutput.target;
@@ -1095,6 +3012,8 @@ define(function (require, exports, module) {
         if (this.options.flow) {
             this._resetFlowState = true;
         }
+        this._reorderBounds = undefined;
+        _setReorderGroup.call(this, undefined);
         this._isDisplaying = false
     };
 
@@ -0,0 +1,182 @@
+/**
+ * This Source Code is licensed under the MIT license. If a copy of the
+ * MIT-license was not distributed with this file, You can obtain one at:
+ * http://opensource.org/licenses/mit-license.html.
+ *
+ * @author: Hein Rutjes (IjzerenHein)
+ * @license MIT
+ * @copyright Gloey Apps, 2015
+ */
+
+/**
+ * LayoutEvaluator runs a layout-function without rendering anything. It requires
+ * no famo.us Engine, Entity or DOM, which makes it suitable for unit-testing
+ * layout-functions and for server-side calculations.
+ *
+ * The items that are layed out are plain objects that specify their (true) size using
+ * the `size` property. Any object that has a `getSize` function (e.g. a Surface) can also
+ * be used. The items are passed to the layout-function as is, so that properties such
+ * as `flex` (FlexboxLayout) are available to the layout-function.
+ *
+ * **Example:**
+ *
+ * ```javascript
+ * var LayoutEvaluator = require('famous-flex/LayoutEvaluator');
+ * var ListLayout = require('famous-flex/layouts/ListLayout');
+ *
+ * var result = LayoutEvaluator.evaluate(ListLayout, {
+ *   layoutOptions: {spacing: 10},
+ *   size: [320, 480],
+ *   items: [{size: [undefined, 50]}, {size: [undefined, 50]}, {size: [undefined, 100]}]
+ * });
+ * // result[2].translate -> [0, 120, 0]
+ * // result[2].size -> [320, 100]
+ * ```
+ *
+ * @module
+ */
+define(function(require, exports, module) {
+
+    // import dependencies
+    var Utility = require('famous/utilities/Utility');
+    var LayoutUtility = require('./LayoutUtility');
+    var LayoutNodeManager = require('./LayoutNodeManager');
+    var LayoutNode = require('./LayoutNode');
+    var LinkedListViewSequence = require('./LinkedListViewSequence');
+    var Map = require('es6-map');
+    require('./helpers/LayoutDockHelper');
+    require('./helpers/LayoutConstraintHelper');
+
+    /**
+     * @class
+     * @alias module:LayoutEvaluator
+     */
+    function LayoutEvaluator() {
+    }
+
+    /**
+     * Returns the layout-function for a layout-function or layout-literal.
+     */
+    function _getLayoutFunction(layout) {
+        if (layout instanceof Function) {
+            return layout;
+        }
+        var helperName = Object.keys(layout)[0];
+        var Helper = LayoutUtility.getRegisteredHelper(helperName);
+        if (!Helper) {
+            LayoutUtility.error('No layout-helper registered for layout-literal "' + helperName + '"');
+        }
+        return function(context, options) {
+            var helper = new Helper(context, options);
+            helper.parse(layout[helperName]);
+        };
+    }
+
+    /**
+     * Returns the direction to use for the layout (see LayoutController.getDirection).
+     */
+    function _getDirection(layout, direction) {
+        var capabilities = (layout instanceof Function) ? layout.Capabilities : undefined;
+        if (capabilities && capabilities.direction) {
+            if (Array.isArray(capabilities.direction)) {
+                return (capabilities.direction.indexOf(direction) >= 0) ? direction : capabilities.direction[0];
+            }
+            return capabilities.direction;
+        }
+        return (direction === undefined) ? Utility.Direction.Y : direction;
+    }
+
+    /**
+     * Copies the properties of a `set` into a result-spec.
+     */
+    function _createResultSpec(set) {
+        var spec = {
+            size: set.size ? set.size.slice(0) : undefined,
+            translate: set.translate ? set.translate.slice(0) : [0, 0, 0],
+            opacity: (set.opacity === undefined) ? 1 : set.opacity,
+            scrollLength: set.scrollLength
+        };
+        var properties = ['origin', 'align', 'rotate', 'scale', 'skew'];
+        for (var i = 0; i < properties.length; i++) {
+            if (set[properties[i]]) {
+                spec[properties[i]] = set[properties[i]].slice(0);
+            }
+        }
+        return spec;
+    }
+
+    /**
+     * Evaluates a layout-function and returns the resulting spec for each item.
+     *
+     * When `items` is an array, an array is returned in which each element contains
+     * the spec of the item at that index. When `items` is an object with key/value
+     * pairs, an object is returned with a spec per key. Items that were not layed out
+     * by the layout-function have an `undefined` spec.
+     *
+     * Each spec contains the `size`, `translate`, `opacity` and `scrollLength` as set
+     * by the layout-function, and optionally `origin`, `align`, `rotate`, `scale` & `skew`.
+     *
+     * @param {Function|Object} layout Layout function or layout-literal.
+     * @param {Object} options Options.
+     * @param {Size} options.size Size in which to layout the items.
+     * @param {Array|Object} options.items Array or Object with key/value pairs of items (e.g. `{size: [100, 50]}`).
+     * @param {Object} [options.layoutOptions] Options to pass in to the layout-function.
+     * @param {Utility.Direction} [options.direction] Direction to layout into (when omitted the default direction of the layout is used).
+     * @param {Number} [options.scrollOffset] Scroll-offset to pass in to the layout-function (default: `0`).
+     * @param {Number} [options.scrollStart] Start of the visible area (default: `0`).
+     * @param {Number} [options.scrollEnd] End of the visible area (default: `size` in the direction of the layout).
+     * @param {Number} [options.alignment] Alignment of scrollable layouts, 0 = top/left, 1 = bottom/right (default: `0`).
+     * @return {Array|Object} specs
+     */
+    LayoutEvaluator.evaluate = function(layout, options) {
+        var layoutFunction = _getLayoutFunction(layout);
+        var renderNodes = options.items || [];
+        var sequential = Array.isArray(renderNodes);
+
+        // Prepare the context
+        var nodes = new LayoutNodeManager(LayoutNode);
+        var context = nodes.prepareForLayout(
+            sequential ? new LinkedListViewSequence(renderNodes) : undefined,
+            sequential ? undefined : renderNodes, {
+                size: options.size,
+                direction: _getDirection(layout, options.direction),
+                reverse: options.alignment ? true : false,
+                scrollOffset: options.scrollOffset,
+                scrollStart: options.scrollStart,
+                scrollEnd: options.scrollEnd
+            }
+        );
+
+        // Capture the sets of the layout-function. The layout-function may re-use its
+        // set objects, and therefore a copy is made on each call.
+        var sets = new Map();
+        var layoutContext = Object.create(context);
+        layoutContext.set = function(contextNodeOrId, set) {
+            var contextNode = (typeof contextNodeOrId === 'string') ? context.get(contextNodeOrId) : contextNodeOrId;
+            if (contextNode) {
+                sets.set(contextNode.renderNode, _createResultSpec(set));
+            }
+            return context.set(contextNodeOrId, set);
+        };
+        layoutFunction(layoutContext, options.layoutOptions || {});
+
+        // Map the specs back onto the items
+        var result;
+        if (sequential) {
+            result = renderNodes.map(function(renderNode) {
+                return sets.get(renderNode);
+            });
+        }
+        else {
+            result = {};
+            for (var id in renderNodes) {
+                result[id] = Array.isArray(renderNodes[id]) ? renderNodes[id].map(function(renderNode) {
+                    return sets.get(renderNode);
+                }) : sets.get(renderNodes[id]);
+            }
+        }
+        return result;
+    };
+
+    module.exports = LayoutEvaluator;
+});
@@ -29,9 +29,8 @@ define(function(require, exports, module) {
     var LayoutContext = require('./LayoutContext');
     var Map = require('es6-map');
     var LayoutUtility = require('./LayoutUtility');
-    var Surface = require('famous/core/Surface');
+    var Surface; // loaded lazily, see `_isSurface`
     var RenderNode = require('famous/core/RenderNode');
-    var FlowLayoutNode = require('./FlowLayoutNode.js');
     var LayoutNode = require('./LayoutNode.js');
 
     var MAX_POOL_SIZE = 100;
@@ -55,6 +54,8 @@ define(function(require, exports, module) {
             set: _contextSet.bind(this),
             transition: _contextTransition.bind(this),
             resolveSize: _contextResolveSize.bind(this),
+            getCache: _contextGetCache.bind(this),
+            setCrossScrollLength: _contextSetCrossScrollLength.bind(this),
             size: [0, 0]
 
         });
@@ -76,6 +77,8 @@ define(function(require, exports, module) {
         //this._first = undefined; // first item in the linked list
         //this._nodesById = undefined;
         //this._trueSizeRequested = false;
+        //this._caches = undefined;
+        //this._crossScrollLength = undefined;
     }
 
     /**
@@ -100,7 +103,9 @@ define(function(require, exports, module) {
         var context = this._context;
         this._layoutCount++;
         this._nodesById = nodesById;
+        this._getCell = contextData.getCell;
         this._trueSizeRequested = false;
+        this._crossScrollLength = undefined;
         this._reevalTrueSize =
             contextData.reevalTrueSize ||
             !context.size ||
@@ -131,10 +136,27 @@ define(function(require, exports, module) {
         context.scrollOffset = contextData.scrollOffset || 0;
         context.scrollStart = contextData.scrollStart || 0;
         context.scrollEnd = contextData.scrollEnd || context.size[context.direction];
+        context.zoom = (contextData.zoom === undefined) ? 1 : contextData.zoom;
+        context.crossScrollOffset = contextData.crossScrollOffset || 0;
         //context.cycle++;
         return context;
     };
 
+    /**
+     * Rewinds the enumeration state of the context, so that the data-source can
+     * be enumerated again from the start in the same layout iteration. This is used
+     * when multiple layout-functions are executed at once (e.g. when morphing from
+     * one layout to another).
+     */
+    LayoutNodeManager.prototype.rewindContext = function() {
+        var contextState = this._contextState;
+        contextState.nextSequence = contextState.startSequence;
+        contextState.prevSequence = contextState.startSequence;
+        contextState.nextGetIndex = 0;
+        contextState.prevGetIndex = 0;
+        contextState.lastRenderNode = undefined;
+    };
+
     /**
      * When the layout-function no longer lays-out the node, then it is not longer
      * being invalidated. In this case the destination is set to the removeSpec
@@ -245,6 +267,18 @@ define(function(require, exports, module) {
         return undefined;
     };
 
+    /**
+     * Removes a layout-node immediately, without animating it towards the remove-spec.
+     *
+     * @param {LayoutNode} node layout-node to remove
+     */
+    LayoutNodeManager.prototype.removeNode = function(node) {
+        if (this._contextState.start === node) {
+            this._contextState.start = undefined;
+        }
+        _destroyNode.call(this, node);
+    };
+
     /**
      * Inserts a layout-node into the linked-list.
      *
@@ -331,15 +365,25 @@ define(function(require, exports, module) {
     };
 
     LayoutNodeManager.prototype.getLayoutNodeClassForRenderNode = function(renderNode) {
+        // When partial-flow is enabled, `this.LayoutNode` is the FlowLayoutNode class (it
+        // is not imported here, so that the manager can be used without the famo.us Engine)
         if (this._partialFlow) {
             if (renderNode.isFlowy) {
-                return FlowLayoutNode;
+                return this.LayoutNode;
             } else {
                 return LayoutNode;
             }
         }
       return this.LayoutNode;
     };
+
+    /**
+     * Clears the state that layout-functions keep between layouts
+     * (see `LayoutContext.getCache`).
+     */
+    LayoutNodeManager.prototype.clearCaches = function() {
+        this._caches = undefined;
+    };
     /**
      * Removes all nodes.
      */
@@ -627,6 +671,14 @@ define(function(require, exports, module) {
      * Resolve id into a context-node.
      */
     function _contextGet(contextNodeOrId) {
+        if (this._getCell && Array.isArray(contextNodeOrId)) {
+            var cell = this._getCell(contextNodeOrId[0], contextNodeOrId[1]);
+            return cell ? {
+                renderNode: cell,
+                byId: true,
+                cell: contextNodeOrId
+            } : undefined;
+        }
         if (this._nodesById && ( typeof contextNodeOrId === 'string' || typeof contextNodeOrId === 'number')) {
             var renderNode = this._nodesById[contextNodeOrId];
             if (!renderNode) {
@@ -656,6 +708,28 @@ define(function(require, exports, module) {
         }
     }
 
+    /**
+     * Gets the cache for the given key, in which a layout-function can keep
+     * state between layouts.
+     */
+    function _contextGetCache(key) {
+        this._caches = this._caches || new Map();
+        var cache = this._caches.get(key);
+        if (!cache) {
+            cache = new Map();
+            this._caches.set(key, cache);
+        }
+        return cache;
+    }
+
+    /**
+     * Remembers the length of the content along the other axis, so that
+     * the scroll-controller can scroll the content along that axis.
+     */
+    function _contextSetCrossScrollLength(length) {
+        this._crossScrollLength = length;
+    }
+
     /**
      * Set the node content
      */
@@ -670,7 +744,7 @@ define(function(require, exports, module) {
      * Set the node content
      */
     function _contextSet(contextNodeOrId, set) {
-        var contextNode = this._nodesById ? _contextGet.call(this, contextNodeOrId) : contextNodeOrId;
+        var contextNode = (this._nodesById || this._getCell) ? _contextGet.call(this, contextNodeOrId) : contextNodeOrId;
         if (contextNode !== undefined) {
             /* Keeps track of which nodes that have been set */
             this._nodeIdInCurrentBuild.set(contextNode.renderNode, true);
@@ -708,6 +782,20 @@ define(function(require, exports, module) {
         return set;
     }
 
+    /**
+     * Checks whether the renderNode is a famo.us Surface. The Surface module accesses
+     * the DOM when it is loaded, and is therefore only loaded when the renderNode looks
+     * like a Surface. This allows the node-manager to be used without a DOM (e.g. by the
+     * LayoutEvaluator in node.js).
+     */
+    function _isSurface(renderNode) {
+        if (!renderNode.setContent || !renderNode.deploy) {
+            return false;
+        }
+        Surface = Surface || require('famous/core/Surface');
+        return renderNode instanceof Surface;
+    }
+
     /**
      * Helper function that recursively discovers the configured size for a
      * given renderNode.
@@ -726,7 +814,7 @@ define(function(require, exports, module) {
                 return _resolveConfigSize(renderNode._child);
             }
         }
-        else if (renderNode instanceof Surface) {
+        else if (_isSurface(renderNode)) {
             return renderNode.size ? {
                 renderNode: renderNode,
                 size: renderNode.size
@@ -745,7 +833,7 @@ define(function(require, exports, module) {
      * Resolve the size of the layout-node from the renderable itsself.
      */
     function _contextResolveSize(contextNodeOrId, parentSize) {
-        var contextNode = this._nodesById ? _contextGet.call(this, contextNodeOrId) : contextNodeOrId;
+        var contextNode = (this._nodesById || this._getCell) ? _contextGet.call(this, contextNodeOrId) : contextNodeOrId;
         var resolveSize = this._pool.resolveSize;
         if (!contextNode) {
             resolveSize[0] = 0;
@@ -753,9 +841,9 @@ define(function(require, exports, module) {
             return resolveSize;
         }
 
-        // Get in use size
+        // Get in use size (plain objects may specify their size using the `size` property)
         var renderNode = contextNode.renderNode;
-        var size = renderNode.getSize();
+        var size = renderNode.getSize ? renderNode.getSize() : renderNode.size;
         if (!size) {
             return parentSize;
         }
@@ -768,7 +856,7 @@ define(function(require, exports, module) {
         var configSize = _resolveConfigSize(renderNode);
         if (configSize && ((configSize.size[0] === true) || (configSize.size[1] === true))) {
             contextNode.usesTrueSize = true;
-            if (configSize.renderNode instanceof Surface) {
+            if (_isSurface(configSize.renderNode)) {
                 var backupSize = configSize.renderNode._backupSize;
                 if (configSize.renderNode._contentDirty || configSize.renderNode._trueSizeCheck) {
                   this._trueSizeRequested = true;
@@ -50,8 +50,20 @@ define(function(require, exports, module) {
         this.length = 0;
         //this.head = undefined;
         //this.tail = undefined;
+        //this.observers = undefined;
     };
 
+    /**
+     * Notifies the observers of a change to the view-sequence.
+     */
+    function _notify(backing, type, sequence, renderNode, oldRenderNode) {
+        if (backing.observers) {
+            for (var i = 0; i < backing.observers.length; i++) {
+                backing.observers[i](type, sequence, renderNode, oldRenderNode);
+            }
+        }
+    }
+
     /*LinkedListViewSequence.prototype.verifyIntegrity = function() {
         var item = this._.head;
         var count = 0;
@@ -72,6 +84,41 @@ define(function(require, exports, module) {
         assert(count === this._.length, 'tail -> head, different count: ' + count + ' != ' + this._.length);
     };*/
 
+    /**
+     * Registers a function which is called whenever a renderable is inserted, removed
+     * or replaced. This allows e.g. a scroll-view to keep track of the total size of the
+     * items, without having to enumerate them all. The observer is called as
+     * `function(type, sequence, renderNode, oldRenderNode)`:
+     *
+     * |type|description|
+     * |---|---|
+     * |`insert`|`renderNode` has been inserted at `sequence`.|
+     * |`remove`|`sequence`, which holds `renderNode`, is about to be removed.|
+     * |`set`|the renderable of `sequence` has been changed from `oldRenderNode` into `renderNode`.|
+     *
+     * @param {Function} observer Function to call on changes.
+     * @return {LinkedListViewSequence} this
+     */
+    LinkedListViewSequence.prototype.addObserver = function(observer) {
+        this._.observers = this._.observers || [];
+        this._.observers.push(observer);
+        return this;
+    };
+
+    /**
+     * Unregisters an observer that was registered using `addObserver`.
+     *
+     * @param {Function} observer Function that was registered.
+     * @return {LinkedListViewSequence} this
+     */
+    LinkedListViewSequence.prototype.removeObserver = function(observer) {
+        var index = this._.observers ? this._.observers.indexOf(observer) : -1;
+        if (index >= 0) {
+            this._.observers.splice(index, 1);
+        }
+        return this;
+    };
+
     /**
      * Get head node.
      *
@@ -124,7 +171,11 @@ define(function(require, exports, module) {
      * @return {LinkedListViewSequence} this
      */
     LinkedListViewSequence.prototype.set = function(value) {
+        var oldValue = this._value;
         this._value = value;
+        if (oldValue !== value) {
+            _notify(this._, 'set', this, value, oldValue);
+        }
         return this;
     };
 
@@ -249,6 +300,7 @@ define(function(require, exports, module) {
             this._.tail = this;
             this._.length = 1;
             //this.verifyIntegrity();
+            _notify(this._, 'insert', this, renderNode);
             return this;
         }
         var sequence;
@@ -301,6 +353,7 @@ define(function(require, exports, module) {
         }
         this._.length++;
         //this.verifyIntegrity();
+        _notify(this._, 'insert', sequence, renderNode);
         return sequence;
     };
 
@@ -314,6 +367,7 @@ define(function(require, exports, module) {
         /*if (this._.debug) {
             console.log(this._.logName + ': remove (length: ' + this._.length + ')');
         }*/
+        _notify(this._, 'remove', sequence, sequence._value);
         if (sequence._prev && sequence._next) {
             sequence._prev._next = sequence._next;
             sequence._next._prev = sequence._prev;
@@ -419,8 +473,8 @@ define(function(require, exports, module) {
             throw new Error('Invalid second index specified to swap: ' + index2);
         }
         var swap = sequence1._value;
-        sequence1._value = sequence2._value;
-        sequence2._value = swap;
+        sequence1.set(sequence2._value);
+        sequence2.set(swap);
         //this.verifyIntegrity();
         return this;
     };
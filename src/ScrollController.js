@@ -19,8 +19,14 @@
  * -    Insert/remove renderables into the scene using animations/spec
  * -    Support for `true` size renderables
  * -    Horizontal/vertical direction
+ * -    Scrolling along the other axis, for layouts that are larger than the view (e.g. TableLayout)
  * -    Top/left or bottom/right alignment
+ * -    Scroll anchoring (keeps the visible content in place when items are inserted before it)
  * -    Pagination
+ * -    Pinch to zoom
+ * -    Pluggable scroll physics (iOS deceleration, Android fling, rubber-band)
+ * -    Content size estimation for virtualized lists (e.g. for scroll-bars)
+ * -    Item click, long-press & context-menu events which don't fire while scrolling
  * -    Option to embed in a ContainerSurface
  *
  * Events:
@@ -31,6 +37,13 @@
  * |scroll     |Emitted as the content scrolls (once for each frame the visible offset has changed).|
  * |pagechange |Emitted whenever the visible page changes.|
  * |scrollend  |Emitted after scrolling stops (when the scroll particle settles).|
+ * |restingoffset|Emitted when a gesture ends, with the predicted resting offset (see `snapPoints`), and again when the estimated snap-point turns out to be different.|
+ * |zoom       |Emitted whenever the zoom-scale changes (see `zoomable`).|
+ * |visiblerangechange|Emitted whenever items are added to or removed from the viewport.|
+ * |impression |Emitted when an item has been visible for at least `impressionDuration` ms (see `impressionThreshold`).|
+ * |itemclick  |Emitted when an item is tapped or clicked (not while scrolling).|
+ * |itemlongpress|Emitted when an item is pressed for at least `longPressDelay` ms.|
+ * |itemcontextmenu|Emitted when the context-menu is requested for an item (e.g. right-click).|
  *
  * Inherited from: [LayoutController](./LayoutController.md)
  * @module
@@ -43,16 +56,19 @@ define(function(require, exports, module) {
     var LayoutNode = require('./LayoutNode');
     var FlowLayoutNode = require('./FlowLayoutNode');
     var LayoutNodeManager = require('./LayoutNodeManager');
+    var Map = require('es6-map');
     var ContainerSurface = require('famous/surfaces/ContainerSurface');
     var Transform = require('famous/core/Transform');
     var EventHandler = require('famous/core/EventHandler');
     var Group = require('famous/core/Group');
-    var Vector = require('famous/math/Vector');
-    var PhysicsEngine = require('famous/physics/PhysicsEngine');
-    var Particle = require('famous/physics/bodies/Particle');
     var Drag = require('famous/physics/forces/Drag');
-    var Spring = require('famous/physics/forces/Spring');
     var ScrollSync = require('famous/inputs/ScrollSync');
+    var ParticlePhysics = require('./physics/ParticlePhysics');
+    var DecelerationPhysics = require('./physics/DecelerationPhysics');
+    var FlingPhysics = require('./physics/FlingPhysics');
+    var RubberBandPhysics = require('./physics/RubberBandPhysics');
+    var Transitionable = require('famous/transitions/Transitionable');
+    var SpringTransition = require('famous/transitions/SpringTransition');
     var LinkedListViewSequence = require('./LinkedListViewSequence');
 
     /**
@@ -76,7 +92,8 @@ define(function(require, exports, module) {
         GOTOSEQUENCE: 'goto-sequence',
         ENSUREVISIBLE: 'ensure-visible',
         GOTOPREVDIRECTION: 'goto-prev-direction',
-        GOTONEXTDIRECTION: 'goto-next-direction'
+        GOTONEXTDIRECTION: 'goto-next-direction',
+        SNAP: 'snap'
     };
 
     /**
@@ -87,6 +104,19 @@ define(function(require, exports, module) {
         SCROLL: 1
     };
 
+    // Maximum number of measured item-sizes that are remembered
+    var MAX_MEASURED_ITEMS = 10000;
+
+    /**
+     * Built-in physics models, which can be selected using the `scrollPhysics` option.
+     */
+    var PhysicsPreset = {
+        particle: ParticlePhysics,
+        deceleration: DecelerationPhysics,
+        fling: FlingPhysics,
+        rubberband: RubberBandPhysics
+    };
+
     /**
      * @class
      * @extends LayoutController
@@ -96,7 +126,9 @@ define(function(require, exports, module) {
      * @param {Bool} [options.paginated] Enabled pagination when set to `true` (default: `false`).
      * @param {Number} [options.paginationEnergyThreshold] Threshold after which pagination kicks in (default: `0.01`).
      * @param {PaginationMode} [options.paginationMode] Pagination-mode (either page-based or scroll-based) (default: `PaginationMode.PAGE`).
+     * @param {String|Array|Function} [options.snapPoints] Snaps to the `start`, `center` or `end` of an item, to an array of offsets, or to the offset returned by a function: `function(predictedOffset, velocity)` (default: `undefined`).
      * @param {Number} [options.alignment] Alignment of the renderables (0 = top/left, 1 = bottom/right) (default: `0`).
+     * @param {Bool} [options.scrollAnchoring] Keeps the first visible item (last visible item when aligned bottom/right) at the same offset when items before it are inserted, removed or resized (default: `false`).
      * @param {Bool} [options.mouseMove] Enables scrolling by holding the mouse-button down and moving the mouse (default: `false`).
      * @param {Bool} [options.enabled] Enables or disabled user input (default: `true`).
      * @param {Bool} [options.overscroll] Enables or disables overscroll (default: `true`).
@@ -104,7 +136,17 @@ define(function(require, exports, module) {
      * @param {Object} [options.scrollSpring] Spring-force options that are applied on the scroll particle when e.g. bounds is reached (default: `{dampingRatio: 1.0, period: 350}`)
      * @param {Object} [options.scrollDrag] Drag-force options to apply on the scroll particle
      * @param {Object} [options.scrollFriction] Friction-force options to apply on the scroll particle
+     * @param {String|Function|Object} [options.scrollPhysics] Physics model: `particle`, `deceleration` (iOS), `fling` (Android), `rubberband`, a ScrollPhysics constructor or instance (default: `particle`).
+     * @param {Object} [options.scrollPhysicsOptions] Options that are passed to the physics model (e.g. `{decelerationRate: 0.99}`).
      * @param {Bool} [options.layoutAll] When set to true, always lays out all renderables in the datasource (default: `false`).
+     * @param {Number|Function} [options.estimatedItemSize] Size that is used for items that have not yet been measured (`function(renderNode)`), when not set, the average size of the measured items is used.
+     * @param {Bool} [options.zoomable] Enables zooming using a two-finger pinch gesture (default: `false`).
+     * @param {Number} [options.minZoom] Minimum zoom-scale (default: `0.5`).
+     * @param {Number} [options.maxZoom] Maximum zoom-scale (default: `3`).
+     * @param {Object} [options.zoomSpring] Spring options that are used when the zoom-scale springs back within the bounds (default: `{dampingRatio: 1.0, period: 350}`).
+     * @param {Number} [options.impressionThreshold] Enables `impression` events for items that are visible for at least this fraction (e.g. `0.5`).
+     * @param {Number} [options.impressionDuration] Number of milliseconds an item should be visible before the `impression` event is emitted (default: `1000`).
+     * @param {Number} [options.longPressDelay] Number of milliseconds an item must be pressed before the `itemlongpress` event is emitted (default: `500`).
      * @alias module:ScrollController
      */
     function ScrollController(options) {
@@ -115,17 +157,10 @@ define(function(require, exports, module) {
         // Scrolling
         this._scroll = {
             activeTouches: [],
-            // physics-engine to use for scrolling
-            pe: new PhysicsEngine(this.options.scrollPhysicsEngine),
-            // particle that represents the scroll-offset
-            particle: new Particle(this.options.scrollParticle),
-            // drag-force that slows the particle down after a "flick"
-            dragForce: new Drag(this.options.scrollDrag),
-            frictionForce: new Drag(this.options.scrollFriction),
+            // physics model that moves the scroll-offset (see `scrollPhysics`)
+            physics: undefined,
             // spring
             springValue: undefined,
-            springForce: new Spring(this.options.scrollSpring),
-            springEndState: new Vector([0, 0, 0]),
             // group
             groupStart: 0,
             groupTranslate: [0, 0, 0],
@@ -135,10 +170,34 @@ define(function(require, exports, module) {
             scrollForce: 0,
             scrollForceCount: 0,
             unnormalizedScrollOffset: 0,
+            // item that is kept at the same offset (see `scrollAnchoring`)
+            //anchor: undefined,
             // state
             isScrolling: false
         };
 
+        // Zooming
+        this._zoom = {
+            // scale that is used when not pinching
+            transitionable: new Transitionable(1)
+            //pinch: undefined
+        };
+
+        // Visible items
+        this._visibleItems = [];
+
+        // Measured item sizes, used for estimating the content length
+        this._content = {
+            sizes: new Map(),
+            total: 0,
+            count: 0
+            //tracked: undefined,
+            //first: undefined,
+            //last: undefined,
+            //minIndex: undefined,
+            //maxIndex: undefined
+        };
+
         // Diagnostics
         this._debug = {
             layoutCount: 0,
@@ -149,16 +208,23 @@ define(function(require, exports, module) {
         this.group = new Group();
         this.group.add({render: _innerRender.bind(this)});
 
-        // Configure physics engine with particle and drag
-        this._scroll.pe.addBody(this._scroll.particle);
-        if (!this.options.scrollDrag.disabled) {
-            this._scroll.dragForceId = this._scroll.pe.attach(this._scroll.dragForce, this._scroll.particle);
-        }
-        if (!this.options.scrollFriction.disabled) {
-            this._scroll.frictionForceId = this._scroll.pe.attach(this._scroll.frictionForce, this._scroll.particle);
-        }
-        this._scroll.springForce.setOptions({ anchor: this._scroll.springEndState });
+        // Create physics model
+        this._scroll.physics = _createPhysics.call(this);
+
+        // Scrolling along the other axis, when the layout-function sets
+        // a cross scroll-length that is larger than the view
+        this._scroll.cross = {
+            physics: _createPhysics.call(this, true),
+            offset: 0,
+            delta: 0,
+            force: 0
+            //length: undefined,
+            //springValue: undefined,
+            //locked: undefined
+        };
 
+        // Listen for context-menus on items
+        this._eventInput.on('contextmenu', _itemContextMenu.bind(this));
 
         // Listen to touch events
         this._eventInput.on('touchstart', _touchStart.bind(this), {axis: this._direction});
@@ -203,6 +269,7 @@ define(function(require, exports, module) {
     ScrollController.prototype.constructor = ScrollController;
     ScrollController.Bounds = Bounds;
     ScrollController.PaginationMode = PaginationMode;
+    ScrollController.PhysicsPreset = PhysicsPreset;
 
     ScrollController.DEFAULT_OPTIONS = {
         useContainer: false,    // when true embeds inside a ContainerSurface for capturing input events & clipping
@@ -237,11 +304,15 @@ define(function(require, exports, module) {
         scrollSync: {
             scale: 0.2
         },
+        scrollPhysics: undefined, // 'particle', 'deceleration', 'fling', 'rubberband', constructor or instance
+        scrollPhysicsOptions: undefined,
         overscroll: true,
         paginated: false,
         paginationMode: PaginationMode.PAGE,
         paginationEnergyThreshold: 0.01,
+        snapPoints: undefined,  // 'start', 'center', 'end', [offsets] or function(predictedOffset, velocity)
         alignment: 0,         // [0: top/left, 1: bottom/right]
+        scrollAnchoring: false,
         touchMoveDirectionThreshold: undefined, // 0..1
         touchMoveNoVelocityDuration: 100,
         mouseMove: false,
@@ -251,6 +322,17 @@ define(function(require, exports, module) {
         layoutAll: false,       // set to true is you want all renderables layed out/rendered
         alwaysLayout: false,    // set to true to always call the layout function
         extraBoundsSpace: [100, 100],
+        estimatedItemSize: undefined, // size or function(renderNode) for items that have not been measured yet
+        zoomable: false,
+        minZoom: 0.5,
+        maxZoom: 3,
+        zoomSpring: {
+            dampingRatio: 1.0,
+            period: 350
+        },
+        impressionThreshold: undefined,
+        impressionDuration: 1000,
+        longPressDelay: 500,
         debug: false
     };
 
@@ -261,7 +343,9 @@ define(function(require, exports, module) {
      * @param {Bool} [options.paginated] Enabled pagination when set to `true` (default: `false`).
      * @param {Number} [options.paginationEnergyThreshold] Threshold after which pagination kicks in (default: `0.01`).
      * @param {PaginationMode} [options.paginationMode] Pagination-mode (either page-based or scroll-based) (default: `PaginationMode.PAGE`).
+     * @param {String|Array|Function} [options.snapPoints] Snaps to the `start`, `center` or `end` of an item, to an array of offsets, or to the offset returned by a function: `function(predictedOffset, velocity)` (default: `undefined`).
      * @param {Number} [options.alignment] Alignment of the renderables (0 = top/left, 1 = bottom/right) (default: `0`).
+     * @param {Bool} [options.scrollAnchoring] Keeps the first visible item (last visible item when aligned bottom/right) at the same offset when items before it are inserted, removed or resized (default: `false`).
      * @param {Bool} [options.mouseMove] Enables scrolling by holding the mouse-button down and moving the mouse (default: `false`).
      * @param {Bool} [options.enabled] Enables or disables user input (default: `true`).
      * @param {Bool} [options.overscroll] Enables or disables overscroll (default: `true`).
@@ -269,7 +353,16 @@ define(function(require, exports, module) {
      * @param {Object} [options.scrollSpring] Spring-force options that are applied on the scroll particle when e.g. bounds is reached (default: `{dampingRatio: 1.0, period: 500}`)
      * @param {Object} [options.scrollDrag] Drag-force options to apply on the scroll particle
      * @param {Object} [options.scrollFriction] Friction-force options to apply on the scroll particle
+     * @param {String|Function|Object} [options.scrollPhysics] Physics model: `particle`, `deceleration` (iOS), `fling` (Android), `rubberband`, a ScrollPhysics constructor or instance (default: `particle`).
+     * @param {Object} [options.scrollPhysicsOptions] Options that are passed to the physics model (e.g. `{decelerationRate: 0.99}`).
      * @param {Bool} [options.layoutAll] When set to true, always lays out all renderables in the datasource (default: `false`).
+     * @param {Number|Function} [options.estimatedItemSize] Size that is used for items that have not yet been measured (`function(renderNode)`).
+     * @param {Bool} [options.zoomable] Enables zooming using a two-finger pinch gesture (default: `false`).
+     * @param {Number} [options.minZoom] Minimum zoom-scale (default: `0.5`).
+     * @param {Number} [options.maxZoom] Maximum zoom-scale (default: `3`).
+     * @param {Number} [options.impressionThreshold] Enables `impression` events for items that are visible for at least this fraction (e.g. `0.5`).
+     * @param {Number} [options.impressionDuration] Number of milliseconds an item should be visible before the `impression` event is emitted.
+     * @param {Number} [options.longPressDelay] Number of milliseconds an item must be pressed before the `itemlongpress` event is emitted.
      * @return {ScrollController} this
      */
     ScrollController.prototype.setOptions = function(options) {
@@ -286,12 +379,29 @@ define(function(require, exports, module) {
                 touchMoveDirectionThreshold: options.touchMoveDirectionThresshold
             });
         }
+        if (this._content && options.hasOwnProperty('estimatedItemSize')) {
+            _untrackContent.call(this); // estimates are re-evaluated using the new option
+        }
         if (this._scroll) {
-            if (options.scrollSpring) {
-                this._scroll.springForce.setOptions(options.scrollSpring);
+            if (options.scrollPhysics !== undefined) {
+                _setPhysics.call(this, this._scroll, _createPhysics.call(this));
+                _setPhysics.call(this, this._scroll.cross, _createPhysics.call(this, true));
             }
-            if (options.scrollDrag) {
-                this._scroll.dragForce.setOptions(options.scrollDrag);
+            else {
+                var models = [this._scroll.physics, this._scroll.cross.physics];
+                for (var i = 0; i < models.length; i++) {
+                    if (options.scrollPhysicsOptions) {
+                        models[i].setOptions(options.scrollPhysicsOptions);
+                    }
+                    if (models[i] instanceof ParticlePhysics) {
+                        if (options.scrollSpring) {
+                            models[i].setOptions({spring: options.scrollSpring});
+                        }
+                        if (options.scrollDrag) {
+                            models[i].setOptions({drag: options.scrollDrag});
+                        }
+                    }
+                }
             }
         }
         if (options.scrollSync && this._scrollSync) {
@@ -300,6 +410,57 @@ define(function(require, exports, module) {
         return this;
     };
 
+    /**
+     * Creates the physics model based on the `scrollPhysics` option. When `cross` is
+     * set, a separate model is created for scrolling along the other axis.
+     */
+    function _createPhysics(cross) {
+        var physics = this.options.scrollPhysics || ParticlePhysics;
+        if ((typeof physics === 'string') || (physics instanceof String)) {
+            if (!PhysicsPreset[physics]) {
+                LayoutUtility.error('Unknown scroll-physics preset: ' + physics);
+            }
+            physics = PhysicsPreset[physics];
+        }
+        if (physics === ParticlePhysics) {
+            return new ParticlePhysics(LayoutUtility.combineOptions({
+                physicsEngine: this.options.scrollPhysicsEngine,
+                particle: this.options.scrollParticle,
+                drag: this.options.scrollDrag,
+                friction: this.options.scrollFriction,
+                spring: this.options.scrollSpring
+            }, this.options.scrollPhysicsOptions));
+        }
+        else if (physics instanceof Function) {
+            var PhysicsModel = physics;
+            return new PhysicsModel(this.options.scrollPhysicsOptions);
+        }
+        else if (cross) {
+            var CrossPhysicsModel = physics.constructor;
+            return new CrossPhysicsModel(this.options.scrollPhysicsOptions);
+        }
+        return physics;
+    }
+
+    /**
+     * Replaces the physics model of the scroll-direction (`this._scroll`) or of the
+     * other axis (`this._scroll.cross`), while preserving the position and velocity.
+     */
+    function _setPhysics(scroll, physics) {
+        var oldPhysics = scroll.physics;
+        if (oldPhysics === physics) {
+            return;
+        }
+        physics.step(Date.now());
+        physics.setPosition(oldPhysics.getPosition());
+        physics.setVelocity(oldPhysics.getVelocity());
+        oldPhysics.setSpringPosition(undefined);
+        oldPhysics.setVelocity(0);
+        scroll.physics = physics;
+        scroll.springValue = undefined;
+        this._scroll.scrollDirty = true;
+    }
+
     /**
      * Called whenever a layout-node is created/re-used. Initializes
      * the node with the `insertSpec` if it has been defined and enabled
@@ -348,21 +509,8 @@ define(function(require, exports, module) {
         var springValue = this._scroll.scrollForceCount ? undefined : this._scroll.springPosition;
         if (this._scroll.springValue !== springValue) {
             this._scroll.springValue = springValue;
-            if (springValue === undefined) {
-                if (this._scroll.springForceId !== undefined) {
-                    this._scroll.pe.detach(this._scroll.springForceId);
-                    this._scroll.springForceId = undefined;
-                    //_log.call(this, 'disabled spring');
-                }
-            }
-            else {
-                if (this._scroll.springForceId === undefined) {
-                    this._scroll.springForceId = this._scroll.pe.attach(this._scroll.springForce, this._scroll.particle);
-                }
-                this._scroll.springEndState.set1D(springValue);
-                this._scroll.pe.wake();
-                //_log.call(this, 'setting spring to: ', springValue, ' (', this._scroll.springSource, ')');
-            }
+            this._scroll.physics.setSpringPosition(springValue);
+            //_log.call(this, 'setting spring to: ', springValue, ' (', this._scroll.springSource, ')');
         }
     }
 
@@ -373,6 +521,51 @@ define(function(require, exports, module) {
         return event.timeStamp || Date.now();
     }
 
+    /**
+     * Checks whether the content is larger than the view along the other
+     * axis, so that it can be scrolled along that axis.
+     */
+    function _canCrossScroll() {
+        return (this._scroll.cross.length || 0) > this._contextSizeCache[this._direction ? 0 : 1];
+    }
+
+    /**
+     * Returns the distance a gesture has moved along the scroll-direction. When the
+     * content can also be scrolled along the other axis, the gesture is locked to the
+     * axis along which it started moving. The distance along the other axis is then
+     * applied to the cross scroll-offset.
+     */
+    function _getMoveDelta(start, current) {
+        var cross = this._scroll.cross;
+        var crossDirection = this._direction ? 0 : 1;
+        if ((cross.locked === undefined) && _canCrossScroll.call(this)) {
+            var crossDelta = Math.abs(current[crossDirection] - start[crossDirection]);
+            var delta = Math.abs(current[this._direction] - start[this._direction]);
+            if (crossDelta || delta) {
+                cross.locked = crossDelta > delta;
+            }
+        }
+        if (cross.locked) {
+            cross.force = current[crossDirection] - start[crossDirection];
+            return 0;
+        }
+        return current[this._direction] - start[this._direction];
+    }
+
+    /**
+     * Ends the scrolling along the other axis when a gesture is released,
+     * and applies the velocity along that axis.
+     */
+    function _releaseCrossForce(velocity) {
+        var cross = this._scroll.cross;
+        if (cross.locked) {
+            cross.physics.setPosition(_calcCrossScrollOffset.call(this));
+            cross.physics.setVelocity(velocity);
+            cross.force = 0;
+        }
+        cross.locked = undefined;
+    }
+
     /**
      * Called whenever the user presses the mouse button on the scrollview
      */
@@ -387,6 +580,7 @@ define(function(require, exports, module) {
         // cleared.
         if (this._scroll.mouseMove) {
             this.releaseScrollForce(this._scroll.mouseMove.delta);
+            _releaseCrossForce.call(this, 0);
         }
 
         // Calculate start of move operation
@@ -427,7 +621,7 @@ define(function(require, exports, module) {
         }
 
         // Update scroll-force
-        var delta = this._scroll.mouseMove.current[this._direction] - this._scroll.mouseMove.start[this._direction];
+        var delta = _getMoveDelta.call(this, this._scroll.mouseMove.start, this._scroll.mouseMove.current);
         this.updateScrollForce(this._scroll.mouseMove.delta, delta);
         this._scroll.mouseMove.delta = delta;
     }
@@ -440,16 +634,20 @@ define(function(require, exports, module) {
 
         // Calculate delta and velocity
         var velocity = 0;
+        var crossVelocity = 0;
         var diffTime = this._scroll.mouseMove.time - this._scroll.mouseMove.prevTime;
         if ((diffTime > 0) && ((_getEventTimestamp(event) - this._scroll.mouseMove.time) <= this.options.touchMoveNoVelocityDuration)) {
             var diffOffset = this._scroll.mouseMove.current[this._direction] - this._scroll.mouseMove.prev[this._direction];
             velocity = diffOffset / diffTime;
+            var crossDirection = this._direction ? 0 : 1;
+            crossVelocity = (this._scroll.mouseMove.current[crossDirection] - this._scroll.mouseMove.prev[crossDirection]) / diffTime;
         }
 
         // Release scroll force
         var swipeDirection = (Math.abs(this._scroll.mouseMove.current[0] - this._scroll.mouseMove.prev[0]) > Math.abs(this._scroll.mouseMove.current[1] - this._scroll.mouseMove.prev[1])) ? 0 : 1;
         var allowSwipes = (swipeDirection === this._direction);
-        this.releaseScrollForce(this._scroll.mouseMove.delta, velocity, allowSwipes);
+        this.releaseScrollForce(this._scroll.mouseMove.delta, this._scroll.cross.locked ? 0 : velocity, allowSwipes);
+        _releaseCrossForce.call(this, crossVelocity);
         this._scroll.mouseMove = undefined;
     }
 
@@ -524,6 +722,11 @@ define(function(require, exports, module) {
             this.applyScrollForce(0);
             this._scroll.touchDelta = 0;
         }
+
+        // When a second finger is placed on the screen, start pinching
+        if (this.options.zoomable && this.options.enabled && !this._zoom.pinch && (this._scroll.activeTouches.length >= 2)) {
+            _startPinch.call(this);
+        }
     }
 
     /**
@@ -550,7 +753,7 @@ define(function(require, exports, module) {
                             Math.abs(changedTouch.clientY - touch.prev[1]),
                             Math.abs(changedTouch.clientX - touch.prev[0])) / (Math.PI / 2.0);
                     var directionDiff = Math.abs(this._direction - moveDirection);
-                    if ((this.options.touchMoveDirectionThreshold === undefined) || (directionDiff <= this.options.touchMoveDirectionThreshold)){
+                    if (this._zoom.pinch || (this.options.touchMoveDirectionThreshold === undefined) || (directionDiff <= this.options.touchMoveDirectionThreshold)){
                         touch.prev = touch.current;
                         touch.current = [changedTouch.clientX, changedTouch.clientY];
                         touch.prevTime = touch.time;
@@ -562,9 +765,14 @@ define(function(require, exports, module) {
             }
         }
 
+        // While pinching, the fingers zoom rather than scroll
+        if (this._zoom.pinch) {
+            _updatePinch.call(this);
+        }
+
         // Update move offset and emit event
-        if (primaryTouch) {
-            var delta = primaryTouch.current[this._direction] - primaryTouch.start[this._direction];
+        else if (primaryTouch) {
+            var delta = _getMoveDelta.call(this, primaryTouch.start, primaryTouch.current);
             this.updateScrollForce(this._scroll.touchDelta, delta);
             this._scroll.touchDelta = delta;
         }
@@ -601,6 +809,22 @@ define(function(require, exports, module) {
             }
         }
 
+        // When less than two fingers remain, stop pinching. The remaining finger
+        // continues scrolling from its current position.
+        var crossDirection = this._direction ? 0 : 1;
+        var pinchEnded = false;
+        if (this._zoom.pinch && (this._scroll.activeTouches.length < 2)) {
+            _endPinch.call(this);
+            pinchEnded = true;
+            if (this._scroll.activeTouches.length) {
+                var remainingTouch = this._scroll.activeTouches[0];
+                remainingTouch.start[this._direction] = remainingTouch.current[this._direction] - this._scroll.touchDelta;
+                remainingTouch.start[crossDirection] = remainingTouch.current[crossDirection] - this._scroll.cross.force;
+                remainingTouch.prev = remainingTouch.current;
+                remainingTouch.prevTime = remainingTouch.time;
+            }
+        }
+
         // Wait for all fingers to be released from the screen before resetting the move-spring
         if (!primaryTouch || this._scroll.activeTouches.length) {
             return;
@@ -608,20 +832,72 @@ define(function(require, exports, module) {
 
         // Determine velocity and add to particle
         var velocity = 0;
+        var crossVelocity = 0;
         var diffTime = primaryTouch.time - primaryTouch.prevTime;
-        if ((diffTime > 0) && ((_getEventTimestamp(event) - primaryTouch.time) <= this.options.touchMoveNoVelocityDuration)) {
+        if (!pinchEnded && (diffTime > 0) && ((_getEventTimestamp(event) - primaryTouch.time) <= this.options.touchMoveNoVelocityDuration)) {
             var diffOffset = primaryTouch.current[this._direction] - primaryTouch.prev[this._direction];
             velocity = diffOffset / diffTime;
+            crossVelocity = (primaryTouch.current[crossDirection] - primaryTouch.prev[crossDirection]) / diffTime;
         }
 
-        // Release scroll force
+        // Release scroll force. When the gesture was locked to the other
+        // axis, the velocity is applied to the cross scroll-offset instead.
         var delta = this._scroll.touchDelta;
         var swipeDirection = (Math.abs(primaryTouch.current[0] - primaryTouch.prev[0]) > Math.abs(primaryTouch.current[1] - primaryTouch.prev[1])) ? 0 : 1;
         var allowSwipes = (swipeDirection === this._direction);
-        this.releaseScrollForce(delta, velocity, allowSwipes);
+        this.releaseScrollForce(delta, this._scroll.cross.locked ? 0 : velocity, allowSwipes);
+        _releaseCrossForce.call(this, crossVelocity);
         this._scroll.touchDelta = 0;
     }
 
+    /**
+     * Returns the distance between the first two fingers.
+     */
+    function _getPinchDistance() {
+        var touch1 = this._scroll.activeTouches[0].current;
+        var touch2 = this._scroll.activeTouches[1].current;
+        return Math.sqrt(((touch2[0] - touch1[0]) * (touch2[0] - touch1[0])) + ((touch2[1] - touch1[1]) * (touch2[1] - touch1[1])));
+    }
+
+    /**
+     * Starts a pinch gesture, using the first two fingers.
+     */
+    function _startPinch() {
+        this._zoom.transitionable.halt();
+        var scale = this._zoom.transitionable.get();
+        this._zoom.pinch = {
+            startDistance: _getPinchDistance.call(this),
+            startScale: scale,
+            scale: scale
+        };
+    }
+
+    /**
+     * Updates the zoom-scale while pinching. When the bounds are exceeded,
+     * the zoom-effect beyond the bounds is decreased.
+     */
+    function _updatePinch() {
+        var pinch = this._zoom.pinch;
+        var scale = pinch.startDistance ? ((pinch.startScale * _getPinchDistance.call(this)) / pinch.startDistance) : pinch.startScale;
+        if (scale > this.options.maxZoom) {
+            scale = this.options.maxZoom * Math.sqrt(scale / this.options.maxZoom);
+        }
+        else if (scale < this.options.minZoom) {
+            scale = this.options.minZoom / Math.sqrt(this.options.minZoom / scale);
+        }
+        pinch.scale = scale;
+    }
+
+    /**
+     * Ends the pinch gesture and springs the zoom-scale back within the bounds.
+     */
+    function _endPinch() {
+        var scale = this._zoom.pinch.scale;
+        this._zoom.pinch = undefined;
+        this._zoom.transitionable.set(scale);
+        this.setZoom(scale, true);
+    }
+
     /**
      * Called whenever the user is scrolling the view using either a mouse
      * scroll wheel or a track-pad.
@@ -632,6 +908,9 @@ define(function(require, exports, module) {
         }
 
         var offset = Array.isArray(event.delta) ? event.delta[this._direction] : event.delta;
+        if (Array.isArray(event.delta) && _canCrossScroll.call(this)) {
+            this._scroll.cross.delta += event.delta[this._direction ? 0 : 1];
+        }
 
         if(this.options.scrollWheelForces){
             var velocity = offset / this.options.scrollWheelForceStep;
@@ -648,18 +927,15 @@ define(function(require, exports, module) {
      */
     function _setParticle(position, velocity, phase) {
         if (position !== undefined) {
-            //var oldPosition = this._scroll.particle.getPosition1D();
+            //var oldPosition = this._scroll.physics.getPosition();
             this._scroll.particleValue = position;
-            this._scroll.particle.setPosition1D(position);
+            this._scroll.physics.setPosition(position);
             //_log.call(this, 'setParticle.position: ', position, ' (old: ', oldPosition, ', delta: ', position - oldPosition, ', phase: ', phase, ')');
-            if (this._scroll.springValue !== undefined) {
-                this._scroll.pe.wake();
-            }
         }
         if (velocity !== undefined) {
-            var oldVelocity = this._scroll.particle.getVelocity1D();
+            var oldVelocity = this._scroll.physics.getVelocity();
             if (oldVelocity !== velocity) {
-                this._scroll.particle.setVelocity1D(velocity);
+                this._scroll.physics.setVelocity(velocity);
                 //_log.call(this, 'setParticle.velocity: ', velocity, ' (old: ', oldVelocity, ', delta: ', velocity - oldVelocity, ', phase: ', phase, ')');
             }
         }
@@ -671,10 +947,10 @@ define(function(require, exports, module) {
     function _calcScrollOffset(normalize, refreshParticle) {
 
         // When moving using touch-gestures, make the offset stick to the
-        // finger. When the bounds is exceeded, decrease the scroll distance
-        // by two.
+        // finger. When the bounds is exceeded, the physics model determines
+        // the resistance.
         if (refreshParticle || (this._scroll.particleValue === undefined)) {
-            this._scroll.particleValue = this._scroll.particle.getPosition1D();
+            this._scroll.particleValue = this._scroll.physics.getPosition();
             this._scroll.particleValue = Math.round(this._scroll.particleValue * 1000) / 1000;
         }
 
@@ -699,7 +975,9 @@ define(function(require, exports, module) {
 
         if (this._scroll.scrollForceCount && this._scroll.scrollForce) {
             if (this._scroll.springPosition !== undefined) {
-                scrollOffset = (scrollOffset + this._scroll.scrollForce + this._scroll.springPosition) / 2.0;
+                scrollOffset = this._scroll.springPosition + this._scroll.physics.getResistance(
+                    (scrollOffset + this._scroll.scrollForce) - this._scroll.springPosition,
+                    this._contextSizeCache ? this._contextSizeCache[this._direction] : 0);
             }
             else {
                 scrollOffset += this._scroll.scrollForce;
@@ -715,10 +993,81 @@ define(function(require, exports, module) {
             }
         }
 
-        //_log.call(this, 'scrollOffset: ', scrollOffset, ', particle:', this._scroll.particle.getPosition1D(), ', moveToPosition: ', this._scroll.moveToPosition, ', springPosition: ', this._scroll.springPosition);
+        //_log.call(this, 'scrollOffset: ', scrollOffset, ', particle:', this._scroll.physics.getPosition(), ', moveToPosition: ', this._scroll.moveToPosition, ', springPosition: ', this._scroll.springPosition);
         return scrollOffset;
     }
 
+    /**
+     * Returns the minimum cross scroll-offset (the maximum is always 0).
+     */
+    function _getMinCrossScrollOffset() {
+        return Math.min(0, this._contextSizeCache[this._direction ? 0 : 1] - (this._scroll.cross.length || 0));
+    }
+
+    /**
+     * Get the in-use scroll-offset along the other axis. Any pending scroll-delta
+     * is applied to the physics model, and while the user is moving the content,
+     * the offset sticks to the finger.
+     */
+    function _calcCrossScrollOffset() {
+        var cross = this._scroll.cross;
+        var size = this._contextSizeCache[this._direction ? 0 : 1];
+        var minOffset = _getMinCrossScrollOffset.call(this);
+        var offset = Math.round(cross.physics.getPosition() * 1000) / 1000;
+
+        // Apply scroll delta, but don't exceed the bounds
+        if (cross.delta) {
+            if (cross.delta > 0) {
+                offset = Math.min(offset + cross.delta, Math.max(offset, 0));
+            }
+            else {
+                offset = Math.max(offset + cross.delta, Math.min(offset, minOffset));
+            }
+            cross.physics.setPosition(offset);
+            cross.delta = 0;
+        }
+
+        // When the bounds are exceeded, the physics model determines the resistance
+        if (cross.force) {
+            offset += cross.force;
+            if (offset > 0) {
+                offset = cross.physics.getResistance(offset, size);
+            }
+            else if (offset < minOffset) {
+                offset = minOffset + cross.physics.getResistance(offset - minOffset, size);
+            }
+        }
+
+        // Prevent the scroll position from exceeding the bounds when overscroll is disabled
+        if (!this.options.overscroll) {
+            offset = Math.max(minOffset, Math.min(0, offset));
+        }
+        return offset;
+    }
+
+    /**
+     * Sets the spring of the other axis, so that the cross scroll-offset
+     * is pulled back within the bounds.
+     */
+    function _updateCrossSpring() {
+        var cross = this._scroll.cross;
+        var springValue;
+        if (!this._scroll.scrollForceCount) {
+            var position = cross.physics.getPosition();
+            var minOffset = _getMinCrossScrollOffset.call(this);
+            if (position > 0) {
+                springValue = 0;
+            }
+            else if (position < minOffset) {
+                springValue = minOffset;
+            }
+        }
+        if (cross.springValue !== springValue) {
+            cross.springValue = springValue;
+            cross.physics.setSpringPosition(springValue);
+        }
+    }
+
     /**
      * Helper function that calculates the next/prev layed out height.
      * @private
@@ -964,7 +1313,7 @@ define(function(require, exports, module) {
         var item;
         switch (this.options.paginationMode) {
             case PaginationMode.SCROLL:
-                if (!this.options.paginationEnergyThreshold || (Math.abs(this._scroll.particle.getEnergy()) <= this.options.paginationEnergyThreshold)) {
+                if (!this.options.paginationEnergyThreshold || (Math.abs(this._scroll.physics.getEnergy()) <= this.options.paginationEnergyThreshold)) {
                     item = this.options.alignment ? this.getLastVisibleItem() : this.getFirstVisibleItem();
                     if (item && item.renderNode) {
                         this.goToRenderNode(item.renderNode);
@@ -980,6 +1329,220 @@ define(function(require, exports, module) {
         }
     }
 
+    /**
+     * Calculates the position to snap to, based on the predicted resting position.
+     * Returns `undefined` when the snap-position cannot be determined yet, because
+     * the items near the resting position have not been layed out. When `estimate`
+     * is set, the position is estimated from the (estimated) lengths of the items
+     * beyond the layed out items instead.
+     */
+    function _calcSnapPosition(predictedPosition, scrollOffset, velocity, estimate) {
+        var snapPoints = this.options.snapPoints;
+        var groupStart = this._scroll.groupStart;
+        if (snapPoints instanceof Function) {
+            return -snapPoints(-(predictedPosition + groupStart), velocity) - groupStart;
+        }
+        var result;
+        var i;
+        if (Array.isArray(snapPoints)) {
+            for (i = 0; i < snapPoints.length; i++) {
+                var position = -snapPoints[i] - groupStart;
+                if ((result === undefined) || (Math.abs(position - predictedPosition) < Math.abs(result - predictedPosition))) {
+                    result = position;
+                }
+            }
+            return result;
+        }
+
+        // Snap to the start, center or end of the layed out items
+        var size = this._contextSizeCache[this._direction];
+        var factor = (snapPoints === 'center') ? 0.5 : ((snapPoints === 'end') ? 1 : 0);
+        var min;
+        var max;
+        for (var next = 0; next < 2; next++) {
+            var offset = this._scroll.unnormalizedScrollOffset + (this.options.alignment ? size : 0);
+            var node = this._nodes.getStartEnumNode(next === 1);
+            while (node) {
+                if (!node._invalidated || (node.scrollLength === undefined)) {
+                    break;
+                }
+                if (!next) {
+                    offset -= node.scrollLength;
+                }
+                if (node._viewSequence) {
+                    var candidate = (scrollOffset + (size * factor)) - (offset + (node.scrollLength * factor));
+                    if ((result === undefined) || (Math.abs(candidate - predictedPosition) < Math.abs(result - predictedPosition))) {
+                        result = candidate;
+                    }
+                    if ((min === undefined) || (candidate < min.position)) {
+                        min = {position: candidate, length: node.scrollLength, sequence: node._viewSequence};
+                    }
+                    if ((max === undefined) || (candidate > max.position)) {
+                        max = {position: candidate, length: node.scrollLength, sequence: node._viewSequence};
+                    }
+                }
+                if (next) {
+                    offset += node.scrollLength;
+                }
+                node = next ? node._next : node._prev;
+            }
+        }
+        if (min === undefined) {
+            return undefined;
+        }
+
+        // Beyond the layed out items, the snap-position can only be estimated,
+        // unless the start or end of the content has been reached
+        var lower = _getSnapBound.call(this, min, true, factor);
+        var upper = _getSnapBound.call(this, max, false, factor);
+        if ((predictedPosition < min.position) && (lower === undefined)) {
+            return estimate ? _estimateSnapPosition.call(this, predictedPosition, min, true, factor) : undefined;
+        }
+        if ((predictedPosition > max.position) && (upper === undefined)) {
+            return estimate ? _estimateSnapPosition.call(this, predictedPosition, max, false, factor) : undefined;
+        }
+        result = (lower !== undefined) ? Math.max(result, lower) : result;
+        return (upper !== undefined) ? Math.min(result, upper) : result;
+    }
+
+    /**
+     * Returns the position at which the content comes to rest against its start or end,
+     * when the item is the first or last item of the content. Snap-positions beyond this
+     * position cannot be reached.
+     *
+     * @return {Number} Bound or `undefined` when there are more items in that direction
+     */
+    function _getSnapBound(item, next, factor) {
+        var adjacent = item.sequence ? (next ? item.sequence.getNext() : item.sequence.getPrevious()) : undefined;
+        if (!item.sequence || (adjacent && adjacent.get())) {
+            return undefined;
+        }
+        var size = this._contextSizeCache[this._direction];
+        return next ?
+            (item.position + ((size - item.length) * (1 - factor))) :
+            (item.position - ((size - item.length) * factor));
+    }
+
+    /**
+     * Estimates the snap-position beyond the first or last layed out item, by walking
+     * the items that follow it and using their measured or estimated lengths. When the
+     * view-sequence cannot be enumerated, all items are assumed to have the estimated length.
+     */
+    function _estimateSnapPosition(predictedPosition, edge, next, factor) {
+        var estimatedLength = _getEstimatedItemLength.call(this);
+        if (!estimatedLength) {
+            return undefined;
+        }
+        var item = {
+            position: edge.position,
+            length: edge.length,
+            sequence: this._viewSequence.getHead ? edge.sequence : undefined
+        };
+        while (next ? (item.position > predictedPosition) : (item.position < predictedPosition)) {
+            var bound = _getSnapBound.call(this, item, next, factor);
+            if (bound !== undefined) {
+                return next ? Math.max(item.position, bound) : Math.min(item.position, bound);
+            }
+            var itemLength = estimatedLength;
+            if (item.sequence) {
+                item.sequence = next ? item.sequence.getNext() : item.sequence.getPrevious();
+                itemLength = _getItemLength.call(this, item.sequence.get(), estimatedLength);
+            }
+            var candidate = next ?
+                (item.position - (item.length * (1 - factor)) - (itemLength * factor)) :
+                (item.position + (item.length * factor) + (itemLength * (1 - factor)));
+            if (candidate === item.position) {
+                break;
+            }
+            if (next ? (candidate <= predictedPosition) : (candidate >= predictedPosition)) {
+                return (Math.abs(candidate - predictedPosition) < Math.abs(item.position - predictedPosition)) ? candidate : item.position;
+            }
+            item.position = candidate;
+            item.length = itemLength;
+        }
+        return item.position;
+    }
+
+    /**
+     * Emits the `restingoffset` event for the given resting position.
+     *
+     * @return {Number} Resting position that was set by the event-handler, or `undefined` when it was not changed
+     */
+    function _emitRestingOffset(scrollOffset, velocity, predictedPosition, restingPosition) {
+        var groupStart = this._scroll.groupStart;
+        var event = {
+            target: this,
+            velocity: velocity,
+            scrollOffset: -(scrollOffset + groupStart),
+            predictedOffset: -(predictedPosition + groupStart),
+            restingOffset: -(restingPosition + groupStart)
+        };
+        var restingOffset = event.restingOffset;
+        this._eventOutput.emit('restingoffset', event);
+        return (event.restingOffset !== restingOffset) ? (-event.restingOffset - groupStart) : undefined;
+    }
+
+    /**
+     * Emits the predicted resting offset when a gesture ends, and snaps to the
+     * nearest snap-point (or the offset that was set by the event-handler).
+     * When the items near the predicted resting offset have not been layed out yet,
+     * the emitted snap-point is an estimate, which is verified once they have.
+     */
+    function _predictRestingOffset(scrollOffset, velocity) {
+        var snapPoints = this.options.snapPoints;
+        var predictedPosition = this._scroll.physics.predictRestingPosition(scrollOffset, velocity);
+        var snapPosition = snapPoints ? _calcSnapPosition.call(this, predictedPosition, this._scrollOffsetCache, velocity) : undefined;
+        var restingPosition = snapPosition;
+        if (snapPoints && (restingPosition === undefined)) {
+            restingPosition = _calcSnapPosition.call(this, predictedPosition, this._scrollOffsetCache, velocity, true);
+        }
+        restingPosition = (restingPosition === undefined) ? predictedPosition : restingPosition;
+        var position = _emitRestingOffset.call(this, scrollOffset, velocity, predictedPosition, restingPosition);
+        snapPosition = (position === undefined) ? snapPosition : position;
+        if (snapPosition !== undefined) {
+            this._scroll.snapPosition = snapPosition;
+            this._scroll.scrollDirty = true;
+        }
+        else if (snapPoints) {
+            this._scroll.snapPending = true;
+            this._scroll.snapEstimate = restingPosition;
+        }
+    }
+
+    /**
+     * Sets the spring to the snap-position. When the snap-position could not be
+     * determined when the gesture ended, it is re-calculated until the items near
+     * the emitted (estimated) resting position have been layed out, or until the content
+     * comes to rest against its bounds. When it differs from the estimate, the `restingoffset`
+     * event is emitted again.
+     */
+    function _snapToPoint(size, scrollOffset) {
+        if (this._scroll.scrollForceCount) {
+            return;
+        }
+        if (this._scroll.snapPending) {
+            var velocity = this._scroll.physics.getVelocity();
+            var predictedPosition = this._scroll.physics.predictRestingPosition(scrollOffset, velocity);
+            var snapPosition = (this._scroll.boundsReached !== Bounds.NONE) ? this._scroll.springPosition :
+                _calcSnapPosition.call(this, this._scroll.snapEstimate, scrollOffset, velocity);
+            if (snapPosition !== undefined) {
+                this._scroll.snapPending = false;
+                if (Math.abs(snapPosition - this._scroll.snapEstimate) < 0.5) {
+                    snapPosition = this._scroll.snapEstimate;
+                }
+                else {
+                    var position = _emitRestingOffset.call(this, scrollOffset, velocity, predictedPosition, snapPosition);
+                    snapPosition = (position === undefined) ? snapPosition : position;
+                }
+                this._scroll.snapPosition = snapPosition;
+            }
+        }
+        if ((this._scroll.snapPosition !== undefined) && (this._scroll.springPosition === undefined)) {
+            this._scroll.springPosition = this._scroll.snapPosition;
+            this._scroll.springSource = SpringSource.SNAP;
+        }
+    }
+
     /**
      * Normalizes the view-sequence node so that the view-sequence is near to 0.
      */
@@ -1081,7 +1644,7 @@ define(function(require, exports, module) {
             var delta = normalizedScrollOffset - scrollOffset;
 
             // Adjust particle
-            var particleValue = this._scroll.particle.getPosition1D();
+            var particleValue = this._scroll.physics.getPosition();
             //var particleValue = this._scroll.particleValue;
             _setParticle.call(this, particleValue + delta, undefined, 'normalize');
             //console.log('normalized scrollOffset: ', normalizedScrollOffset, ', old: ', scrollOffset, ', particle: ', particleValue + delta);
@@ -1090,6 +1653,12 @@ define(function(require, exports, module) {
             if (this._scroll.springPosition !== undefined) {
                 this._scroll.springPosition += delta;
             }
+            if (this._scroll.snapPosition !== undefined) {
+                this._scroll.snapPosition += delta;
+            }
+            if (this._scroll.snapPending) {
+                this._scroll.snapEstimate += delta;
+            }
 
             // Adjust group offset
             if (_isSequentiallyScrollingOptimized.call(this)) {
@@ -1160,6 +1729,87 @@ define(function(require, exports, module) {
         return result;
     };
 
+    /**
+     * Finds the item for the given render-node.
+     */
+    function _findVisibleItem(items, renderNode) {
+        for (var i = 0; i < items.length; i++) {
+            if (items[i].renderNode === renderNode) {
+                return items[i];
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Emits the `visiblerangechange` event when items were added to or removed from
+     * the viewport, and the `impression` event for items that have been visible long enough.
+     */
+    function _updateVisibleItems(layouted) {
+        var i;
+        var item;
+        var oldItems = this._visibleItems;
+        if (layouted) {
+            var items = this.getVisibleItems();
+            var added = [];
+            for (i = 0; i < items.length; i++) {
+                item = items[i];
+                var oldItem = _findVisibleItem(oldItems, item.renderNode);
+                if (oldItem) {
+                    item._impressionTime = oldItem._impressionTime;
+                    item._impressed = oldItem._impressed;
+                }
+                else {
+                    added.push(item);
+                }
+            }
+            var removed = [];
+            for (i = 0; i < oldItems.length; i++) {
+                if (!_findVisibleItem(items, oldItems[i].renderNode)) {
+                    removed.push(oldItems[i]);
+                }
+            }
+            this._visibleItems = items;
+            if (added.length || removed.length) {
+                this._eventOutput.emit('visiblerangechange', {
+                    target: this,
+                    items: items,
+                    added: added,
+                    removed: removed
+                });
+            }
+        }
+
+        // Check for impressions. An item makes an impression once each time
+        // it becomes visible for the configured fraction & duration.
+        if (this.options.impressionThreshold === undefined) {
+            return;
+        }
+        var now = Date.now();
+        for (i = 0; i < this._visibleItems.length; i++) {
+            item = this._visibleItems[i];
+            if (item.visiblePerc < this.options.impressionThreshold) {
+                item._impressionTime = undefined;
+                item._impressed = false;
+            }
+            else if (!item._impressed) {
+                if (item._impressionTime === undefined) {
+                    item._impressionTime = now;
+                }
+                if ((now - item._impressionTime) >= this.options.impressionDuration) {
+                    item._impressed = true;
+                    this._eventOutput.emit('impression', {
+                        target: this,
+                        index: item.index,
+                        viewSequence: item.viewSequence,
+                        renderNode: item.renderNode,
+                        visiblePerc: item.visiblePerc
+                    });
+                }
+            }
+        }
+    }
+
     /**
      * Get the first or last visible item in the view.
      */
@@ -1248,6 +1898,126 @@ define(function(require, exports, module) {
         return _getVisibleItem.call(this, false);
     };
 
+    /**
+     * Sets the data-source and resets the measured item sizes and scroll anchor.
+     *
+     * @param {Array|Object|LinkedListViewSequence} dataSource Array, LinkedListViewSequence or Object.
+     * @return {ScrollController} this
+     */
+    ScrollController.prototype.setDataSource = function(dataSource) {
+        if (this._content) {
+            _untrackContent.call(this);
+            this._content.sizes.clear();
+            this._content.total = 0;
+            this._content.count = 0;
+            this._content.first = undefined;
+            this._content.last = undefined;
+            this._content.minIndex = undefined;
+            this._content.maxIndex = undefined;
+        }
+        if (this._scroll) {
+            this._scroll.anchor = undefined;
+        }
+        return LayoutController.prototype.setDataSource.call(this, dataSource);
+    };
+
+    /**
+     * Estimates the total length of the content in the scroll-direction.
+     *
+     * The measured size is used for renderables that have been layed out, and
+     * the `estimatedItemSize` option or the average measured size for all other
+     * renderables. The estimate is corrected as more renderables are measured.
+     * When the length of the view-sequence is not known (e.g. VirtualViewSequence),
+     * the estimate is based on the range of items that has been layed out so far.
+     *
+     * @return {Number} Estimated content length or `undefined` when nothing has been measured yet.
+     */
+    ScrollController.prototype.getContentLength = function() {
+        var estimatedLength = _getEstimatedItemLength.call(this);
+        if (!this._viewSequence || (estimatedLength === undefined)) {
+            return undefined;
+        }
+        var tracked = _trackContent.call(this);
+        if (tracked) {
+            return _getSumLength.call(this, tracked.all);
+        }
+        if (this._viewSequence.getHead) {
+            var length = 0;
+            var sequence = this._viewSequence.getHead();
+            while (sequence && sequence.get()) {
+                length += _getItemLength.call(this, sequence.get(), estimatedLength);
+                sequence = sequence.getNext();
+            }
+            return length;
+        }
+        var range = _getEstimatedIndexRange.call(this, estimatedLength);
+        return range ? ((range.end - range.start) * estimatedLength) : undefined;
+    };
+
+    /**
+     * Estimates the offset of an item from the start of the content.
+     *
+     * @param {Number|ViewSequence|Renderable} node Index, view-sequence node or renderable.
+     * @return {Number} Estimated offset or `undefined` when the item was not found.
+     */
+    ScrollController.prototype.getItemOffset = function(node) {
+        var estimatedLength = _getEstimatedItemLength.call(this);
+        if (!this._viewSequence || (estimatedLength === undefined)) {
+            return undefined;
+        }
+        var tracked = _trackContent.call(this);
+        var sequence;
+        if (tracked && tracked.before) {
+            sequence = node;
+            if ((typeof node === 'number') || (node instanceof Number)) {
+                sequence = this._viewSequence.findByIndex(node);
+            }
+            else if (!node || !node.getNext || (node._ !== tracked.backing)) {
+                sequence = this._viewSequence.findByValue(node);
+            }
+            return (sequence && _isContentMember(sequence)) ? _getOffsetFromBefore.call(this, tracked, sequence) : undefined;
+        }
+        if (this._viewSequence.getHead) {
+            var offset = 0;
+            var index = 0;
+            sequence = this._viewSequence.getHead();
+            while (sequence && sequence.get()) {
+                if ((sequence === node) || (sequence.get() === node) || (index === node)) {
+                    return offset;
+                }
+                offset += _getItemLength.call(this, sequence.get(), estimatedLength);
+                sequence = sequence.getNext();
+                index++;
+            }
+            return undefined;
+        }
+        var range = _getEstimatedIndexRange.call(this, estimatedLength);
+        var itemIndex = (node && node.getIndex) ? node.getIndex() : node;
+        if (!range || (typeof itemIndex !== 'number')) {
+            return undefined;
+        }
+        return (itemIndex - range.start) * estimatedLength;
+    };
+
+    /**
+     * Estimates the offset of the view from the start of the content
+     * (e.g. for positioning a scroll-bar).
+     *
+     * @return {Number} Estimated offset or `undefined` when nothing has been layed out yet.
+     */
+    ScrollController.prototype.getContentOffset = function() {
+        var first = this._content.first;
+        var tracked = _trackContent.call(this);
+        var offset;
+        if (first && tracked && tracked.before && (tracked.before.sequence === first.viewSequence)) {
+            offset = (_getEstimatedItemLength.call(this) === undefined) ? undefined : _getSumLength.call(this, tracked.before);
+        }
+        else {
+            offset = first ? this.getItemOffset(first.viewSequence) : undefined;
+        }
+        return (offset === undefined) ? undefined : (offset - first.offset);
+    };
+
     /**
      * Helper function that goes to a view-sequence either by scrolling
      * or immediately without any scrolling animation.
@@ -1255,6 +2025,7 @@ define(function(require, exports, module) {
     function _goToSequence(viewSequence, next, noAnimation) {
         if (noAnimation) {
             this._viewSequence = viewSequence;
+            this._scroll.anchor = undefined;
             this._scroll.springPosition = undefined;
             _updateSpring.call(this);
             this.halt();
@@ -1267,6 +2038,8 @@ define(function(require, exports, module) {
             this._scroll.scrollToRenderNode = viewSequence.get();
             this._scroll.ensureVisibleRenderNode = undefined;
             this._scroll.scrollToDirection = next;
+            this._scroll.snapPosition = undefined;
+            this._scroll.snapPending = false;
             this._scroll.scrollDirty = true;
         }
     }
@@ -1279,6 +2052,8 @@ define(function(require, exports, module) {
         this._scroll.scrollToRenderNode = undefined;
         this._scroll.ensureVisibleRenderNode = viewSequence.get();
         this._scroll.scrollToDirection = next;
+        this._scroll.snapPosition = undefined;
+        this._scroll.snapPending = false;
         this._scroll.scrollDirty = true;
     }
 
@@ -1507,6 +2282,41 @@ define(function(require, exports, module) {
         return this;
     };
 
+    /**
+     * Sets the zoom-scale. The scale is clamped between the `minZoom` and `maxZoom`
+     * options and is passed to the layout-function as `context.zoom`.
+     *
+     * @param {Number} scale Zoom-scale (1 = no zoom)
+     * @param {Bool} [animated] When set to true, springs towards the new scale.
+     * @return {ScrollController} this
+     */
+    ScrollController.prototype.setZoom = function(scale, animated) {
+        scale = Math.max(this.options.minZoom, Math.min(this.options.maxZoom, scale));
+        this._zoom.pinch = undefined;
+        this._zoom.transitionable.halt();
+        if (animated && (this._zoom.transitionable.get() !== scale)) {
+            this._zoom.transitionable.set(scale, {
+                method: SpringTransition,
+                dampingRatio: this.options.zoomSpring.dampingRatio,
+                period: this.options.zoomSpring.period
+            });
+        }
+        else {
+            this._zoom.transitionable.set(scale);
+        }
+        return this;
+    };
+
+    /**
+     * Get the zoom-scale that is currently in use (including while pinching or
+     * springing back).
+     *
+     * @return {Number} Zoom-scale (1 = no zoom)
+     */
+    ScrollController.prototype.getZoom = function() {
+        return this._zoom.pinch ? this._zoom.pinch.scale : this._zoom.transitionable.get();
+    };
+
     /**
      * Scrolls the view by the specified number of pixels.
      *
@@ -1569,7 +2379,10 @@ define(function(require, exports, module) {
         this._scroll.scrollToSequence = undefined;
         this._scroll.scrollToRenderNode = undefined;
         this._scroll.ensureVisibleRenderNode = undefined;
+        this._scroll.snapPosition = undefined;
+        this._scroll.snapPending = false;
         _setParticle.call(this, undefined, 0, 'halt');
+        this._scroll.cross.physics.setVelocity(0);
         return this;
     };
 
@@ -1606,7 +2419,7 @@ define(function(require, exports, module) {
      * @return {Number} Scroll velocity
      */
     ScrollController.prototype.getVelocity = function() {
-        return this._scroll.particle.getVelocity1D();
+        return this._scroll.physics.getVelocity();
     };
 
     /**
@@ -1615,7 +2428,7 @@ define(function(require, exports, module) {
      * @return {Number} Energy
      */
     ScrollController.prototype.getEnergy = function() {
-        return this._scroll.particle.getEnergy();
+        return this._scroll.physics.getEnergy();
     };
 
     /**
@@ -1625,7 +2438,8 @@ define(function(require, exports, module) {
      * @return {ScrollController} this
      */
     ScrollController.prototype.setVelocity = function(velocity) {
-        return this._scroll.particle.setVelocity1D(velocity);
+        this._scroll.physics.setVelocity(velocity);
+        return this;
     };
 
     /**
@@ -1694,7 +2508,6 @@ define(function(require, exports, module) {
         if (this._scroll.scrollForceCount === 1) {
             var scrollOffset = _calcScrollOffset.call(this);
             _setParticle.call(this, scrollOffset, velocity, 'releaseScrollForce');
-            this._scroll.pe.wake();
             this._scroll.scrollForce = 0;
             this._scroll.scrollDirty = true;
             if (this._scroll.scrollForceStartItem && this.options.paginated && (this.options.paginationMode === PaginationMode.PAGE)) {
@@ -1703,7 +2516,7 @@ define(function(require, exports, module) {
                     if (item.renderNode !== this._scroll.scrollForceStartItem.renderNode) {
                         this.goToRenderNode(item.renderNode);
                     }
-                    else if (detectSwipes && this.options.paginationEnergyThreshold && (Math.abs(this._scroll.particle.getEnergy()) >= this.options.paginationEnergyThreshold)) {
+                    else if (detectSwipes && this.options.paginationEnergyThreshold && (Math.abs(this._scroll.physics.getEnergy()) >= this.options.paginationEnergyThreshold)) {
                         velocity = velocity || 0;
                         if ((velocity < 0) && item._node._next && item._node._next.renderNode) {
                             this.goToRenderNode(item._node._next.renderNode);
@@ -1717,6 +2530,9 @@ define(function(require, exports, module) {
                     }
                 }
             }
+            if (!this._scroll.scrollToRenderNode) {
+                _predictRestingOffset.call(this, scrollOffset, this._scroll.physics.getVelocity());
+            }
             this._scroll.scrollForceStartItem = undefined;
             this._scroll.scrollForceCount--;
             this._eventOutput.emit('swipeend', {
@@ -1764,6 +2580,488 @@ define(function(require, exports, module) {
         return spec;
     };
 
+    /**
+     * Returns what a renderable contributes to the length of the content: either its
+     * measured length, or the length returned by the `estimatedItemSize` function. Items
+     * which are estimated using a fixed size (or the average size) contribute 0, and are
+     * accounted for when the sum is converted into a length (see `_getSumLength`).
+     */
+    function _getContribution(renderNode) {
+        var content = this._content;
+        var length = content.sizes.get(renderNode);
+        if (length !== undefined) {
+            return {measured: true, length: length};
+        }
+        var tracked = content.tracked;
+        if (tracked && (this.options.estimatedItemSize instanceof Function)) {
+            length = tracked.estimates.get(renderNode);
+            if (length === undefined) {
+                length = this.options.estimatedItemSize(renderNode);
+                tracked.estimates.set(renderNode, length);
+            }
+            return {measured: false, length: length};
+        }
+        return {measured: false, length: 0};
+    }
+
+    /**
+     * Adds (or subtracts when `sign` is -1) a contribution to a running sum.
+     */
+    function _addToSum(sum, contribution, sign) {
+        sum.items += sign;
+        sum.count += contribution.measured ? sign : 0;
+        sum.total += contribution.length * sign;
+    }
+
+    /**
+     * Converts a running sum into a length, by adding the estimated length
+     * of the items that have no measured (or estimated) length.
+     */
+    function _getSumLength(sum) {
+        if (this.options.estimatedItemSize instanceof Function) {
+            return sum.total;
+        }
+        var estimatedItemSize = this.options.estimatedItemSize;
+        var estimatedLength = (estimatedItemSize !== undefined) ? estimatedItemSize : _getEstimatedItemLength.call(this);
+        return sum.total + ((sum.items - sum.count) * (estimatedLength || 0));
+    }
+
+    /**
+     * Called by the view-sequence whenever a renderable is inserted, removed or replaced.
+     * Updates the running sum of all items and of the items before the first layed out
+     * item, so that the content length and offset don't require enumerating all items.
+     */
+    function _contentObserver(type, sequence, renderNode, oldRenderNode) {
+        var tracked = this._content.tracked;
+        var before = tracked.before;
+        if (type !== 'insert') {
+            var oldNode = (type === 'set') ? oldRenderNode : renderNode;
+            _addToSum(tracked.all, _getContribution.call(this, oldNode), -1);
+            var count = tracked.members.get(oldNode) - 1;
+            if (count) {
+                tracked.members.set(oldNode, count);
+            }
+            else {
+                tracked.members.delete(oldNode);
+                tracked.estimates.delete(oldNode);
+            }
+        }
+        if (type !== 'remove') {
+            _addToSum(tracked.all, _getContribution.call(this, renderNode), 1);
+            tracked.members.set(renderNode, (tracked.members.get(renderNode) || 0) + 1);
+        }
+        if (!before) {
+            return;
+        }
+        var contribution = before.contributions.get(sequence);
+        if (type === 'insert') {
+            var next = sequence._next;
+            if (next && ((next === before.sequence) || before.contributions.has(next))) {
+                contribution = _getContribution.call(this, renderNode);
+                before.contributions.set(sequence, contribution);
+                _addToSum(before, contribution, 1);
+            }
+        }
+        else if (contribution) {
+            _addToSum(before, contribution, -1);
+            before.contributions.delete(sequence);
+            if (type === 'set') {
+                contribution = _getContribution.call(this, renderNode);
+                before.contributions.set(sequence, contribution);
+                _addToSum(before, contribution, 1);
+            }
+        }
+        else if ((type === 'remove') && (sequence === before.sequence)) {
+            before.sequence = sequence._next;
+            if (!before.sequence && sequence._prev) {
+                before.sequence = sequence._prev;
+                _addToSum(before, before.contributions.get(before.sequence), -1);
+                before.contributions.delete(before.sequence);
+            }
+            if (!before.sequence) {
+                tracked.before = undefined;
+            }
+        }
+    }
+
+    /**
+     * Starts keeping running sums of the lengths of the items, when the view-sequence
+     * supports observers (LinkedListViewSequence). The sums are created by enumerating
+     * the items once, after which they are updated whenever an item is measured, inserted,
+     * removed or replaced.
+     *
+     * @return {Object} Tracked state or `undefined` when the view-sequence can't be tracked.
+     */
+    function _trackContent() {
+        var content = this._content;
+        var sequence = this._viewSequence;
+        var backing = (sequence && sequence.addObserver) ? sequence._ : undefined;
+        if (content.tracked && (content.tracked.backing === backing)) {
+            return content.tracked;
+        }
+        _untrackContent.call(this);
+        if (!backing) {
+            return undefined;
+        }
+        var tracked = {
+            backing: backing,
+            sequence: sequence,
+            observer: _contentObserver.bind(this),
+            members: new Map(),
+            estimates: new Map(),
+            all: {items: 0, count: 0, total: 0}
+            //before: undefined
+        };
+        content.tracked = tracked;
+        sequence = sequence.getHead();
+        while (sequence && sequence.get()) {
+            _addToSum(tracked.all, _getContribution.call(this, sequence.get()), 1);
+            tracked.members.set(sequence.get(), (tracked.members.get(sequence.get()) || 0) + 1);
+            sequence = sequence.getNext();
+        }
+        tracked.sequence.addObserver(tracked.observer);
+        return tracked;
+    }
+
+    /**
+     * Stops keeping running sums of the lengths of the items.
+     */
+    function _untrackContent() {
+        var tracked = this._content.tracked;
+        if (tracked) {
+            this._content.tracked = undefined;
+            tracked.sequence.removeObserver(tracked.observer);
+        }
+    }
+
+    /**
+     * Checks whether a view-sequence node is still part of the view-sequence. Nodes
+     * of renderables that are being removed (animated out) are no longer linked.
+     */
+    function _isContentMember(sequence) {
+        return !!sequence.get() && (sequence._prev ? (sequence._prev._next === sequence) : (sequence._.head === sequence));
+    }
+
+    /**
+     * Moves the running sum of the items before the first layed out item, so that
+     * it ends at the given view-sequence. When scrolling, this only adds or subtracts the
+     * items that have scrolled by. The sum is re-created when the view-sequence can't be
+     * found nearby (e.g. after a data-source change).
+     */
+    function _moveContentBefore(tracked, sequence) {
+        var before = tracked.before;
+        var prev = before ? before.sequence : undefined;
+        var next = prev;
+        var forward;
+        while (before && (prev || next) && (forward === undefined)) {
+            if (next === sequence) {
+                forward = true;
+            }
+            else if (prev === sequence) {
+                forward = false;
+            }
+            next = next ? next._next : undefined;
+            prev = prev ? prev._prev : undefined;
+        }
+        if (forward === undefined) {
+            before = {
+                sequence: sequence.getHead(),
+                contributions: new Map(),
+                items: 0,
+                count: 0,
+                total: 0
+            };
+            tracked.before = before;
+            forward = true;
+        }
+        var contribution;
+        while (before.sequence !== sequence) {
+            if (forward) {
+                contribution = _getContribution.call(this, before.sequence.get());
+                before.contributions.set(before.sequence, contribution);
+                _addToSum(before, contribution, 1);
+                before.sequence = before.sequence._next;
+            }
+            else {
+                before.sequence = before.sequence._prev;
+                _addToSum(before, before.contributions.get(before.sequence), -1);
+                before.contributions.delete(before.sequence);
+            }
+        }
+    }
+
+    /**
+     * Calculates the offset of an item, relative to the start of the first layed out item.
+     */
+    function _getOffsetFromBefore(tracked, sequence) {
+        var before = tracked.before;
+        var sum = {items: before.items, count: before.count, total: before.total};
+        var prevSum = {items: before.items, count: before.count, total: before.total};
+        var prev = before.sequence;
+        var next = before.sequence;
+        while (prev || next) {
+            if (next === sequence) {
+                return _getSumLength.call(this, sum);
+            }
+            if (prev === sequence) {
+                return _getSumLength.call(this, prevSum);
+            }
+            if (next) {
+                _addToSum(sum, _getContribution.call(this, next.get()), 1);
+                next = next._next;
+            }
+            if (prev) {
+                prev = prev._prev;
+                if (prev) {
+                    _addToSum(prevSum, before.contributions.get(prev), -1);
+                }
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Stores the measured scroll-length of a renderable. The number of remembered
+     * lengths is limited; when the limit is reached, the least recently measured
+     * length is forgotten.
+     */
+    function _setItemLength(renderNode, length) {
+        var content = this._content;
+        var oldLength = content.sizes.get(renderNode);
+        if (oldLength === length) {
+            return;
+        }
+        var tracked = content.tracked;
+        var members = tracked ? (tracked.members.get(renderNode) || 0) : 0;
+        var oldContribution = members ? _getContribution.call(this, renderNode) : undefined;
+        if (oldLength === undefined) {
+            if (content.sizes.size >= MAX_MEASURED_ITEMS) {
+                _forgetItemLength.call(this, content.sizes.keys().next().value);
+            }
+            content.count++;
+            content.total += length;
+        }
+        else {
+            content.total += (length - oldLength);
+            content.sizes.delete(renderNode); // move to the end (most recently measured)
+        }
+        content.sizes.set(renderNode, length);
+        for (var i = 0; i < members; i++) {
+            _addToSum(tracked.all, oldContribution, -1);
+            _addToSum(tracked.all, _getContribution.call(this, renderNode), 1);
+        }
+    }
+
+    /**
+     * Forgets the measured scroll-length of a renderable.
+     */
+    function _forgetItemLength(renderNode) {
+        var content = this._content;
+        var tracked = content.tracked;
+        var members = tracked ? (tracked.members.get(renderNode) || 0) : 0;
+        var oldContribution = members ? _getContribution.call(this, renderNode) : undefined;
+        content.count--;
+        content.total -= content.sizes.get(renderNode);
+        content.sizes.delete(renderNode);
+        for (var i = 0; i < members; i++) {
+            _addToSum(tracked.all, oldContribution, -1);
+            _addToSum(tracked.all, _getContribution.call(this, renderNode), 1);
+        }
+    }
+
+    /**
+     * Measures the layed out renderables and remembers the first and last
+     * layed out view-sequence, and their offset relative to the view.
+     */
+    function _measureItems(size, scrollOffset) {
+        var content = this._content;
+        var tracked = _trackContent.call(this);
+        var boundary = scrollOffset + (this.options.alignment ? size[this._direction] : 0);
+        var offset = boundary;
+        content.first = undefined;
+        content.last = undefined;
+        var node = this._nodes.getStartEnumNode(false);
+        while (node) {
+            if (node._invalidated && (node.scrollLength !== undefined)) {
+                offset -= node.scrollLength;
+                if (node._viewSequence && !node.trueSizeRequested && (!tracked || _isContentMember(node._viewSequence))) {
+                    _setItemLength.call(this, node.renderNode, node.scrollLength);
+                    content.first = {viewSequence: node._viewSequence, offset: offset};
+                    content.last = content.last || content.first;
+                }
+            }
+            node = node._prev;
+        }
+        offset = boundary;
+        node = this._nodes.getStartEnumNode(true);
+        while (node) {
+            if (node._invalidated && (node.scrollLength !== undefined)) {
+                if (node._viewSequence && !node.trueSizeRequested && (!tracked || _isContentMember(node._viewSequence))) {
+                    _setItemLength.call(this, node.renderNode, node.scrollLength);
+                    content.last = {viewSequence: node._viewSequence, offset: offset};
+                    content.first = content.first || content.last;
+                }
+                offset += node.scrollLength;
+            }
+            node = node._next;
+        }
+
+        // Update the sum of the items before the first layed out item
+        if (tracked && content.first && (content.first.viewSequence._ === tracked.backing)) {
+            _moveContentBefore.call(this, tracked, content.first.viewSequence);
+        }
+
+        // When the view-sequence cannot be enumerated (e.g. VirtualViewSequence),
+        // remember the range of indices that has been layed out
+        if (content.first && !content.first.viewSequence.getHead) {
+            var firstIndex = content.first.viewSequence.getIndex();
+            var lastIndex = content.last.viewSequence.getIndex();
+            content.minIndex = (content.minIndex === undefined) ? firstIndex : Math.min(content.minIndex, firstIndex);
+            content.maxIndex = (content.maxIndex === undefined) ? lastIndex : Math.max(content.maxIndex, lastIndex);
+        }
+    }
+
+    /**
+     * Returns the size that is used for items that have not been measured.
+     */
+    function _getEstimatedItemLength() {
+        var content = this._content;
+        if ((typeof this.options.estimatedItemSize === 'number') && !content.count) {
+            return this.options.estimatedItemSize;
+        }
+        return content.count ? (content.total / content.count) : undefined;
+    }
+
+    /**
+     * Returns the measured or estimated scroll-length of a renderable.
+     */
+    function _getItemLength(renderNode, estimatedLength) {
+        var length = this._content.sizes.get(renderNode);
+        if (length !== undefined) {
+            return length;
+        }
+        var estimatedItemSize = this.options.estimatedItemSize;
+        if (estimatedItemSize instanceof Function) {
+            return estimatedItemSize(renderNode);
+        }
+        return (estimatedItemSize !== undefined) ? estimatedItemSize : estimatedLength;
+    }
+
+    /**
+     * Estimates the range of indices for view-sequences that cannot be enumerated.
+     * The range consists of the indices that have been layed out so far, plus an extra
+     * view in the directions that contain more items.
+     */
+    function _getEstimatedIndexRange(estimatedLength) {
+        var content = this._content;
+        if (!content.first || (content.minIndex === undefined)) {
+            return undefined;
+        }
+        var itemsPerView = Math.ceil(this._contextSizeCache[this._direction] / estimatedLength);
+        var prev = content.first.viewSequence.getPrevious();
+        var next = content.last.viewSequence.getNext();
+        return {
+            start: (prev && prev.get()) ? Math.min(content.minIndex, content.first.viewSequence.getIndex() - itemsPerView) : content.first.viewSequence.getIndex(),
+            end: ((next && next.get()) ? Math.max(content.maxIndex, content.last.viewSequence.getIndex() + itemsPerView) : content.last.viewSequence.getIndex()) + 1
+        };
+    }
+
+    /**
+     * Returns the offset of a layed out renderable relative to the start of the
+     * view (or to the end of the view when aligned bottom/right).
+     */
+    function _getAnchorPosition(renderNode, size) {
+        var start = this._scroll.unnormalizedScrollOffset + (this.options.alignment ? size[this._direction] : 0);
+        var end = this.options.alignment ? size[this._direction] : 0;
+        var offset = start;
+        var node = this._nodes.getStartEnumNode(true);
+        while (node) {
+            if (!node._invalidated || (node.scrollLength === undefined)) {
+                break;
+            }
+            if (node.renderNode === renderNode) {
+                return offset + (this.options.alignment ? node.scrollLength : 0) - end;
+            }
+            offset += node.scrollLength;
+            node = node._next;
+        }
+        offset = start;
+        node = this._nodes.getStartEnumNode(false);
+        while (node) {
+            if (!node._invalidated || (node.scrollLength === undefined)) {
+                break;
+            }
+            offset -= node.scrollLength;
+            if (node.renderNode === renderNode) {
+                return offset + (this.options.alignment ? node.scrollLength : 0) - end;
+            }
+            node = node._prev;
+        }
+        return undefined;
+    }
+
+    /**
+     * Remembers the first visible item (or last visible item when aligned bottom/right),
+     * so that it can be kept at the same offset in the next layout.
+     */
+    function _updateScrollAnchor(size, scrollOffset) {
+        if (!this.options.scrollAnchoring) {
+            this._scroll.anchor = undefined;
+            return;
+        }
+        var items = this.getVisibleItems();
+        var item;
+        for (var i = 0; i < items.length; i++) {
+            if (items[i].visiblePerc > 0) {
+                item = items[i];
+                if (!this.options.alignment) {
+                    break;
+                }
+            }
+        }
+        this._scroll.anchor = item ? {
+            renderNode: item.renderNode,
+            position: _getAnchorPosition.call(this, item.renderNode, size),
+            scrollOffset: scrollOffset,
+            zoom: this._zoomCache
+        } : undefined;
+    }
+
+    /**
+     * When items before the anchor have been inserted, removed or resized, the
+     * anchor is no longer at the expected offset. This function moves the
+     * scroll particle so that the anchor is restored to its previous offset.
+     *
+     * @return {Number} delta that was applied to the scroll-offset
+     */
+    function _applyScrollAnchor(size, scrollOffset) {
+        var anchor = this._scroll.anchor;
+        if (!anchor || !this.options.scrollAnchoring || (anchor.zoom !== this._zoomCache)) {
+            return 0;
+        }
+        var position = _getAnchorPosition.call(this, anchor.renderNode, size);
+        if (position === undefined) {
+            return 0;
+        }
+        var delta = (anchor.position + (scrollOffset - anchor.scrollOffset)) - position;
+        if (Math.abs(delta) < 0.5) {
+            return 0;
+        }
+
+        // Move particle & springs, so that the content is not animated back
+        _setParticle.call(this, this._scroll.physics.getPosition() + delta, undefined, 'anchor');
+        if (this._scroll.springPosition !== undefined) {
+            this._scroll.springPosition += delta;
+        }
+        if (this._scroll.snapPosition !== undefined) {
+            this._scroll.snapPosition += delta;
+        }
+        if (this._scroll.snapPending) {
+            this._scroll.snapEstimate += delta;
+        }
+        return delta;
+    }
+
     /**
      * Executes the layout and updates the state of the scrollview.
      */
@@ -1771,7 +3069,7 @@ define(function(require, exports, module) {
 
         // Track the number of times the layout-function was executed
         this._debug.layoutCount++;
-        //_log.call(this, 'Layout, scrollOffset: ', scrollOffset, ', particle: ', this._scroll.particle.getPosition1D());
+        //_log.call(this, 'Layout, scrollOffset: ', scrollOffset, ', particle: ', this._scroll.physics.getPosition());
 
         // Determine start & end
         var scrollStart = 0 - Math.max(this.options.extraBoundsSpace[0], 1);
@@ -1802,18 +3100,26 @@ define(function(require, exports, module) {
                 reverse: this.options.alignment ? true : false,
                 scrollOffset: this.options.alignment ? (scrollOffset + size[this._direction]) : scrollOffset,
                 scrollStart: scrollStart,
-                scrollEnd: scrollEnd
+                scrollEnd: scrollEnd,
+                zoom: this._zoomCache,
+                crossScrollOffset: this._scroll.cross.offset
             }
         );
 
         // Layout objects
-        if (this._layout._function) {
-            this._layout._function(
-                layoutContext,          // context which the layout-function can use
-                this._layout.options    // additional layout-options
-            );
-        }
+        this._executeLayoutFunction(layoutContext);
         this._scroll.unnormalizedScrollOffset = scrollOffset;
+        this._scroll.cross.length = this._nodes._crossScrollLength;
+
+        // When the anchor has moved because items were inserted, removed or
+        // resized before it, re-layout using the corrected scroll-offset
+        var anchorDelta = nested ? 0 : _applyScrollAnchor.call(this, size, scrollOffset);
+        if (anchorDelta) {
+            return _layout.call(this, size, scrollOffset + anchorDelta, true);
+        }
+
+        // Measure the layed out renderables
+        _measureItems.call(this, size, scrollOffset);
 
         // Call post-layout function
         if (this._postLayout) {
@@ -1836,6 +3142,9 @@ define(function(require, exports, module) {
         // When pagination is enabled, snap to page
         _snapToPage.call(this);
 
+        // When snap-points are enabled, snap to the resting offset
+        _snapToPoint.call(this, size, scrollOffset);
+
         // Normalize scroll offset so that the current viewsequence node is as close to the
         // top as possible and the layout function will need to process the least amount
         // of renderables.
@@ -1849,6 +3158,8 @@ define(function(require, exports, module) {
             return _layout.call(this, size, newScrollOffset, true);
         }
 
+        // Remember the scroll anchor
+        _updateScrollAnchor.call(this, size, scrollOffset);
 
         // Update spring
         _updateSpring.call(this);
@@ -1917,12 +3228,38 @@ define(function(require, exports, module) {
             this._nodes.removeAll();
         }
 
-        // Calculate scroll offset
+        // Scroll automatically while a renderable is dragged near the edges
+        this._updateReorderGroup(context);
+        if (this._reorder) {
+            _autoScrollReorder.call(this, size);
+            this._updateReorderIndex();
+        }
+
+        // Advance the physics model and calculate scroll offset
+        this._scroll.physics.step(Date.now());
         var scrollOffset = _calcScrollOffset.call(this, true, true);
         if (this._scrollOffsetCache === undefined) {
             this._scrollOffsetCache = scrollOffset;
         }
 
+        // Calculate the scroll offset along the other axis
+        this._scroll.cross.physics.step(Date.now());
+        _updateCrossSpring.call(this);
+        var crossScrollOffset = _calcCrossScrollOffset.call(this);
+        var crossScrollChanged = (crossScrollOffset !== this._scroll.cross.offset);
+
+        // Check whether the zoom-scale has changed
+        var oldZoom = this._zoomCache;
+        var zoom = this.getZoom();
+        this._zoomCache = zoom;
+        if ((oldZoom !== undefined) && (oldZoom !== zoom)) {
+            this._eventOutput.emit('zoom', {
+                target: this,
+                oldZoom: oldZoom,
+                zoom: zoom
+            });
+        }
+
         // When the size or layout function has changed, reflow the layout
         var emitEndScrollingEvent = false;
         var emitScrollEvent = false;
@@ -1934,6 +3271,8 @@ define(function(require, exports, module) {
             this._scroll.scrollDirty ||
             this._nodes._trueSizeRequested ||
             this.options.alwaysLayout ||
+            oldZoom !== zoom ||
+            crossScrollChanged ||
             this._scrollOffsetCache !== scrollOffset) {
 
             if(this._reLayout){
@@ -1950,7 +3289,7 @@ define(function(require, exports, module) {
             };
 
             // When scroll-offset has changed, emit scroll-start and scroll events
-            if (this._scrollOffsetCache !== scrollOffset) {
+            if ((this._scrollOffsetCache !== scrollOffset) || crossScrollChanged) {
                 if (!this._scroll.isScrolling) {
                     this._scroll.isScrolling = true;
                     this._eventOutput.emit('scrollstart', eventData);
@@ -1975,6 +3314,7 @@ define(function(require, exports, module) {
 
 
             // Perform layout
+            this._scroll.cross.offset = crossScrollOffset;
             scrollOffset = _layout.call(this, size, scrollOffset);
             this._scrollOffsetCache = scrollOffset;
 
@@ -2032,6 +3372,7 @@ define(function(require, exports, module) {
         if (eventData) { // eventData is only used here to check whether there has been a re-layout
             this._eventOutput.emit('layoutend', eventData);
         }
+        this._processUpdateCallbacks(eventData !== undefined, result);
         if (result.modified) {
             this._eventOutput.emit('reflow', {
                 target: this
@@ -2061,6 +3402,9 @@ define(function(require, exports, module) {
             }
         }
 
+        // Check whether the visible items have changed
+        _updateVisibleItems.call(this, eventData !== undefined);
+
         // Emit end scrolling event
         if (emitEndScrollingEvent) {
             this._scroll.isScrolling = false;
@@ -2100,6 +3444,9 @@ define(function(require, exports, module) {
     };
 
     ScrollController.prototype.replace = function(indexOrId, renderable, noAnimation) {
+        if (this._updates) {
+            return LayoutController.prototype.replace.call(this, indexOrId, renderable, noAnimation); // queue update
+        }
         var sequence;
         //TODO: Check when _nodesById is used as well
         if (!this._nodesById){
@@ -2114,6 +3461,129 @@ define(function(require, exports, module) {
 
     }
 
+    /**
+     * Scrolls the view when a lifted renderable is dragged near the start or end
+     * of the view (see `reorderOptions.autoScrollMargin`).
+     */
+    function _autoScrollReorder(size) {
+        var reorder = this._reorder;
+        var slot = reorder.sets.get(reorder.renderNode);
+        var time = Date.now();
+        var elapsed = reorder.autoScrollTime ? Math.min(time - reorder.autoScrollTime, 100) : 0;
+        reorder.autoScrollTime = time;
+        if (!slot || !reorder.translate) {
+            return;
+        }
+        var options = this.options.reorderOptions;
+        var start = reorder.translate[this._direction] + (reorder.current[this._direction] - reorder.start[this._direction]);
+        var end = start + slot.size[this._direction];
+        var delta = 0;
+        if (start < options.autoScrollMargin) {
+            delta = Math.min((options.autoScrollMargin - start) / options.autoScrollMargin, 1);
+        }
+        else if (end > (size[this._direction] - options.autoScrollMargin)) {
+            delta = -Math.min((end - (size[this._direction] - options.autoScrollMargin)) / options.autoScrollMargin, 1);
+        }
+        delta = this.canScroll(delta * options.autoScrollSpeed * elapsed);
+        if (delta) {
+            this.scroll(delta);
+        }
+    }
+
+    /**
+     * Lifts a renderable so that it can be reordered by dragging it. Any touch or
+     * mouse scrolling that is in progress is stopped, and the view scrolls
+     * automatically when the renderable is dragged near its edges.
+     *
+     * @param {Renderable} renderNode Renderable to lift.
+     * @param {Event} [event] Mouse or touch event that started the drag operation.
+     * @return {ScrollController} this
+     */
+    ScrollController.prototype.startReorder = function(renderNode, event) {
+        LayoutController.prototype.startReorder.call(this, renderNode, event);
+        if (this._reorder) {
+            this._cancelScrollGesture();
+        }
+        return this;
+    };
+
+    /**
+     * Stops any touch or mouse scrolling that is in progress, so that another
+     * gesture (e.g. reordering or swiping) can take over the pointer.
+     *
+     * @private
+     */
+    ScrollController.prototype._cancelScrollGesture = function() {
+        this._cancelItemPress();
+        if (this._scroll.activeTouches.length) {
+            this._scroll.activeTouches = [];
+            this.releaseScrollForce(this._scroll.touchDelta, 0);
+            this._scroll.touchDelta = 0;
+        }
+        if (this._scroll.mouseMove) {
+            this.releaseScrollForce(this._scroll.mouseMove.delta, 0);
+            this._scroll.mouseMove = undefined;
+        }
+    };
+
+    /**
+     * Emits an item event (`itemclick`, `itemlongpress` or `itemcontextmenu`).
+     */
+    function _emitItemEvent(type, renderNode, event) {
+        var node = this._nodes.getNodeByRenderNode(renderNode);
+        this._eventOutput.emit(type, {
+            target: this,
+            renderNode: renderNode,
+            index: (node && node._viewSequence) ? node._viewSequence.getIndex() : undefined,
+            spec: this.getSpec(renderNode),
+            event: event
+        });
+    }
+
+    /**
+     * Presses on items are tracked for the item events and selection, but not while the
+     * view is scrolling. Pressing an item while the view is still scrolling stops the
+     * scrolling, and is therefore not considered a tap.
+     *
+     * @private
+     */
+    ScrollController.prototype._canPressItem = function() {
+        return this.options.enabled && !this._reorder && !this._scroll.isScrolling;
+    };
+
+    /**
+     * Selects the tapped item (see `selectionMode`) and emits the `itemclick` event.
+     *
+     * @private
+     */
+    ScrollController.prototype._itemTap = function(renderNode, event) {
+        LayoutController.prototype._itemTap.call(this, renderNode, event);
+        _emitItemEvent.call(this, 'itemclick', renderNode, event);
+    };
+
+    /**
+     * Emits the `itemlongpress` event.
+     *
+     * @private
+     */
+    ScrollController.prototype._itemLongPress = function(renderNode, event) {
+        _emitItemEvent.call(this, 'itemlongpress', renderNode, event);
+    };
+
+    /**
+     * Emits the `itemcontextmenu` event, unless the view is being scrolled.
+     */
+    function _itemContextMenu(event) {
+        if (!this.options.enabled || this._reorder || this._scroll.isScrolling || this._scroll.scrollForceCount) {
+            return;
+        }
+        var renderNode = this._getEventRenderNode(event);
+        if (renderNode) {
+            this._cancelItemPress();
+            _emitItemEvent.call(this, 'itemcontextmenu', renderNode, event);
+        }
+    }
+
     /**
      * Generate a render spec from the contents of this component.
      *
@@ -0,0 +1,430 @@
+/**
+ * This Source Code is licensed under the MIT license. If a copy of the
+ * MIT-license was not distributed with this file, You can obtain one at:
+ * http://opensource.org/licenses/mit-license.html.
+ *
+ * @author: Hein Rutjes (IjzerenHein)
+ * @license MIT
+ * @copyright Gloey Apps, 2015
+ */
+
+/**
+ * LayoutConstraintHelper positions nodes using constraints (auto-layout). The
+ * constraints are specified using Apple's Visual Format Language (VFL) or as
+ * constraint objects, and are solved using a linear constraint solver.
+ *
+ * **Visual format language:**
+ *
+ * |format|description|
+ * |---|---|
+ * |`H:`, `V:`|Orientation (horizontal or vertical), horizontal when omitted.|
+ * |`|`|Edge of the container (superview).|
+ * |`[name]`|Renderable with the given id.|
+ * |`[name(100)]`, `[name(>=50,<=100)]`, `[name(==other)]`|Renderable with a size predicate.|
+ * |`-`|Standard spacing (see `options.spacing`).|
+ * |`-20-`, `-(>=20@750)-`, `-metric-`|Spacing predicate (with optional relation and priority).|
+ * |`[a][b]`|Renderables that are directly adjacent (no spacing).|
+ *
+ * **Constraint objects:**
+ *
+ * Constraint objects define the equation `view1.attr1 relation multiplier * view2.attr2 + constant`.
+ * Supported attributes are: `left`, `right`, `top`, `bottom`, `width`, `height`, `centerX` & `centerY`.
+ * When `view1` or `view2` is `null`, the container (superview) is used. When `attr2` is omitted,
+ * the constraint is a constant: `view1.attr1 relation constant`.
+ *
+ * ```javascript
+ * {view1: 'title', attr1: 'centerX', relation: '==', view2: null, attr2: 'centerX'}
+ * {view1: 'image', attr1: 'height', relation: '==', view2: 'image', attr2: 'width', multiplier: 0.75}
+ * {view1: 'footer', attr1: 'height', relation: '>=', constant: 40, priority: 750}
+ * ```
+ *
+ * Renderables that have a size (e.g. `new Surface({size: [100, 30]})`) use that size as
+ * their intrinsic size. The intrinsic size is used with priority 250 for growing and
+ * priority 750 for shrinking (content hugging & compression resistance).
+ *
+ * **Example:**
+ *
+ * ```javascript
+ * var layoutController = new LayoutController({
+ *   layout: {constraints: [
+ *     '|-[nameLabel(80)]-[name]-|',
+ *     '|-[emailLabel(==nameLabel)]-[email]-|',
+ *     'V:|-[nameLabel(30)]-[emailLabel(30)]',
+ *     'V:|-[name(==nameLabel)]-[email(==emailLabel)]',
+ *     {view1: 'save', attr1: 'centerX', relation: '==', view2: null, attr2: 'centerX'},
+ *     'V:[save(44)]-|'
+ *   ]},
+ *   dataSource: {
+ *     nameLabel: new Surface({content: 'Name'}),
+ *     name: new InputSurface(),
+ *     emailLabel: new Surface({content: 'E-mail'}),
+ *     email: new InputSurface(),
+ *     save: new Surface({content: 'Save', size: [100, 44]})
+ *   }
+ * });
+ * ```
+ *
+ * @module
+ */
+define(function(require, exports, module) {
+
+    // import dependencies
+    var LayoutUtility = require('../LayoutUtility');
+    var ConstraintSolver = require('../ConstraintSolver');
+
+    /**
+     * @class
+     * @param {LayoutContext} context layout-context
+     * @param {Object} [options] additional options
+     * @param {Number} [options.spacing] standard spacing that is used for `-` (default: 8)
+     * @param {Object} [options.metrics] named values that can be used in the visual format (e.g. `{buttonWidth: 100}`)
+     * @param {Object} [options.margins] margins of the container (default: 0px)
+     * @param {Number} [options.translateZ] z-index to use when translating objects (default: 0)
+     * @alias module:LayoutConstraintHelper
+     */
+    function LayoutConstraintHelper(context, options) {
+        var size = context.size;
+        this._context = context;
+        this._options = options || {};
+        this._solver = new ConstraintSolver();
+        this._views = {};
+        var margins = LayoutUtility.normalizeMargins(this._options.margins);
+        this._container = {
+            left: margins[3],
+            top: margins[0],
+            right: size[0] - margins[1],
+            bottom: size[1] - margins[2]
+        };
+    }
+
+    var attributes = {
+        left: {horizontal: true, position: 1, size: 0},
+        right: {horizontal: true, position: 1, size: 1},
+        centerX: {horizontal: true, position: 1, size: 0.5},
+        width: {horizontal: true, position: 0, size: 1},
+        top: {horizontal: false, position: 1, size: 0},
+        bottom: {horizontal: false, position: 1, size: 1},
+        centerY: {horizontal: false, position: 1, size: 0.5},
+        height: {horizontal: false, position: 0, size: 1}
+    };
+
+    var relations = {
+        '==': '==',
+        '<=': '<=',
+        '>=': '>=',
+        equ: '==',
+        leq: '<=',
+        geq: '>='
+    };
+
+    var orientations = {
+        H: {start: 'left', end: 'right', size: 'width'},
+        V: {start: 'top', end: 'bottom', size: 'height'}
+    };
+
+    // Cache of parsed visual formats
+    var visualFormatCache = {};
+
+    /**
+     * Parses the predicates of a view or connection, e.g. `(>=50@750,<=100)`.
+     */
+    function _parsePredicates(text, format) {
+        if (text.charAt(0) === '(') {
+            text = text.substring(1, text.length - 1);
+        }
+        return text.split(',').map(function(predicate) {
+            var match = /^(==|<=|>=)?([^@]+)(?:@(.+))?$/.exec(predicate);
+            if (!match) {
+                LayoutUtility.error('Invalid predicate "' + predicate + '" in visual format "' + format + '"');
+            }
+            return {
+                relation: match[1] || '==',
+                object: match[2],
+                priority: match[3]
+            };
+        });
+    }
+
+    /**
+     * Parses a visual format string into a list of items (views or the container)
+     * and the connections between them.
+     */
+    function _parseVisualFormat(format) {
+        var text = format.replace(/\s/g, '');
+        var result = {
+            orientation: 'H',
+            items: [],
+            connections: []
+        };
+        var match = /^(H|V):/.exec(text);
+        if (match) {
+            result.orientation = match[1];
+            text = text.substring(2);
+        }
+        var connection;
+        var pos = 0;
+        while (pos < text.length) {
+            var ch = text.charAt(pos);
+            if ((ch === '|') || (ch === '[')) {
+                if (result.items.length) {
+                    result.connections.push(connection || [{relation: '==', object: '0'}]);
+                }
+                connection = undefined;
+                if (ch === '|') {
+                    result.items.push({container: true});
+                    pos++;
+                }
+                else {
+                    var end = text.indexOf(']', pos);
+                    match = (end > pos) ? /^([^(]+)(\(.*\))?$/.exec(text.substring(pos + 1, end)) : undefined;
+                    if (!match) {
+                        LayoutUtility.error('Invalid view at position ' + pos + ' in visual format "' + format + '"');
+                    }
+                    result.items.push({
+                        view: match[1],
+                        predicates: match[2] ? _parsePredicates(match[2], format) : []
+                    });
+                    pos = end + 1;
+                }
+            }
+            else if ((ch === '-') && result.items.length && !connection) {
+                var next = text.charAt(pos + 1);
+                if ((next === '[') || (next === '|')) {
+                    connection = [{relation: '==', standard: true}];
+                    pos++;
+                }
+                else {
+                    var endPos = (next === '(') ? (text.indexOf(')', pos) + 1) : text.indexOf('-', pos + 1);
+                    if ((endPos <= (pos + 1)) || (text.charAt(endPos) !== '-')) {
+                        LayoutUtility.error('Invalid connection at position ' + pos + ' in visual format "' + format + '"');
+                    }
+                    connection = _parsePredicates(text.substring(pos + 1, endPos), format);
+                    pos = endPos + 1;
+                }
+            }
+            else {
+                LayoutUtility.error('Invalid character "' + ch + '" at position ' + pos + ' in visual format "' + format + '"');
+            }
+        }
+        if (connection) {
+            LayoutUtility.error('Visual format "' + format + '" should not end with a connection');
+        }
+        return result;
+    }
+
+    /**
+     * Parses the constraints. The array can contain visual format strings
+     * and constraint objects.
+     *
+     * **Example:**
+     *
+     * ```JSON
+     * [
+     *   '|-[left(==right)]-[right]-|',
+     *   'V:|-[left]-|',
+     *   'V:|-[right]-|',
+     *   {view1: 'left', attr1: 'width', relation: '>=', constant: 100}
+     * ]
+     * ```
+     *
+     * @param {Array} data Array of visual format strings and/or constraint objects
+     */
+    LayoutConstraintHelper.prototype.parse = function(data) {
+        for (var i = 0; i < data.length; i++) {
+            if ((data[i] instanceof String) || (typeof data[i] === 'string')) {
+                this.visualFormat(data[i]);
+            }
+            else {
+                this.constraint(data[i]);
+            }
+        }
+        this.layout();
+    };
+
+    /**
+     * Resolves a number or metric.
+     */
+    function _resolveValue(value) {
+        if ((value === undefined) || (value instanceof Number) || (typeof value === 'number')) {
+            return value;
+        }
+        var metrics = this._options.metrics;
+        if (metrics && (metrics[value] !== undefined)) {
+            return metrics[value];
+        }
+        var number = parseFloat(value);
+        if (isNaN(number)) {
+            LayoutUtility.error('Unknown metric "' + value + '"');
+        }
+        return number;
+    }
+
+    /**
+     * Adds the constraints of a visual format string.
+     *
+     * @param {String} format Visual format (e.g. `'|-[left(==right)]-[right]-|'`)
+     * @return {LayoutConstraintHelper} this
+     */
+    LayoutConstraintHelper.prototype.visualFormat = function(format) {
+        var parsed = visualFormatCache[format];
+        if (!parsed) {
+            parsed = _parseVisualFormat(format);
+            visualFormatCache[format] = parsed;
+        }
+        var orientation = orientations[parsed.orientation];
+        var metrics = this._options.metrics;
+        var i;
+        var j;
+        var item;
+        var predicate;
+
+        // Size predicates
+        for (i = 0; i < parsed.items.length; i++) {
+            item = parsed.items[i];
+            for (j = 0; item.predicates && (j < item.predicates.length); j++) {
+                predicate = item.predicates[j];
+                var isView = isNaN(parseFloat(predicate.object)) && !(metrics && (metrics[predicate.object] !== undefined));
+                this.constraint({
+                    view1: item.view,
+                    attr1: orientation.size,
+                    relation: predicate.relation,
+                    view2: isView ? predicate.object : undefined,
+                    attr2: isView ? orientation.size : undefined,
+                    constant: isView ? 0 : predicate.object,
+                    priority: predicate.priority
+                });
+            }
+        }
+
+        // Connections
+        for (i = 0; i < parsed.connections.length; i++) {
+            var item1 = parsed.items[i];
+            var item2 = parsed.items[i + 1];
+            for (j = 0; j < parsed.connections[i].length; j++) {
+                predicate = parsed.connections[i][j];
+                this.constraint({
+                    view1: item2.container ? null : item2.view,
+                    attr1: item2.container ? orientation.end : orientation.start,
+                    relation: predicate.relation,
+                    view2: item1.container ? null : item1.view,
+                    attr2: item1.container ? orientation.start : orientation.end,
+                    constant: predicate.standard ? ((this._options.spacing === undefined) ? 8 : this._options.spacing) : predicate.object,
+                    priority: predicate.priority
+                });
+            }
+        }
+        return this;
+    };
+
+    /**
+     * Gets the variables of a view, and creates them if neccesary.
+     */
+    function _getView(name) {
+        var view = this._views[name];
+        if (!view) {
+            view = {
+                left: this._solver.addVariable(),
+                top: this._solver.addVariable(),
+                width: this._solver.addVariable(true),
+                height: this._solver.addVariable(true)
+            };
+            this._views[name] = view;
+        }
+        return view;
+    }
+
+    /**
+     * Adds the terms for a view-attribute to the given terms array, or
+     * returns the constant value for an attribute of the container.
+     */
+    function _addTerms(terms, view, attr, multiplier) {
+        var attribute = attributes[attr];
+        if (!attribute) {
+            LayoutUtility.error('Invalid attribute "' + attr + '" specified in constraint');
+        }
+        if ((view === null) || (view === undefined)) {
+            var start = attribute.horizontal ? this._container.left : this._container.top;
+            var end = attribute.horizontal ? this._container.right : this._container.bottom;
+            return multiplier * ((attribute.position * start) + (attribute.size * (end - start)));
+        }
+        view = _getView.call(this, view);
+        if (attribute.position) {
+            terms.push([attribute.horizontal ? view.left : view.top, multiplier]);
+        }
+        terms.push([attribute.horizontal ? view.width : view.height, multiplier * attribute.size]);
+        return 0;
+    }
+
+    /**
+     * Adds a constraint of the form: `view1.attr1 relation multiplier * view2.attr2 + constant`.
+     *
+     * @param {Object} constraint Constraint object
+     * @param {String} constraint.view1 Id of the renderable (`null` = container)
+     * @param {String} constraint.attr1 Attribute (`left`, `right`, `top`, `bottom`, `width`, `height`, `centerX`, `centerY`)
+     * @param {String} [constraint.relation] Relation (`'=='`, `'<='` or `'>='`) (default: `'=='`)
+     * @param {String} [constraint.view2] Id of the second renderable (`null` = container)
+     * @param {String} [constraint.attr2] Attribute of the second renderable (when omitted, only the constant is used)
+     * @param {Number} [constraint.multiplier] Multiplier (default: 1)
+     * @param {Number|String} [constraint.constant] Constant or metric (default: 0)
+     * @param {Number|String} [constraint.priority] Priority between 1 and 1000 (default: 1000 = required)
+     * @return {LayoutConstraintHelper} this
+     */
+    LayoutConstraintHelper.prototype.constraint = function(constraint) {
+        var relation = relations[constraint.relation || '=='];
+        if (!relation) {
+            LayoutUtility.error('Invalid relation "' + constraint.relation + '" specified in constraint');
+        }
+        var multiplier = (constraint.multiplier === undefined) ? 1 : constraint.multiplier;
+        var terms = [];
+        var constant = _resolveValue.call(this, constraint.constant) || 0;
+        constant -= _addTerms.call(this, terms, constraint.view1, constraint.attr1, 1);
+        if (constraint.attr2) {
+            constant -= _addTerms.call(this, terms, constraint.view2, constraint.attr2, -multiplier);
+        }
+        if (terms.length) {
+            this._solver.addConstraint(terms, relation, constant, _resolveValue.call(this, constraint.priority));
+        }
+        return this;
+    };
+
+    /**
+     * Adds the intrinsic size constraints of the renderables, solves
+     * the constraints and positions the renderables.
+     *
+     * @return {LayoutConstraintHelper} this
+     */
+    LayoutConstraintHelper.prototype.layout = function() {
+        var name;
+        var view;
+        var contextNode;
+        for (name in this._views) {
+            contextNode = this._context.get(name);
+            if (contextNode) {
+                view = this._views[name];
+                var size = this._context.resolveSize(contextNode, [undefined, undefined]);
+                for (var i = 0; i < 2; i++) {
+                    if ((size[i] !== undefined) && (size[i] !== true)) {
+                        var variable = i ? view.height : view.width;
+                        this._solver.addConstraint([[variable, 1]], '<=', size[i], ConstraintSolver.Priority.LOW);
+                        this._solver.addConstraint([[variable, 1]], '>=', size[i], ConstraintSolver.Priority.HIGH);
+                    }
+                }
+            }
+        }
+        var values = this._solver.solve();
+        var z = this._options.translateZ || 0;
+        for (name in this._views) {
+            view = this._views[name];
+            this._context.set(name, {
+                size: [values[view.width], values[view.height]],
+                translate: [values[view.left], values[view.top], z]
+            });
+        }
+        return this;
+    };
+
+    // Register the helper
+    LayoutUtility.registerHelper('constraints', LayoutConstraintHelper);
+
+    module.exports = LayoutConstraintHelper;
+});
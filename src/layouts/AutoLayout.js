@@ -0,0 +1,58 @@
+/**
+ * This Source Code is licensed under the MIT license. If a copy of the
+ * MIT-license was not distributed with this file, You can obtain one at:
+ * http://opensource.org/licenses/mit-license.html.
+ *
+ * @author: Hein Rutjes (IjzerenHein)
+ * @license MIT
+ * @copyright Gloey Apps, 2015
+ */
+
+/**
+ * Lays out renderables using constraints, specified using Apple's Visual Format Language
+ * or constraint objects (see [LayoutConstraintHelper](../helpers/LayoutConstraintHelper.md)).
+ *
+ * |options|type|description|
+ * |---|---|---|
+ * |`constraints`|Array|Array of visual format strings and/or constraint objects|
+ * |`[spacing]`|Number|Standard spacing that is used for `-` (default: 8)|
+ * |`[metrics]`|Object|Named values that can be used in the visual format (e.g. `{buttonWidth: 100}`)|
+ * |`[margins]`|Number/Array|Margins shorthand (e.g. 5, [10, 20], [2, 5, 2, 10])|
+ *
+ * Example:
+ *
+ * ```javascript
+ * var AutoLayout = require('famous-flex/layouts/AutoLayout');
+ *
+ * var layout = new LayoutController({
+ *   layout: AutoLayout,
+ *   layoutOptions: {
+ *     constraints: [
+ *       '|-[left(==right)]-[right]-|',
+ *       'V:|-[left]-|',
+ *       'V:|-[right(>=minHeight)]-(>=spacing)-|'
+ *     ],
+ *     metrics: {
+ *       minHeight: 100,
+ *       spacing: 20
+ *     }
+ *   },
+ *   dataSource: {
+ *     left: new Surface({content: 'left'}),
+ *     right: new Surface({content: 'right'})
+ *   }
+ * });
+ * ```
+ * @module
+ */
+define(function(require, exports, module) {
+
+    // import dependencies
+    var LayoutConstraintHelper = require('../helpers/LayoutConstraintHelper');
+
+    // Layout function
+    module.exports = function AutoLayout(context, options) {
+        var helper = new LayoutConstraintHelper(context, options);
+        helper.parse(options.constraints || []);
+    };
+});
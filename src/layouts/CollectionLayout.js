@@ -19,6 +19,11 @@
  * |`[margins]`|Number/Array|Margins shorthand (e.g. 5, [10, 20], [2, 5, 2, 10])|
  * |`[spacing]`|Number/Array|Spacing between items (e.g. 5, [10, 10])|
  * |`[justify]`|Bool/Array.Bool|Justify the renderables accross the width/height|
+ * |`[isSectionCallback]`|Function|Callback that is called in order to check if a render-node is a section rather than a cell.|
+ * |`[stickySections]`|Bool|Pins the section of the first visible line to the top (default: false)|
+ * |`[itemSpan]`|Array/Function|Number of cells an item spans: [columns, rows] or callback function which should return the span, e.g.: `function(renderNode)`|
+ * |`[sectionOptions]`|Function|Callback which returns the options (`itemSize`, `cells`, `spacing`, `justify`, `itemSpan`, `dense`) for the items of a section, e.g.: `function(sectionRenderNode)`|
+ * |`[dense]`|Bool|Fills gaps with items that come later (dense packing), used in combination with `itemSpan` (default: false)|
  * |`[suppressWarnings]`|Bool|Suppresses any warnings generated by faulty configuration options|
  *
  * Example:
@@ -57,6 +62,69 @@
  * });
  * ```
  *
+ * Sections:
+ *
+ * When `isSectionCallback` is specified, the render-nodes for which the callback returns
+ * true are layed out as sections. A section always starts on a new line and takes up
+ * the full width (or height) between the margins. The size in the scroll-direction is
+ * taken from the render-node (true-size is supported).
+ *
+ * ```javascript
+ * var scrollView = new FlexScrollView({
+ *   layout: CollectionLayout,
+ *   layoutOptions: {
+ *     itemSize: [100, 100],
+ *     margins: 10,
+ *     spacing: [10, 10],
+ *     isSectionCallback: function(renderNode) {
+ *       return renderNode.isSection;
+ *     },
+ *     stickySections: true
+ *   },
+ *   dataSource: [
+ *     _createSection('Today'),  // e.g. new Surface({size: [undefined, 30]}) with `isSection = true`
+ *     new Surface({content: 'photo 1'}),
+ *     new Surface({content: 'photo 2'}),
+ *     _createSection('Yesterday'),
+ *     new Surface({content: 'photo 3'})
+ *   ]
+ * });
+ * ```
+ *
+ * Spans:
+ *
+ * When `itemSpan` or `sectionOptions` is specified, the items are layed out in a grid of cells.
+ * The size of a cell is determined by a fixed `itemSize` or by `cells`. Items can span multiple
+ * cells and are placed in the first position where they fit. When `dense` is enabled, gaps are
+ * filled with items that come later in the sequence. The items of a section are always positioned
+ * from the start of that section, which ensures a stable layout when scrolling.
+ * The placement of the items is cached per section, so that only the visible items are
+ * layed out while scrolling. The span and section-options are evaluated when an item is
+ * placed, call `reflowLayout` on the layout-controller when they change. For data-sources
+ * that have no start (e.g. virtual view-sequences), the layout looks back at most 1000
+ * items for the start of a section.
+ *
+ * ```javascript
+ * var scrollView = new FlexScrollView({
+ *   layout: CollectionLayout,
+ *   layoutOptions: {
+ *     cells: [4],               // 4 columns, square cells
+ *     spacing: 10,
+ *     dense: true,
+ *     itemSpan: function(renderNode) {
+ *       return renderNode.featured ? [2, 2] : [1, 1];
+ *     },
+ *     isSectionCallback: function(renderNode) {
+ *       return renderNode.isSection;
+ *     },
+ *     sectionOptions: function(sectionRenderNode) {
+ *       return sectionRenderNode.compact ? {cells: [6], spacing: 2} : undefined;
+ *     }
+ *   },
+ *   dataSource: dataSource
+ * });
+ * ```
+ *
  * Notes:
  *
  * * Recall that the **`direction`** option is given to `FlexScrollView` and not
@@ -70,6 +138,7 @@ define(function(require, exports, module) {
     // import dependencies
     var Utility = require('famous/utilities/Utility');
     var LayoutUtility = require('../LayoutUtility');
+    var Map = require('es6-map');
 
     // Define capabilities of this layout function
     var capabilities = {
@@ -80,6 +149,9 @@ define(function(require, exports, module) {
         sequentialScrollingOptimized: true
     };
 
+    // Maximum number of items to look back for the start of a section
+    var MAX_SECTION_LOOKBACK = 1000;
+
     // Prepare
     var context;
     var size;
@@ -95,6 +167,10 @@ define(function(require, exports, module) {
     var itemSize;
     var getItemSize;
     var lineNodes;
+    var isSectionCallback;
+    var sections;
+    var sectionHeader;
+    var layoutOptions;
 
     /**
      * Lays out the renderables in a single line. Taking into account
@@ -145,6 +221,14 @@ define(function(require, exports, module) {
                 scrollLength: scrollLength
             };
             lineOffset += lineNode.size[lineDirection] + spacing[lineDirection] + (justifyOffset * 2);
+            if (lineNode.section) {
+                if (next) {
+                    sections.push(lineNode);
+                }
+                else {
+                    sections.unshift(lineNode);
+                }
+            }
         }
 
         // Set nodes
@@ -181,6 +265,817 @@ define(function(require, exports, module) {
         }
     }
 
+    /**
+     * Helper function to resolving the size of a section. A section
+     * takes up the full line and uses the size of the render-node
+     * in the scroll-direction.
+     */
+    function _resolveSectionSize(node) {
+        var result = [0, 0];
+        result[lineDirection] = lineLength;
+        result[direction] = context.resolveSize(node, size)[direction];
+        return result;
+    }
+
+    /**
+     * Gets the line-state, in which the nodes that start a line are cached
+     * between layouts, together with the header of the section they belong to
+     * (`null` when the section starts at the start of the data-source, and `false`
+     * when the header lies beyond MAX_SECTION_LOOKBACK nodes). The state
+     * is kept in the cache of the layout-context and is reset when the size,
+     * direction or options change.
+     */
+    function _getLineState() {
+        var cache = context.getCache(CollectionLayout);
+        var key = size[0] + ',' + size[1] + ',' + direction;
+        var lines = cache.get('lines');
+        if (!lines || (lines.key !== key) || (lines.options !== layoutOptions)) {
+            lines = {
+                key: key,
+                options: layoutOptions,
+                starts: new Map() // renderNode -> header renderNode
+            };
+            cache.set('lines', lines);
+        }
+        return lines;
+    }
+
+    /**
+     * Remembers the view-sequence of a section header, so that the header can
+     * be pinned without looking back for it.
+     */
+    function _cacheSectionHeader(node) {
+        var cache = context.getCache(CollectionLayout);
+        var headers = cache.get('headers');
+        if (!headers) {
+            headers = new Map(); // renderNode -> viewSequence
+            cache.set('headers', headers);
+        }
+        headers.set(node.renderNode, node.viewSequence);
+    }
+
+    /**
+     * Gets the cached section header. The cache is only used when the header
+     * is still at the same position in the data-source.
+     */
+    function _getCachedSectionHeader(renderNode) {
+        var headers = context.getCache(CollectionLayout).get('headers');
+        var viewSequence = headers ? headers.get(renderNode) : undefined;
+        if (!viewSequence || (viewSequence.get() !== renderNode)) {
+            return undefined;
+        }
+        return {
+            renderNode: renderNode,
+            viewSequence: viewSequence,
+            prev: true
+        };
+    }
+
+    /**
+     * Collects the nodes before the current position up until the section
+     * they belong to, and splits them into lines in forward order. This
+     * ensures that the lines are the same as when they are layed out
+     * from the start of the section. The start of each line is cached, so that
+     * the nodes only need to be collected up until the start of the line
+     * they belong to, once the lines have been determined.
+     * For data-sources without a start, at most MAX_SECTION_LOOKBACK nodes are
+     * collected.
+     */
+    function _collectPrevSectionLines(node) {
+        var state = _getLineState();
+        var nodes = [];
+        var lineStart;
+        while (node && !isSectionCallback(node.renderNode)) {
+            nodes.unshift({node: node, size: _resolveNodeSize(node)});
+            if (state.starts.has(node.renderNode) || (nodes.length >= MAX_SECTION_LOOKBACK)) {
+                lineStart = node;
+                break;
+            }
+            node = context.prev();
+        }
+        var header = node ? node.renderNode : null;
+        if (lineStart) {
+            header = state.starts.has(lineStart.renderNode) ? state.starts.get(lineStart.renderNode) : false;
+        }
+        var lines = [];
+        var line = [];
+        var lineOffset = 0;
+        for (var i = 0; i < nodes.length; i++) {
+            lineOffset += (line.length ? spacing[lineDirection] : 0) + nodes[i].size[lineDirection];
+            if (line.length && ((Math.round(lineOffset * 100) / 100) > lineLength)) {
+                lines.push(line);
+                line = [];
+                lineOffset = nodes[i].size[lineDirection];
+            }
+            if (!line.length) {
+                state.starts.set(nodes[i].node.renderNode, header);
+            }
+            line.push(nodes[i]);
+        }
+        if (line.length) {
+            lines.push(line);
+        }
+        return {
+            lines: lines,
+            section: lineStart ? undefined : node,
+            header: header,
+            startReached: !lineStart && !node
+        };
+    }
+
+    /**
+     * Pins the section of the first visible line to the top, or
+     * pushes it up when the next section reaches it.
+     */
+    function _pinSection(lookbackNode, top) {
+        var i;
+        var section;
+        var nextSection;
+        for (i = 0; i < sections.length; i++) {
+            if (sections[i].set.translate[direction] <= top) {
+                section = sections[i];
+            }
+            else {
+                nextSection = sections[i];
+                break;
+            }
+        }
+
+        // When no section is above the top, use the header of the section of the first
+        // line, or look back further in search for that section
+        if (!section) {
+            var node = lookbackNode;
+            if (!node || !isSectionCallback(node.renderNode)) {
+                if ((sectionHeader === null) || (sectionHeader === false)) {
+                    return;
+                }
+                node = sectionHeader ? _getCachedSectionHeader(sectionHeader) : undefined;
+            }
+            if (!node) {
+                node = lookbackNode || context.prev();
+                for (i = 0; node && !isSectionCallback(node.renderNode); i++) {
+                    if (i >= MAX_SECTION_LOOKBACK) {
+                        return;
+                    }
+                    node = context.prev();
+                }
+            }
+            if (!node) {
+                return;
+            }
+            var translate = [0, 0, 0];
+            translate[lineDirection] = direction ? margins[3] : margins[0];
+            translate[direction] = top;
+            section = {
+                node: node,
+                set: {
+                    size: _resolveSectionSize(node),
+                    translate: translate,
+                    scrollLength: undefined
+                }
+            };
+        }
+
+        // Position the section
+        var sectionOffset = Math.max(top, section.set.translate[direction]);
+        if (nextSection) {
+            sectionOffset = Math.min(sectionOffset, nextSection.set.translate[direction] - section.set.size[direction] - spacing[direction]);
+        }
+        section.set.translate[direction] = sectionOffset;
+        context.set(section.node, section.set);
+    }
+
+    /**
+     * Gets the grid-state, in which the placement of the items of each section is
+     * cached between layouts. The state is kept in the cache of the layout-context
+     * and is reset when the size, direction or options change.
+     */
+    function _getGridState() {
+        var cache = context.getCache(CollectionLayout);
+        var key = size[0] + ',' + size[1] + ',' + direction;
+        var grid = cache.get('grid');
+        if (!grid || (grid.key !== key) || (grid.options !== layoutOptions)) {
+            grid = {
+                key: key,
+                options: layoutOptions,
+                entries: new Map() // renderNode -> {section, index}, the header has index -1
+                //start: undefined // section at the start of the data-source
+            };
+            cache.set('grid', grid);
+        }
+        return grid;
+    }
+
+    /**
+     * Checks whether a context-node is the header of a section.
+     */
+    function _isGridHeader(node) {
+        return !!(isSectionCallback && isSectionCallback(node.renderNode));
+    }
+
+    /**
+     * Resolves the grid (cell-size, columns and spacing) for the items
+     * of a section, using the options returned by `sectionOptions`.
+     */
+    function _createGridSection(header) {
+        var sectionOptions = (header && layoutOptions.sectionOptions) ? layoutOptions.sectionOptions(header.renderNode) : undefined;
+        var gridOptions = LayoutUtility.combineOptions(layoutOptions, sectionOptions);
+        var gridSpacing = gridOptions.spacing || 0;
+        gridSpacing = Array.isArray(gridSpacing) ? gridSpacing : [gridSpacing, gridSpacing];
+        var cellSize = [0, 0];
+        for (var i = 0; i < 2; i++) {
+            if (gridOptions.cells && (typeof gridOptions.cells[i] === 'number')) {
+                cellSize[i] = (size[i] - (i ? (margins[0] + margins[2]) : (margins[1] + margins[3])) - (gridSpacing[i] * (gridOptions.cells[i] - 1))) / gridOptions.cells[i];
+            }
+            else if (gridOptions.itemSize && (typeof gridOptions.itemSize[i] === 'number')) {
+                cellSize[i] = gridOptions.itemSize[i];
+            }
+            else {
+                cellSize[i] = undefined;
+            }
+        }
+        if (cellSize[lineDirection] === undefined) {
+            cellSize[lineDirection] = lineLength;
+        }
+        if (cellSize[direction] === undefined) {
+            cellSize[direction] = cellSize[lineDirection];
+        }
+        var columns = Math.max(1, Math.floor((Math.round((lineLength + gridSpacing[lineDirection]) * 100) / 100) / (cellSize[lineDirection] + gridSpacing[lineDirection])));
+        var gridJustify = Array.isArray(gridOptions.justify) ? gridOptions.justify[lineDirection] : gridOptions.justify;
+        var justifyOffset = gridJustify ? ((lineLength - ((columns * cellSize[lineDirection]) + ((columns - 1) * gridSpacing[lineDirection]))) / (columns * 2)) : 0;
+        return {
+            header: header ? header.renderNode : undefined,
+            headerSize: header ? _resolveSectionSize(header)[direction] : 0,
+            options: gridOptions,
+            cellSize: cellSize,
+            spacing: gridSpacing,
+            columns: columns,
+            justifyOffset: justifyOffset,
+            items: [],
+            occupied: [],
+            cursor: 0,
+            freeCell: 0,
+            rows: 0,
+            maxRow: 0,
+            maxSpan: 1
+            //startReached: undefined, // section starts at the start of the data-source
+            //endReached: undefined // section ends at the end of the data-source
+        };
+    }
+
+    /**
+     * Checks whether an item with the given span fits at the given cell.
+     */
+    function _isGridAreaFree(section, row, column, span) {
+        for (var r = row; r < (row + span[direction]); r++) {
+            for (var c = column; c < (column + span[lineDirection]); c++) {
+                if (section.occupied[r] && section.occupied[r][c]) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Checks whether a row contains at least one free cell.
+     */
+    function _hasGridFreeCell(section, row) {
+        for (var c = 0; c < section.columns; c++) {
+            if (!section.occupied[row] || !section.occupied[row][c]) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Marks the cells of an item as occupied and updates the placement state
+     * (cursor, first free cell, rows) of the section.
+     */
+    function _occupyGridItem(section, item) {
+        for (var r = item.row; r < (item.row + item.span[direction]); r++) {
+            section.occupied[r] = section.occupied[r] || [];
+            for (var c = item.column; c < (item.column + item.span[lineDirection]); c++) {
+                section.occupied[r][c] = true;
+            }
+        }
+        section.cursor = item.cell + item.span[lineDirection];
+        section.rows = Math.max(section.rows, item.row + item.span[direction]);
+        section.maxRow = Math.max(section.maxRow, item.row);
+        section.maxSpan = Math.max(section.maxSpan, item.span[direction]);
+        while (section.occupied[Math.floor(section.freeCell / section.columns)] &&
+            section.occupied[Math.floor(section.freeCell / section.columns)][section.freeCell % section.columns]) {
+            section.freeCell++;
+        }
+    }
+
+    /**
+     * Places an item in the first free area of the grid. When `dense` is enabled,
+     * the search starts at the first free cell, otherwise after the previous item.
+     * Besides the cell, the item records the row from which it determines the
+     * scroll-length (`anchorRow`), the largest row-span up to and including the
+     * item (`maxSpan`), and the first row in which it could have been placed
+     * (`freeRow`), which is used to stop the layout at the bounds.
+     */
+    function _addGridItem(section, renderNode) {
+        var itemSpan = section.options.itemSpan;
+        if (itemSpan instanceof Function) {
+            itemSpan = itemSpan(renderNode);
+        }
+        var span = [1, 1];
+        if (itemSpan) {
+            span[0] = itemSpan[0] || 1;
+            span[1] = itemSpan[1] || 1;
+        }
+        span[lineDirection] = Math.min(span[lineDirection], section.columns);
+        var cell = section.options.dense ? section.freeCell : section.cursor;
+        var freeRow = Math.floor(cell / section.columns);
+        while (!_hasGridFreeCell(section, freeRow)) {
+            freeRow++;
+        }
+        var row = Math.floor(cell / section.columns);
+        var column = cell % section.columns;
+        while (((column + span[lineDirection]) > section.columns) || !_isGridAreaFree(section, row, column, span)) {
+            cell++;
+            row = Math.floor(cell / section.columns);
+            column = cell % section.columns;
+        }
+        var item = {
+            renderNode: renderNode,
+            cell: cell,
+            row: row,
+            column: column,
+            span: span,
+            freeRow: freeRow
+        };
+        _occupyGridItem(section, item);
+        item.anchorRow = section.maxRow;
+        item.maxSpan = section.maxSpan;
+        section.items.push(item);
+        return item;
+    }
+
+    /**
+     * Removes the items from the given index onwards from a section, e.g. because
+     * the data-source was changed at that index, and restores the placement state.
+     */
+    function _truncateGridSection(grid, section, count) {
+        if (count >= section.items.length) {
+            return;
+        }
+        var i;
+        for (i = count; i < section.items.length; i++) {
+            var entry = grid.entries.get(section.items[i].renderNode);
+            if (entry && (entry.section === section) && (entry.index === i)) {
+                grid.entries.delete(section.items[i].renderNode);
+            }
+        }
+        section.items.length = count;
+        section.occupied = [];
+        section.cursor = 0;
+        section.freeCell = 0;
+        section.rows = 0;
+        section.maxRow = 0;
+        section.maxSpan = 1;
+        for (i = 0; i < count; i++) {
+            _occupyGridItem(section, section.items[i]);
+        }
+    }
+
+    /**
+     * Removes a section, and the placement of its items, from the grid-state.
+     */
+    function _dropGridSection(grid, section) {
+        _truncateGridSection(grid, section, 0);
+        var entry = section.header ? grid.entries.get(section.header) : undefined;
+        if (entry && (entry.section === section)) {
+            grid.entries.delete(section.header);
+        }
+        if (grid.start === section) {
+            grid.start = undefined;
+        }
+    }
+
+    /**
+     * Gets the (cached) section that starts at the given header.
+     */
+    function _getGridHeaderSection(grid, node) {
+        _cacheSectionHeader(node);
+        var entry = grid.entries.get(node.renderNode);
+        if (entry && (entry.index === -1)) {
+            entry.section.headerSize = _resolveSectionSize(node)[direction];
+            return entry.section;
+        }
+        var section = _createGridSection(node);
+        grid.entries.set(node.renderNode, {section: section, index: -1});
+        return section;
+    }
+
+    /**
+     * Gets the item at the given index of a section. When the cached item is not
+     * the given renderable (the data-source has changed), the section is truncated
+     * and the renderable is placed again.
+     */
+    function _placeGridItem(grid, section, index, renderNode) {
+        var item = section.items[index];
+        var entry = item ? grid.entries.get(renderNode) : undefined;
+        if (item && (item.renderNode === renderNode) && entry && (entry.section === section) && (entry.index === index)) {
+            return item;
+        }
+        _truncateGridSection(grid, section, index);
+        item = _addGridItem(section, renderNode);
+        grid.entries.set(renderNode, {section: section, index: index});
+        return item;
+    }
+
+    /**
+     * Returns the offset of an item relative to the start of its section.
+     */
+    function _getGridItemOffset(section, row) {
+        return section.headerSize + (section.header ? section.spacing[direction] : 0) + (row * (section.cellSize[direction] + section.spacing[direction]));
+    }
+
+    /**
+     * Returns the length of a section (excluding the trailing spacing).
+     */
+    function _getGridSectionLength(section) {
+        var length = section.headerSize;
+        if (section.rows) {
+            length += (section.header ? section.spacing[direction] : 0) +
+                (section.rows * section.cellSize[direction]) + ((section.rows - 1) * section.spacing[direction]);
+        }
+        return length;
+    }
+
+    /**
+     * Positions the header and a range of items of a section. Nodes that were
+     * requested using `next` are set in increasing order, nodes that were requested
+     * using `prev` in decreasing order.
+     *
+     * @param {Object} section grid-section
+     * @param {Number} sectionOffset offset of the section
+     * @param {Object} headerNode context-node of the header, or undefined when it is not to be set
+     * @param {Number} firstIndex index of the first item to set
+     * @param {Array} nodes context-nodes of the items to set
+     * @param {Bool} complete whether all items of the section have been placed
+     * @return {Number} length of the section, including the trailing spacing
+     */
+    function _setGridSection(section, sectionOffset, headerNode, firstIndex, nodes, complete) {
+        var i;
+        var entries = [];
+        var trailing = section.spacing[direction];
+        if (complete && section.endReached && !alignment) {
+            trailing = direction ? (margins[0] + margins[2]) : (margins[3] + margins[1]);
+        }
+        var length = _getGridSectionLength(section);
+        var lineStart = (direction ? margins[3] : margins[0]) + section.justifyOffset;
+        if (headerNode) {
+            var headerTranslate = [0, 0, 0];
+            headerTranslate[lineDirection] = direction ? margins[3] : margins[0];
+            headerTranslate[direction] = sectionOffset;
+            entries.push({
+                node: headerNode,
+                set: {
+                    size: _resolveSectionSize(headerNode),
+                    translate: headerTranslate,
+                    scrollLength: section.items.length ? _getGridItemOffset(section, section.items[0].anchorRow) : (complete ? (length + trailing) : undefined)
+                },
+                section: true
+            });
+        }
+        var pitch = [
+            section.cellSize[0] + section.spacing[0],
+            section.cellSize[1] + section.spacing[1]
+        ];
+        pitch[lineDirection] += section.justifyOffset * 2;
+        for (i = 0; i < nodes.length; i++) {
+            var item = section.items[firstIndex + i];
+            var nextItem = section.items[firstIndex + i + 1];
+            var anchor = _getGridItemOffset(section, item.anchorRow);
+            var itemSize = [0, 0];
+            itemSize[lineDirection] = (item.span[lineDirection] * pitch[lineDirection]) - section.spacing[lineDirection] - (section.justifyOffset * 2);
+            itemSize[direction] = (item.span[direction] * pitch[direction]) - section.spacing[direction];
+            var translate = [0, 0, 0];
+            translate[lineDirection] = lineStart + (item.column * pitch[lineDirection]);
+            translate[direction] = sectionOffset + _getGridItemOffset(section, item.row);
+            entries.push({
+                node: nodes[i],
+                set: {
+                    size: itemSize,
+                    translate: translate,
+                    scrollLength: nextItem ? (_getGridItemOffset(section, nextItem.anchorRow) - anchor) : (complete ? (length + trailing - anchor) : undefined)
+                }
+            });
+        }
+        if (entries.length && section.startReached && alignment && (headerNode || !firstIndex)) {
+            entries[0].set.scrollLength += (direction ? (margins[0] + margins[2]) : (margins[3] + margins[1])) - section.spacing[direction];
+        }
+        for (i = 0; i < entries.length; i++) {
+            if (entries[i].node.next) {
+                context.set(entries[i].node, entries[i].set);
+            }
+        }
+        for (i = entries.length - 1; i >= 0; i--) {
+            if (entries[i].node.prev) {
+                context.set(entries[i].node, entries[i].set);
+            }
+        }
+        section.offset = sectionOffset;
+        return (entries.length && entries[0].section) ? entries[0] : undefined;
+    }
+
+    /**
+     * Lays out the items in a grid, in which items can span multiple cells and
+     * each section can have its own options. The items of a section are always
+     * positioned from the start of the section, so that the layout remains the
+     * same while scrolling. The placement of the items is cached, so that only
+     * the visible items are placed when scrolling. The cached placement is verified
+     * against the enumerated renderables, and placed again when the data-source
+     * has changed.
+     */
+    function _layoutGrid() {
+        var grid = _getGridState();
+        var headers = [];
+        var i;
+        var item;
+        var section;
+        var sectionOffset;
+        var nextOffset;
+        var headerEntry;
+
+        // Previous nodes are kept, so that they can be enumerated again after
+        // looking back for the start of a section
+        var prevNodes = [];
+        var prevIndex = 0;
+        function _prev() {
+            if (prevIndex === prevNodes.length) {
+                if (prevNodes.length && !prevNodes[prevNodes.length - 1]) {
+                    return undefined;
+                }
+                prevNodes.push(context.prev());
+            }
+            return prevNodes[prevIndex++];
+        }
+
+        /**
+         * Resolves the section and index of the item that follows the next previous
+         * node. When the previous node has not been placed before, the nodes are
+         * enumerated back up to the start of the section (or at most MAX_SECTION_LOOKBACK
+         * nodes for data-sources without a start) and placed from there.
+         */
+        function _resolvePrev() {
+            var start = prevIndex;
+            var node = _prev();
+            var entry = (node && !_isGridHeader(node)) ? grid.entries.get(node.renderNode) : undefined;
+            var position;
+            if (node && _isGridHeader(node)) {
+                position = {section: _getGridHeaderSection(grid, node), index: 0};
+            }
+            else if (!node && grid.start) {
+                position = {section: grid.start, index: 0};
+            }
+            else if (entry && (entry.index >= 0) && entry.section.items[entry.index] &&
+                (entry.section.items[entry.index].renderNode === node.renderNode)) {
+                position = {section: entry.section, index: entry.index + 1};
+            }
+            else {
+                var nodes = [];
+                var prevSection;
+                while (node && !_isGridHeader(node) && (nodes.length < MAX_SECTION_LOOKBACK)) {
+                    nodes.push(node);
+                    node = _prev();
+                }
+                if (node && _isGridHeader(node)) {
+                    entry = grid.entries.get(node.renderNode);
+                    if (entry && (entry.index === -1)) {
+                        _dropGridSection(grid, entry.section);
+                    }
+                    prevSection = _getGridHeaderSection(grid, node);
+                }
+                else {
+                    prevSection = _createGridSection();
+                    if (!node) {
+                        if (grid.start) {
+                            _dropGridSection(grid, grid.start);
+                        }
+                        prevSection.startReached = true;
+                        grid.start = prevSection;
+                    }
+                }
+                for (var j = 0; j < nodes.length; j++) {
+                    _placeGridItem(grid, prevSection, j, nodes[nodes.length - 1 - j].renderNode);
+                }
+                position = {section: prevSection, index: nodes.length};
+            }
+            prevIndex = start;
+            return position;
+        }
+
+        /**
+         * Checks whether an item, or any item before it, can be visible above the bound.
+         */
+        function _isGridItemInBounds(item, bound) {
+            return (section.offset + _getGridItemOffset(section, item.anchorRow + item.maxSpan)) > bound;
+        }
+
+        /**
+         * Verifies that the previous nodes are the cached items that precede the
+         * given index (as far as they are visible).
+         */
+        function _verifyPrev(count, bound) {
+            var start = prevIndex;
+            var valid = true;
+            var index = count - 1;
+            while ((index >= 0) && _isGridItemInBounds(section.items[index], bound)) {
+                var node = _prev();
+                if (!node || (node.renderNode !== section.items[index].renderNode)) {
+                    valid = false;
+                    break;
+                }
+                index--;
+            }
+            if (valid && (index < 0) && ((section.offset + section.headerSize) > bound)) {
+                var prevNode = _prev();
+                if (section.header) {
+                    valid = !!prevNode && (prevNode.renderNode === section.header);
+                }
+                else if (section.startReached) {
+                    valid = !prevNode;
+                }
+                else {
+                    valid = !!prevNode && !_isGridHeader(prevNode);
+                }
+            }
+            prevIndex = start;
+            return valid;
+        }
+
+        /**
+         * Sets the visible items that precede the given index, and the header.
+         *
+         * @return {Bool} true when the start of the section was reached
+         */
+        function _setPrev(count, bound, complete) {
+            var nodes = [];
+            var index = count - 1;
+            while ((index >= 0) && _isGridItemInBounds(section.items[index], bound)) {
+                nodes.unshift(_prev());
+                index--;
+            }
+            var headerNode;
+            var startReached = (index < 0) && ((section.offset + section.headerSize) > bound);
+            if (startReached && section.header) {
+                headerNode = _prev();
+                section.headerSize = _resolveSectionSize(headerNode)[direction];
+            }
+            headerEntry = _setGridSection(section, section.offset, headerNode, index + 1, nodes, complete);
+            if (headerEntry) {
+                headers.unshift(headerEntry);
+            }
+            return startReached;
+        }
+
+        //
+        // Determine the section and placement of the first node. When the items
+        // that precede it have changed, the section is placed again.
+        //
+        var firstOffset = context.scrollOffset + margin[alignment] + (alignment ? spacing[direction] : 0);
+        var bound = context.scrollStart + (alignment ? margin[alignment] : 0);
+        var node = context.next();
+        var position;
+        var firstIndex;
+        if (node && _isGridHeader(node)) {
+            section = _getGridHeaderSection(grid, node);
+            section.offset = firstOffset;
+        }
+        else {
+            for (i = 0; i < 2; i++) {
+                position = _resolvePrev();
+                section = position.section;
+                if (node) {
+                    item = _placeGridItem(grid, section, position.index, node.renderNode);
+                    section.offset = firstOffset - _getGridItemOffset(section, item.anchorRow);
+                }
+                else {
+                    _truncateGridSection(grid, section, position.index);
+                    section.endReached = true;
+                    section.offset = firstOffset - (_getGridSectionLength(section) + section.spacing[direction]);
+                }
+                if (_verifyPrev(position.index, bound)) {
+                    break;
+                }
+                _dropGridSection(grid, section);
+            }
+            firstIndex = position.index;
+        }
+        var first = section;
+
+        //
+        // Process all next nodes
+        //
+        bound = context.scrollEnd + (alignment ? 0 : margin[alignment]);
+        sectionOffset = section.offset;
+        var index = firstIndex;
+        var firstNode = node;
+        var headerNode;
+        if (index === undefined) {
+            headerNode = node;
+            index = 0;
+            node = context.next();
+        }
+        while (section) {
+            var nodes = [];
+            var complete = true;
+            var startIndex = index;
+            while (node && !_isGridHeader(node)) {
+                item = _placeGridItem(grid, section, index, node.renderNode);
+                if ((node !== firstNode) && ((sectionOffset + _getGridItemOffset(section, item.freeRow)) >= bound)) {
+                    complete = false;
+                    break;
+                }
+                nodes.push(node);
+                index++;
+                node = context.next();
+            }
+            if (complete) {
+                _truncateGridSection(grid, section, index);
+                section.endReached = !node;
+            }
+            headerEntry = _setGridSection(section, sectionOffset, headerNode, startIndex, nodes, complete);
+            if (headerEntry) {
+                headers.push(headerEntry);
+            }
+            sectionOffset += _getGridSectionLength(section) + section.spacing[direction];
+            section = undefined;
+            if (complete && node && (sectionOffset < bound)) {
+                headerNode = node;
+                section = _getGridHeaderSection(grid, node);
+                index = 0;
+                node = context.next();
+            }
+        }
+
+        //
+        // Process the previous nodes, starting with the items that precede
+        // the first node in its section
+        //
+        bound = context.scrollStart + (alignment ? margin[alignment] : 0);
+        section = first;
+        var top = first;
+        var startReached;
+        if (firstIndex === undefined) {
+            startReached = true;
+            nextOffset = section.offset;
+            section = undefined;
+        }
+        else {
+            startReached = _setPrev(firstIndex, bound, true);
+            nextOffset = section.offset;
+            section = (startReached && !section.startReached) ? undefined : section;
+        }
+        while (startReached && !section && (nextOffset > bound)) {
+            for (i = 0; i < 2; i++) {
+                var prevStart = prevIndex;
+                if (!_prev()) {
+                    break;
+                }
+                prevIndex = prevStart;
+                position = _resolvePrev();
+                section = position.section;
+                _truncateGridSection(grid, section, position.index);
+                section.endReached = false;
+                section.offset = nextOffset - (_getGridSectionLength(section) + section.spacing[direction]);
+                if (_verifyPrev(position.index, bound)) {
+                    break;
+                }
+                _dropGridSection(grid, section);
+                section = undefined;
+            }
+            if (!section) {
+                break;
+            }
+            top = section;
+            startReached = _setPrev(section.items.length, bound, true);
+            nextOffset = section.offset;
+            section = (startReached && !section.startReached) ? undefined : section;
+        }
+
+        // Register the headers for sticky sections, the header of the first section
+        // and the previous nodes that were enumerated but not layed out are used
+        // for looking back
+        sectionHeader = top.header || (top.startReached ? null : undefined);
+        for (i = 0; i < headers.length; i++) {
+            sections.push(headers[i]);
+        }
+        for (i = prevIndex; i < prevNodes.length; i++) {
+            if (!prevNodes[i] || _isGridHeader(prevNodes[i])) {
+                return prevNodes[i];
+            }
+        }
+        return prevNodes[prevIndex];
+    }
+
     /**
      * Collection-layout
      */
@@ -192,6 +1087,10 @@ define(function(require, exports, module) {
         direction = context.direction;
         alignment = context.alignment;
         lineDirection = (direction + 1) % 2;
+        isSectionCallback = options.isSectionCallback;
+        sections = [];
+        sectionHeader = undefined;
+        layoutOptions = options;
         if ((options.gutter !== undefined) && console.warn && !options.suppressWarnings) { //eslint-disable-line no-console
             console.warn('option `gutter` has been deprecated for CollectionLayout, use margins & spacing instead'); //eslint-disable-line no-console
         }
@@ -213,6 +1112,18 @@ define(function(require, exports, module) {
         var nodeSize;
         var lineOffset;
         var bound;
+        var lookbackNode;
+
+        //
+        // Use a grid when items can span multiple cells or sections have their own options
+        //
+        if (options.itemSpan || options.sectionOptions) {
+            lookbackNode = _layoutGrid();
+            if (options.stickySections) {
+                _pinSection(lookbackNode, margin[0]);
+            }
+            return;
+        }
 
         //
         // Prepare item-size
@@ -256,6 +1167,13 @@ define(function(require, exports, module) {
                 _layoutLine(true, true);
                 break;
             }
+            if (isSectionCallback && isSectionCallback(node.renderNode)) {
+                _cacheSectionHeader(node);
+                offset += _layoutLine(true, false);
+                lineNodes.push({node: node, size: _resolveSectionSize(node), section: true});
+                lineOffset = lineLength; // force next node onto a new line
+                continue;
+            }
             nodeSize = _resolveNodeSize(node);
             lineOffset += (lineNodes.length ? spacing[lineDirection] : 0) + nodeSize[lineDirection];
             if ((Math.round(lineOffset * 100) / 100) > lineLength) {
@@ -272,6 +1190,40 @@ define(function(require, exports, module) {
         bound = context.scrollStart + (alignment ? margin[alignment] : 0);
         lineOffset = 0;
         lineNodes = [];
+        if (isSectionCallback) {
+
+            // When using sections, the lines are determined from the start of
+            // the section, so that they are the same as when scrolling forward
+            node = (offset > bound) ? context.prev() : undefined;
+            while (node && (offset > bound)) {
+                lookbackNode = undefined;
+                var prevLines = _collectPrevSectionLines(node);
+                sectionHeader = prevLines.header;
+                for (var i = prevLines.lines.length - 1; (i >= 0) && (offset > bound); i--) {
+                    lineNodes = prevLines.lines[i];
+                    offset -= _layoutLine(false, prevLines.startReached && (i === 0));
+                }
+                node = prevLines.section;
+                if (offset <= bound) {
+                    lookbackNode = node;
+                    break;
+                }
+                if (!node) {
+                    node = prevLines.startReached ? undefined : context.prev();
+                    continue;
+                }
+                _cacheSectionHeader(node);
+                lineNodes = [{node: node, size: _resolveSectionSize(node), section: true}];
+                node = context.prev();
+                offset -= _layoutLine(false, !node);
+                sectionHeader = node ? undefined : null;
+                lookbackNode = node;
+            }
+            if (options.stickySections) {
+                _pinSection(lookbackNode, margin[0]);
+            }
+            return;
+        }
         while (offset > bound) {
             node = context.prev();
             if (!node) {
@@ -0,0 +1,273 @@
+/**
+ * This Source Code is licensed under the MIT license. If a copy of the
+ * MIT-license was not distributed with this file, You can obtain one at:
+ * http://opensource.org/licenses/mit-license.html.
+ *
+ * @author: Hein Rutjes (IjzerenHein)
+ * @license MIT
+ * @copyright Gloey Apps, 2015
+ */
+
+/**
+ * Lays out renderables according to the CSS flexbox model.
+ *
+ * |options|type|description|
+ * |---|---|---|
+ * |`[flexDirection]`|String|`row`, `row-reverse`, `column` or `column-reverse` (default: `row` for direction X and `column` for direction Y)|
+ * |`[flexWrap]`|String|`nowrap`, `wrap` or `wrap-reverse` (default: `nowrap`)|
+ * |`[justifyContent]`|String|`flex-start`, `flex-end`, `center`, `space-between`, `space-around` or `space-evenly` (default: `flex-start`)|
+ * |`[alignItems]`|String|`flex-start`, `flex-end`, `center` or `stretch` (default: `stretch`)|
+ * |`[alignContent]`|String|`flex-start`, `flex-end`, `center`, `space-between`, `space-around` or `stretch` (default: `stretch`)|
+ * |`[margins]`|Number/Array|Margins shorthand (e.g. 5, [10, 20], [2, 5, 2, 10])|
+ * |`[spacing]`|Number/Array|Spacing between items (e.g. 5, [10, 10])|
+ *
+ * The flex properties of an item are read from the `flex` property of the renderable.
+ * This property can be an object, a number (shorthand for `{grow: number, basis: 0}`),
+ * or a function which returns the flex properties: `function(renderNode, contextSize)`.
+ *
+ * |flex property|type|description|
+ * |---|---|---|
+ * |`[grow]`|Number|Flex grow factor (default: 0)|
+ * |`[shrink]`|Number|Flex shrink factor (default: 1)|
+ * |`[basis]`|Number/String|Size along the main axis or `auto` to use the size of the renderable (default: `auto`)|
+ * |`[alignSelf]`|String|Overrides `alignItems` for this item|
+ *
+ * Renderables that use true-size are measured using `context.resolveSize`. Renderables
+ * which don't specify a cross-size (e.g. `[undefined, 50]` in a row) are stretched when
+ * `alignItems` is `stretch`.
+ *
+ * Example:
+ *
+ * ```javascript
+ * var FlexboxLayout = require('famous-flex/layouts/FlexboxLayout');
+ *
+ * var search = new InputSurface();
+ * search.flex = 1; // take up remaining space
+ * var layoutController = new LayoutController({
+ *   layout: FlexboxLayout,
+ *   layoutOptions: {
+ *     flexDirection: 'row',
+ *     alignItems: 'center',
+ *     margins: 10,
+ *     spacing: 10
+ *   },
+ *   dataSource: [
+ *     new Surface({content: 'back', size: [true, 40]}),
+ *     search,
+ *     new Surface({content: 'go', size: [60, 40]})
+ *   ]
+ * });
+ * ```
+ * @module
+ */
+define(function(require, exports, module) {
+
+    // import dependencies
+    var Utility = require('famous/utilities/Utility');
+    var LayoutUtility = require('../LayoutUtility');
+
+    // Define capabilities of this layout function
+    var capabilities = {
+        sequence: true,
+        direction: [Utility.Direction.X, Utility.Direction.Y],
+        scrolling: false,
+        trueSize: true
+    };
+
+    // Parent-size that is used when resolving sizes, so that it can be
+    // determined whether the renderable has an (un)defined size.
+    var UNDEFINED_SIZE = [undefined, undefined];
+
+    /**
+     * Gets the flex properties for a renderable.
+     */
+    function _getFlex(renderNode, size) {
+        var flex = renderNode.flex;
+        if (flex instanceof Function) {
+            flex = flex(renderNode, size);
+        }
+        if ((flex instanceof Number) || (typeof flex === 'number')) {
+            return {
+                grow: flex,
+                shrink: 1,
+                basis: 0
+            };
+        }
+        flex = flex || {};
+        return {
+            grow: flex.grow || 0,
+            shrink: (flex.shrink === undefined) ? 1 : flex.shrink,
+            basis: (flex.basis === undefined) ? 'auto' : flex.basis,
+            alignSelf: flex.alignSelf
+        };
+    }
+
+    /**
+     * Distributes the free space along the main axis of a line, using
+     * the grow & shrink factors of the items. The basis-size of the line
+     * already includes the spacing between the items.
+     */
+    function _resolveFlexibleLengths(line, available) {
+        var i;
+        var item;
+        var freeSpace = available - line.basisSize;
+        var total = 0;
+        for (i = 0; i < line.items.length; i++) {
+            item = line.items[i];
+            total += (freeSpace >= 0) ? item.flex.grow : (item.flex.shrink * item.basis);
+        }
+        for (i = 0; i < line.items.length; i++) {
+            item = line.items[i];
+            item.main = item.basis;
+            if (total > 0) {
+                if (freeSpace >= 0) {
+                    item.main += (freeSpace * item.flex.grow) / total;
+                }
+                else {
+                    item.main = Math.max(0, item.main + ((freeSpace * item.flex.shrink * item.basis) / total));
+                }
+            }
+        }
+    }
+
+    /**
+     * Calculates the leading offset and the spacing between items
+     * for `justify-content` and `align-content`.
+     */
+    function _distribute(value, freeSpace, count) {
+        if ((freeSpace <= 0) && (value !== 'flex-end') && (value !== 'center')) {
+            return [0, 0];
+        }
+        switch (value) {
+            case 'flex-end':
+                return [freeSpace, 0];
+            case 'center':
+                return [freeSpace / 2, 0];
+            case 'space-between':
+                return [0, (count > 1) ? (freeSpace / (count - 1)) : 0];
+            case 'space-around':
+                return [freeSpace / (count * 2), freeSpace / count];
+            case 'space-evenly':
+                return [freeSpace / (count + 1), freeSpace / (count + 1)];
+            default:
+                return [0, 0];
+        }
+    }
+
+    // Layout function
+    function FlexboxLayout(context, options) {
+
+        // Prepare
+        var size = context.size;
+        var flexDirection = options.flexDirection || ((context.direction === Utility.Direction.Y) ? 'column' : 'row');
+        var mainAxis = (flexDirection.indexOf('column') === 0) ? 1 : 0;
+        var crossAxis = (mainAxis + 1) % 2;
+        var reverse = (flexDirection.indexOf('-reverse') > 0);
+        var wrap = options.flexWrap && (options.flexWrap !== 'nowrap');
+        var wrapReverse = (options.flexWrap === 'wrap-reverse');
+        var alignItems = options.alignItems || 'stretch';
+        var margins = LayoutUtility.normalizeMargins(options.margins);
+        var spacing = options.spacing || 0;
+        spacing = Array.isArray(spacing) ? spacing : [spacing, spacing];
+        var innerSize = [
+            Math.max(0, size[0] - margins[1] - margins[3]),
+            Math.max(0, size[1] - margins[0] - margins[2])
+        ];
+        var innerOffset = [margins[3], margins[0]];
+
+        // Collect the items and break them into lines
+        var lines = [];
+        var line;
+        var node = context.next();
+        while (node) {
+            var flex = _getFlex(node.renderNode, size);
+            var resolvedSize = context.resolveSize(node, UNDEFINED_SIZE);
+            var item = {
+                node: node,
+                flex: flex,
+                size: [resolvedSize[0], resolvedSize[1]]
+            };
+            if ((flex.basis === 'auto') || (flex.basis === true)) {
+                item.basis = (item.size[mainAxis] === undefined) ? 0 : item.size[mainAxis];
+            }
+            else {
+                item.basis = flex.basis;
+            }
+            if (!line || (wrap && line.items.length && ((line.basisSize + spacing[mainAxis] + item.basis) > innerSize[mainAxis]))) {
+                line = {
+                    items: [],
+                    basisSize: 0,
+                    crossSize: 0
+                };
+                lines.push(line);
+            }
+            line.basisSize += (line.items.length ? spacing[mainAxis] : 0) + item.basis;
+            line.items.push(item);
+            line.crossSize = Math.max(line.crossSize, item.size[crossAxis] || 0);
+            node = context.next();
+        }
+        if (!lines.length) {
+            return;
+        }
+
+        // Determine the cross-size of the lines
+        var i;
+        var j;
+        if (!wrap) {
+            lines[0].crossSize = innerSize[crossAxis];
+        }
+        var linesCrossSize = spacing[crossAxis] * (lines.length - 1);
+        for (i = 0; i < lines.length; i++) {
+            linesCrossSize += lines[i].crossSize;
+        }
+        var alignContent = options.alignContent || 'stretch';
+        var crossFreeSpace = innerSize[crossAxis] - linesCrossSize;
+        if ((alignContent === 'stretch') && (crossFreeSpace > 0)) {
+            for (i = 0; i < lines.length; i++) {
+                lines[i].crossSize += crossFreeSpace / lines.length;
+            }
+            crossFreeSpace = 0;
+        }
+        var contentDistribution = _distribute(alignContent, crossFreeSpace, lines.length);
+        var crossOffset = contentDistribution[0];
+
+        // Layout the lines
+        for (i = 0; i < lines.length; i++) {
+            line = lines[i];
+            _resolveFlexibleLengths(line, innerSize[mainAxis]);
+            var mainSize = spacing[mainAxis] * (line.items.length - 1);
+            for (j = 0; j < line.items.length; j++) {
+                mainSize += line.items[j].main;
+            }
+            var justifyDistribution = _distribute(options.justifyContent, innerSize[mainAxis] - mainSize, line.items.length);
+            var mainOffset = justifyDistribution[0];
+            var lineCrossOffset = wrapReverse ? (innerSize[crossAxis] - crossOffset - line.crossSize) : crossOffset;
+            for (j = 0; j < line.items.length; j++) {
+                var lineItem = line.items[j];
+                var alignSelf = lineItem.flex.alignSelf || alignItems;
+                var itemCrossSize = (lineItem.size[crossAxis] === undefined) ? line.crossSize : lineItem.size[crossAxis];
+                var itemCrossOffset = 0;
+                if (alignSelf === 'flex-end') {
+                    itemCrossOffset = line.crossSize - itemCrossSize;
+                }
+                else if (alignSelf === 'center') {
+                    itemCrossOffset = (line.crossSize - itemCrossSize) / 2;
+                }
+                var set = {
+                    size: [0, 0],
+                    translate: [0, 0, 0]
+                };
+                set.size[mainAxis] = lineItem.main;
+                set.size[crossAxis] = itemCrossSize;
+                set.translate[mainAxis] = innerOffset[mainAxis] + (reverse ? (innerSize[mainAxis] - mainOffset - lineItem.main) : mainOffset);
+                set.translate[crossAxis] = innerOffset[crossAxis] + lineCrossOffset + itemCrossOffset;
+                context.set(lineItem.node, set);
+                mainOffset += lineItem.main + spacing[mainAxis] + justifyDistribution[1];
+            }
+            crossOffset += line.crossSize + spacing[crossAxis] + contentDistribution[1];
+        }
+    }
+
+    FlexboxLayout.Capabilities = capabilities;
+    module.exports = FlexboxLayout;
+});
@@ -0,0 +1,260 @@
+/**
+ * This Source Code is licensed under the MIT license. If a copy of the
+ * MIT-license was not distributed with this file, You can obtain one at:
+ * http://opensource.org/licenses/mit-license.html.
+ *
+ * @author: Hein Rutjes (IjzerenHein)
+ * @license MIT
+ * @copyright Gloey Apps, 2015
+ */
+
+/**
+ * Lays out renderables in rows of equal height which fill the full width (justified image gallery).
+ * The width of each renderable is determined by its aspect ratio.
+ *
+ * |options|type|description|
+ * |---|---|---|
+ * |`[rowSize]`|Number|Target height of a row (default: 150)|
+ * |`[maxStretch]`|Number|Maximum factor by which a row may become higher than `rowSize` (default: 1.5)|
+ * |`[lastRow]`|String|Policy for the last row: `left`, `center`, `right`, `justify` or `hide` (default: `left`)|
+ * |`[aspectRatio]`|Function|Callback which returns the aspect ratio (width / height) of a renderable, e.g.: `function(renderNode)`|
+ * |`[margins]`|Number/Array|Margins shorthand (e.g. 5, [10, 20], [2, 5, 2, 10])|
+ * |`[spacing]`|Number/Array|Spacing between items (e.g. 5, [10, 10])|
+ *
+ * When no `aspectRatio` callback is specified, the aspect ratio is determined
+ * from the size of the renderable (`getSize`). When the renderable doesn't have a size,
+ * it is layed out as a square.
+ *
+ * The rows are remembered in the cache of the layout-context, so that scrolling backwards and
+ * forwards through the (virtualized) data-source results in the same rows. The rows are
+ * re-calculated when the width or options change (e.g. on resize).
+ *
+ * Example:
+ *
+ * ```javascript
+ * var JustifiedLayout = require('famous-flex/layouts/JustifiedLayout');
+ *
+ * var scrollView = new FlexScrollView({
+ *   layout: JustifiedLayout,
+ *   layoutOptions: {
+ *     rowSize: 120,
+ *     margins: 5,
+ *     spacing: 5,
+ *     aspectRatio: function(renderNode) {
+ *       return renderNode.photo.width / renderNode.photo.height;
+ *     }
+ *   },
+ *   dataSource: photoSurfaces
+ * });
+ * ```
+ * @module
+ */
+define(function(require, exports, module) {
+
+    // import dependencies
+    var Utility = require('famous/utilities/Utility');
+    var LayoutUtility = require('../LayoutUtility');
+
+    // Define capabilities of this layout function
+    var capabilities = {
+        sequence: true,
+        direction: [Utility.Direction.Y, Utility.Direction.X],
+        scrolling: true,
+        sequentialScrollingOptimized: true
+    };
+
+    // Prepare
+    var context;
+    var options;
+    var direction;
+    var lineDirection;
+    var alignment;
+    var margins;
+    var spacing;
+    var lineLength;
+    var rowSize;
+    var maxStretch;
+    var cacheKey;
+    var rows;
+    var pendingNode;
+
+    /**
+     * Returns the length of the renderable in the line-direction, relative to a row-size of 1.
+     */
+    function _getLineFactor(node) {
+        var aspectRatio;
+        if (options.aspectRatio) {
+            aspectRatio = options.aspectRatio(node.renderNode);
+        }
+        else {
+            var size = node.renderNode.getSize ? node.renderNode.getSize() : undefined;
+            aspectRatio = (size && (size[0] > 0) && (size[1] > 0)) ? (size[0] / size[1]) : 1;
+        }
+        return direction ? aspectRatio : (1 / aspectRatio);
+    }
+
+    /**
+     * Collects the nodes of the next or previous row. The rows that were
+     * determined before are re-used, so that the rows remain stable while scrolling.
+     */
+    function _collectRow(next) {
+        var row = {
+            nodes: [],
+            lineFactor: 0,
+            endReached: false
+        };
+        var node = pendingNode || (next ? context.next() : context.prev());
+        pendingNode = undefined;
+        while (node) {
+            var lineFactor = _getLineFactor(node);
+            var cache = rows.get(node.renderNode);
+            cache = (cache && (cache.key === cacheKey)) ? cache : undefined;
+            if (row.nodes.length) {
+                if (next && cache && cache.rowStart) {
+                    pendingNode = node;
+                    break;
+                }
+                var available = lineLength - (spacing[lineDirection] * row.nodes.length);
+                var sizeWithout = (available + spacing[lineDirection]) / row.lineFactor;
+                var sizeWith = available / (row.lineFactor + lineFactor);
+                if (!cache && ((sizeWithout <= rowSize) || ((sizeWith < rowSize) &&
+                    ((rowSize - sizeWith) > (sizeWithout - rowSize)) && (sizeWithout <= (rowSize * maxStretch))))) {
+                    pendingNode = node;
+                    break;
+                }
+            }
+            if (next) {
+                row.nodes.push({node: node, lineFactor: lineFactor});
+            }
+            else {
+                row.nodes.unshift({node: node, lineFactor: lineFactor});
+            }
+            row.lineFactor += lineFactor;
+            if (!next && cache && cache.rowStart) {
+                return row;
+            }
+            node = next ? context.next() : context.prev();
+        }
+        row.endReached = !node;
+        return row;
+    }
+
+    /**
+     * Lays out the nodes of a single row and returns the size of the row.
+     */
+    function _layoutRow(row, offset, next) {
+        if (!row.nodes.length) {
+            return 0;
+        }
+        var i;
+        var isLastRow = row.endReached && next;
+        var policy = isLastRow ? (options.lastRow || 'left') : 'justify';
+        if (policy === 'hide') {
+            return 0;
+        }
+        var available = lineLength - (spacing[lineDirection] * (row.nodes.length - 1));
+        var size = available / row.lineFactor;
+        if (isLastRow && (policy !== 'justify')) {
+            size = Math.min(size, rowSize);
+        }
+        size = Math.min(size, rowSize * maxStretch);
+
+        // Determine offset in the line-direction
+        var rowLength = (row.lineFactor * size) + (spacing[lineDirection] * (row.nodes.length - 1));
+        var lineOffset = direction ? margins[3] : margins[0];
+        if (policy === 'center') {
+            lineOffset += (lineLength - rowLength) / 2;
+        }
+        else if (policy === 'right') {
+            lineOffset += lineLength - rowLength;
+        }
+
+        // Layout nodes
+        var scrollLength = size;
+        if (row.endReached && ((next && !alignment) || (!next && alignment))) {
+            scrollLength += direction ? (margins[0] + margins[2]) : (margins[3] + margins[1]);
+        }
+        else {
+            scrollLength += spacing[direction];
+        }
+        for (i = 0; i < row.nodes.length; i++) {
+            var rowNode = row.nodes[i];
+            rows.set(rowNode.node.renderNode, {
+                key: cacheKey,
+                rowStart: (i === 0)
+            });
+            rowNode.set = {
+                size: [0, 0],
+                translate: [0, 0, 0],
+                scrollLength: i ? 0 : scrollLength
+            };
+            rowNode.set.size[direction] = size;
+            rowNode.set.size[lineDirection] = rowNode.lineFactor * size;
+            rowNode.set.translate[direction] = next ? offset : (offset - size);
+            rowNode.set.translate[lineDirection] = lineOffset;
+            lineOffset += rowNode.set.size[lineDirection] + spacing[lineDirection];
+        }
+        for (i = 0; i < row.nodes.length; i++) {
+            var nodeToSet = next ? row.nodes[i] : row.nodes[(row.nodes.length - 1) - i];
+            context.set(nodeToSet.node, nodeToSet.set);
+        }
+        return size + spacing[direction];
+    }
+
+    // Layout function
+    function JustifiedLayout(context_, options_) {
+
+        // Prepare
+        context = context_;
+        options = options_;
+        direction = context.direction;
+        lineDirection = (direction + 1) % 2;
+        alignment = context.alignment;
+        margins = LayoutUtility.normalizeMargins(options.margins);
+        spacing = options.spacing || 0;
+        spacing = Array.isArray(spacing) ? spacing : [spacing, spacing];
+        lineLength = context.size[lineDirection] - (direction ? (margins[3] + margins[1]) : (margins[0] + margins[2]));
+        rowSize = options.rowSize || 150;
+        maxStretch = options.maxStretch || 1.5;
+        cacheKey = [lineLength, rowSize, maxStretch, spacing[lineDirection]].join(':');
+        rows = context.getCache(JustifiedLayout);
+        var margin = [margins[direction ? 0 : 3], -margins[direction ? 2 : 1]];
+        var offset;
+        var bound;
+        var row;
+
+        //
+        // Process all next nodes
+        //
+        offset = context.scrollOffset + margin[alignment] + (alignment ? spacing[direction] : 0);
+        bound = context.scrollEnd + (alignment ? 0 : margin[alignment]);
+        pendingNode = undefined;
+        while (offset < bound) {
+            row = _collectRow(true);
+            offset += _layoutRow(row, offset, true);
+            if (row.endReached) {
+                break;
+            }
+        }
+
+        //
+        // Process previous nodes
+        //
+        offset = context.scrollOffset + margin[alignment] - (alignment ? 0 : spacing[direction]);
+        bound = context.scrollStart + (alignment ? margin[alignment] : 0);
+        pendingNode = undefined;
+        while (offset > bound) {
+            row = _collectRow(false);
+            offset -= _layoutRow(row, offset, false);
+            if (row.endReached) {
+                break;
+            }
+        }
+        pendingNode = undefined;
+    }
+
+    JustifiedLayout.Capabilities = capabilities;
+    JustifiedLayout.Name = 'JustifiedLayout';
+    JustifiedLayout.Description = 'Justified rows (image gallery) with margins & spacing';
+    module.exports = JustifiedLayout;
+});
@@ -0,0 +1,258 @@
+/**
+ * This Source Code is licensed under the MIT license. If a copy of the
+ * MIT-license was not distributed with this file, You can obtain one at:
+ * http://opensource.org/licenses/mit-license.html.
+ *
+ * @author: Hein Rutjes (IjzerenHein)
+ * @license MIT
+ * @copyright Gloey Apps, 2015
+ */
+
+/**
+ * Lays out renderables in columns (masonry/waterfall), where each renderable is placed
+ * in the column that is the shortest at that moment. This prevents the gaps that
+ * occur when laying out renderables of different heights on fixed lines.
+ *
+ * |options|type|description|
+ * |---|---|---|
+ * |`[columns]`|Number|Number of columns (default: 2)|
+ * |`[minColumnSize]`|Number|Minimum width of a column, causes the number of columns to be calculated from the available width|
+ * |`[itemSize]`|Number/Function|Height of an item or callback function which should return the height, e.g.: `function(renderNode, columnSize)`|
+ * |`[margins]`|Number/Array|Margins shorthand (e.g. 5, [10, 20], [2, 5, 2, 10])|
+ * |`[spacing]`|Number/Array|Spacing between items (e.g. 5, [10, 10])|
+ *
+ * When no `itemSize` is specified, the height of the renderable is used (true-size is supported).
+ * Renderables that don't specify a height are layed out as squares.
+ *
+ * The column in which a renderable is placed is remembered in the cache of the layout-context,
+ * so that scrolling backwards and forwards through the (virtualized) data-source keeps each
+ * renderable in the same column.
+ * When the number or width of the columns changes, the renderables are re-distributed.
+ *
+ * Example:
+ *
+ * ```javascript
+ * var MasonryLayout = require('famous-flex/layouts/MasonryLayout');
+ *
+ * var scrollView = new FlexScrollView({
+ *   layout: MasonryLayout,
+ *   layoutOptions: {
+ *     minColumnSize: 150,  // use as many columns as fit with a width of 150 pixels
+ *     margins: 10,
+ *     spacing: [10, 10]
+ *   },
+ *   dataSource: [
+ *     new Surface({content: 'item 1', size: [undefined, 200]}),
+ *     new Surface({content: 'item 2', size: [undefined, 120]}),
+ *     new Surface({content: 'item 3', size: [undefined, true]})
+ *   ]
+ * });
+ * ```
+ * @module
+ */
+define(function(require, exports, module) {
+
+    // import dependencies
+    var Utility = require('famous/utilities/Utility');
+    var LayoutUtility = require('../LayoutUtility');
+
+    // Define capabilities of this layout function
+    var capabilities = {
+        sequence: true,
+        direction: [Utility.Direction.Y, Utility.Direction.X],
+        scrolling: true,
+        trueSize: true,
+        sequentialScrollingOptimized: true
+    };
+
+    /**
+     * Returns the index of the smallest (or largest) value.
+     */
+    function _indexOf(values, largest) {
+        var result = 0;
+        for (var i = 1; i < values.length; i++) {
+            if (largest ? (values[i] > values[result]) : (values[i] < values[result])) {
+                result = i;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Returns the fronts relative to the smallest front.
+     */
+    function _normalize(fronts) {
+        var min = Math.min.apply(Math, fronts);
+        return fronts.map(function(front) {
+            return front - min;
+        });
+    }
+
+    // Layout function
+    function MasonryLayout(context, options) {
+
+        // Prepare
+        var size = context.size;
+        var direction = context.direction;
+        var alignment = context.alignment;
+        var lineDirection = (direction + 1) % 2;
+        var margins = LayoutUtility.normalizeMargins(options.margins);
+        var spacing = options.spacing || 0;
+        spacing = Array.isArray(spacing) ? spacing : [spacing, spacing];
+        var margin = [margins[direction ? 0 : 3], -margins[direction ? 2 : 1]];
+        var lineLength = size[lineDirection] - (direction ? (margins[3] + margins[1]) : (margins[0] + margins[2]));
+        var lineOffset = direction ? margins[3] : margins[0];
+        var columns = options.columns || 2;
+        if (options.minColumnSize) {
+            columns = Math.max(1, Math.floor((lineLength + spacing[lineDirection]) / (options.minColumnSize + spacing[lineDirection])));
+        }
+        var columnSize = (lineLength - (spacing[lineDirection] * (columns - 1))) / columns;
+        var cacheKey = columns + ':' + columnSize;
+        var placements = context.getCache(MasonryLayout);
+        var parentSize = [columnSize, columnSize];
+        var node;
+        var lastNode;
+        var cache;
+        var fronts;
+        var column;
+        var nodeLength;
+        var i;
+        var set = {
+            size: [0, 0],
+            translate: [0, 0, 0],
+            scrollLength: 0
+        };
+        set.size[lineDirection] = columnSize;
+
+        /**
+         * Gets the length of a node in the scroll-direction.
+         */
+        function _getNodeLength() {
+            var itemSize = options.itemSize;
+            if (itemSize instanceof Function) {
+                itemSize = itemSize(node.renderNode, columnSize);
+            }
+            return (itemSize === undefined) ? context.resolveSize(node, parentSize)[direction] : itemSize;
+        }
+
+        /**
+         * Gets the cached column placement of a node, when it was layed out
+         * using the same columns.
+         */
+        function _getCache() {
+            cache = placements.get(node.renderNode);
+            return (cache && (cache.key === cacheKey)) ? cache : undefined;
+        }
+
+        /**
+         * Positions the node at the given offset in the current column.
+         */
+        function _setNode(offset, scrollLength) {
+            set.size[direction] = nodeLength;
+            set.translate[direction] = offset + (alignment ? spacing[direction] : 0);
+            set.translate[lineDirection] = lineOffset + (column * (columnSize + spacing[lineDirection]));
+            set.scrollLength = scrollLength;
+            context.set(node, set);
+        }
+
+        //
+        // Process all next nodes. The fronts contain the offset at which the next
+        // node in each column is placed.
+        //
+        var offset = context.scrollOffset + margin[alignment];
+        var bound = context.scrollEnd + margin[alignment] + spacing[direction];
+        fronts = undefined;
+        node = context.next();
+        var startFronts;
+        while (node) {
+            cache = _getCache();
+            if (!fronts) {
+                fronts = [];
+                for (i = 0; i < columns; i++) {
+                    fronts.push(offset + (cache ? cache.fronts[i] : 0));
+                }
+                startFronts = fronts.slice(0);
+            }
+            if (Math.min.apply(Math, fronts) >= bound) {
+                break;
+            }
+            column = cache ? cache.column : _indexOf(fronts);
+            placements.set(node.renderNode, {
+                key: cacheKey,
+                column: column,
+                fronts: _normalize(fronts)
+            });
+            nodeLength = _getNodeLength();
+            var minBefore = Math.min.apply(Math, fronts);
+            var top = fronts[column];
+            fronts[column] += nodeLength + spacing[direction];
+            _setNode(top, Math.min.apply(Math, fronts) - minBefore);
+            lastNode = node;
+            node = context.next();
+        }
+
+        // When the end was reached, extend the scroll-length of the last node
+        // so that the longest column can be scrolled into view.
+        if (lastNode && !node && !alignment) {
+            column = placements.get(lastNode.renderNode).column;
+            node = lastNode;
+            nodeLength = _getNodeLength();
+            _setNode(fronts[column] - nodeLength - spacing[direction],
+                set.scrollLength + Math.max.apply(Math, fronts) - Math.min.apply(Math, fronts) - spacing[direction] + margin[0] - margin[1]);
+        }
+
+        //
+        // Process previous nodes. The fronts contain the offset at which the
+        // previous node in each column ends.
+        //
+        fronts = startFronts;
+        bound = context.scrollStart + margin[alignment] - spacing[direction];
+        lastNode = undefined;
+        node = context.prev();
+        if (node && !fronts) {
+            fronts = [];
+            for (i = 0; i < columns; i++) {
+                fronts.push(offset);
+            }
+        }
+        while (node && (Math.max.apply(Math, fronts) > bound)) {
+            cache = _getCache();
+            nodeLength = _getNodeLength();
+            var minAfter = Math.min.apply(Math, fronts);
+            if (cache) {
+                column = cache.column;
+                var cachedFronts = cache.fronts.slice(0);
+                cachedFronts[column] += nodeLength + spacing[direction];
+                var scrollLength = Math.min.apply(Math, cachedFronts);
+                fronts = cache.fronts.map(function(front) {
+                    return front + minAfter - scrollLength;
+                });
+            }
+            else {
+                column = _indexOf(fronts, true);
+                fronts[column] -= nodeLength + spacing[direction];
+                placements.set(node.renderNode, {
+                    key: cacheKey,
+                    column: column,
+                    fronts: _normalize(fronts)
+                });
+            }
+            _setNode(fronts[column], minAfter - Math.min.apply(Math, fronts));
+            lastNode = node;
+            node = context.prev();
+        }
+
+        // When the start was reached (and bottom aligned), extend the scroll-length
+        // of the first node so that the longest column can be scrolled into view.
+        if (lastNode && !node && alignment) {
+            node = lastNode;
+            nodeLength = _getNodeLength();
+            _setNode(fronts[column], set.scrollLength + Math.max.apply(Math, fronts) - Math.min.apply(Math, fronts) + margin[0] - margin[1]);
+        }
+    }
+
+    MasonryLayout.Capabilities = capabilities;
+    MasonryLayout.Name = 'MasonryLayout';
+    MasonryLayout.Description = 'Masonry (waterfall) layout with margins & spacing';
+    module.exports = MasonryLayout;
+});
@@ -5,22 +5,420 @@
  *
  * @author: Hein Rutjes (IjzerenHein)
  * @license MIT
- * @copyright Gloey Apps, 2014
+ * @copyright Gloey Apps, 2014 - 2015
  */
 
-/*global console*/
-/*eslint no-console: 0*/
-
 /**
- * DEPRECATED - this layout has been merged into ListLayout, use ListLayout instead.
+ * Lays out cells in rows and columns (table), with an optional sticky header row
+ * and frozen leading columns.
+ *
+ * The data-source contains the cells of the table, row by row (e.g. for a table with 3 columns,
+ * the first 3 renderables form the first row, the next 3 renderables the second row, etc..).
+ * When `headerRow` is enabled, the first row is the header row, which sticks to the top
+ * while scrolling.
+ *
+ * |options|type|description|
+ * |---|---|---|
+ * |`columns`|Array|Column definitions (see below)|
+ * |`[rowSize]`|Number/Bool|Height of a row, or `true` to use the largest height of the cells in the row (default: 44)|
+ * |`[headerRow]`|Bool|The first row is a sticky header row (default: false)|
+ * |`[headerSize]`|Number/Bool|Height of the header row (default: `rowSize`)|
+ * |`[frozenColumns]`|Number|Number of leading columns that are not scrolled horizontally (default: 0)|
+ * |`[margins]`|Number/Array|Margins shorthand (e.g. 5, [10, 20], [2, 5, 2, 10])|
+ * |`[spacing]`|Number/Array|Spacing between cells (e.g. 1, [1, 1])|
+ *
+ * A column is defined by a width (Number) or an object containing the following properties:
+ *
+ * |property|type|description|
+ * |---|---|---|
+ * |`[width]`|Number|Fixed width of the column|
+ * |`[flex]`|Number|Ratio by which the remaining width is divided among columns without a fixed width (default: 1)|
+ * |`[minWidth]`|Number|Minimum width of the column|
+ * |`[maxWidth]`|Number|Maximum width of the column|
+ *
+ * When the total width of the columns exceeds the available width, the table can be
+ * scrolled horizontally in a FlexScrollView or ScrollController, while the frozen columns
+ * stay in place. Use `TableLayout.setColumnWidth` to resize a column. When `flow` is enabled
+ * on the layout-controller, the cells smoothly reflow into their new positions.
+ *
+ * Example:
+ *
+ * ```javascript
+ * var TableLayout = require('famous-flex/layouts/TableLayout');
  *
- * This module will be removed in the future, please switch to ListLayout.
+ * var scrollView = new FlexScrollView({
+ *   layout: TableLayout,
+ *   layoutOptions: {
+ *     columns: [
+ *       {width: 60},                   // id
+ *       {flex: 2, minWidth: 150},      // name
+ *       {flex: 1, maxWidth: 200},      // e-mail
+ *       100                            // status
+ *     ],
+ *     headerRow: true,
+ *     rowSize: 40,
+ *     spacing: 1
+ *   },
+ *   flow: true,
+ *   dataSource: [
+ *     _createHeaderCell('Id'), _createHeaderCell('Name'), _createHeaderCell('E-mail'), _createHeaderCell('Status'),
+ *     _createCell('1'), _createCell('John'), _createCell('john@example.com'), _createCell('active'),
+ *     _createCell('2'), _createCell('Jane'), _createCell('jane@example.com'), _createCell('inactive')
+ *   ]
+ * });
  *
+ * // Resize the 'name' column
+ * TableLayout.setColumnWidth(scrollView, 1, 300);
+ * ```
+ *
+ * Notes:
+ *
+ * * In order to keep the header row visible when it is outside the visible range, the
+ * layout walks back through the data-source to the header cells once, after which the
+ * header cells are cached in the layout-context.
  * @module
  */
 define(function(require, exports, module) {
-	if (console.warn) {
-		console.warn('TableLayout has been deprecated and will be removed in the future, use ListLayout instead');
-	}
-    module.exports = require('./ListLayout');
+
+    // import dependencies
+    var Utility = require('famous/utilities/Utility');
+    var LayoutUtility = require('../LayoutUtility');
+
+    // Define capabilities of this layout function
+    var capabilities = {
+        sequence: true,
+        direction: Utility.Direction.Y,
+        scrolling: true,
+        trueSize: true,
+        sequentialScrollingOptimized: true
+    };
+
+    // Prepare
+    var context;
+    var options;
+    var margins;
+    var spacing;
+    var columnCount;
+    var columnWidths;
+    var columnOffsets;
+    var headerRow;
+
+    /**
+     * Normalizes a column definition.
+     */
+    function _getColumn(column) {
+        if ((column instanceof Number) || (typeof column === 'number')) {
+            return {width: column};
+        }
+        return column || {};
+    }
+
+    /**
+     * Clamps a width between the minimum and maximum width of a column.
+     */
+    function _clampWidth(column, width) {
+        if ((column.minWidth !== undefined) && (width < column.minWidth)) {
+            return column.minWidth;
+        }
+        if ((column.maxWidth !== undefined) && (width > column.maxWidth)) {
+            return column.maxWidth;
+        }
+        return width;
+    }
+
+    /**
+     * Resolves the widths of the columns. Columns with a fixed width are
+     * resolved first, after which the remaining width is divided among the
+     * flexible columns. When a flexible column reaches its minimum or
+     * maximum width, its width is frozen and the remaining width is
+     * divided among the other flexible columns.
+     */
+    function _resolveColumnWidths(columns, available) {
+        var i;
+        var column;
+        var widths = [];
+        var flexible = [];
+        for (i = 0; i < columns.length; i++) {
+            column = _getColumn(columns[i]);
+            if (column.width !== undefined) {
+                widths[i] = _clampWidth(column, column.width);
+                available -= widths[i];
+            }
+            else {
+                flexible.push(i);
+            }
+        }
+        while (flexible.length) {
+            var flexTotal = 0;
+            for (i = 0; i < flexible.length; i++) {
+                flexTotal += (_getColumn(columns[flexible[i]]).flex === undefined) ? 1 : _getColumn(columns[flexible[i]]).flex;
+            }
+            var frozen = [];
+            for (i = 0; i < flexible.length; i++) {
+                column = _getColumn(columns[flexible[i]]);
+                var flex = (column.flex === undefined) ? 1 : column.flex;
+                var width = flexTotal ? Math.max(0, (available * flex) / flexTotal) : 0;
+                widths[flexible[i]] = width;
+                if (_clampWidth(column, width) !== width) {
+                    widths[flexible[i]] = _clampWidth(column, width);
+                    frozen.push(flexible[i]);
+                }
+            }
+            if (!frozen.length) {
+                break;
+            }
+            for (i = 0; i < frozen.length; i++) {
+                available -= widths[frozen[i]];
+                flexible.splice(flexible.indexOf(frozen[i]), 1);
+            }
+        }
+        return widths;
+    }
+
+    /**
+     * Resolves the height of a row.
+     */
+    function _getRowSize(cells, header) {
+        var rowSize = options.rowSize;
+        if (header && (options.headerSize !== undefined)) {
+            rowSize = options.headerSize;
+        }
+        if (rowSize === undefined) {
+            return 44;
+        }
+        if (rowSize !== true) {
+            return rowSize;
+        }
+        var result = 0;
+        for (var i = 0; i < cells.length; i++) {
+            result = Math.max(result, context.resolveSize(cells[i].node, [columnWidths[cells[i].column], context.size[1]])[1]);
+        }
+        return result;
+    }
+
+    /**
+     * Positions the cells of a row. The scroll-length is assigned to the first cell
+     * of the row. When `prev` is set, the cells are set from right to left, in the
+     * same order as they were requested.
+     */
+    function _layoutRow(cells, offset, rowSize, scrollLength, prev) {
+        for (var j = 0; j < cells.length; j++) {
+            var i = prev ? (cells.length - 1 - j) : j;
+            var cell = cells[i];
+            var frozen = cell.column < (options.frozenColumns || 0);
+            context.set(cell.node, {
+                size: [columnWidths[cell.column], rowSize],
+                translate: [
+                    columnOffsets[cell.column] + (frozen ? 0 : context.crossScrollOffset),
+                    offset,
+                    (frozen ? 1 : 0) + (cell.header ? 2 : 0)
+                ],
+                scrollLength: i ? 0 : scrollLength
+            });
+        }
+    }
+
+    /**
+     * Caches the renderables of the header row, so that the header row can be
+     * stuck to the top without walking back through the data-source.
+     */
+    function _cacheHeaderRow(cells) {
+        if (cells.length !== columnCount) {
+            return;
+        }
+        var header = [];
+        for (var i = 0; i < cells.length; i++) {
+            header.push({
+                renderNode: cells[i].node.renderNode,
+                viewSequence: cells[i].node.viewSequence
+            });
+        }
+        context.getCache(TableLayout).set('header', header);
+    }
+
+    /**
+     * Gets the cached header row. The cache is only used when the renderables
+     * are still at the same position in the data-source.
+     */
+    function _getCachedHeaderRow() {
+        var header = context.getCache(TableLayout).get('header');
+        if (!header) {
+            return undefined;
+        }
+        var cells = [];
+        for (var i = 0; i < header.length; i++) {
+            if (!header[i].viewSequence || (header[i].viewSequence.get() !== header[i].renderNode)) {
+                return undefined;
+            }
+            cells.push({
+                node: {
+                    renderNode: header[i].renderNode,
+                    viewSequence: header[i].viewSequence,
+                    prev: true
+                },
+                column: i,
+                header: true
+            });
+        }
+        return cells;
+    }
+
+    // Layout function
+    function TableLayout(context_, options_) {
+
+        // Prepare
+        context = context_;
+        options = options_;
+        columnCount = options.columns ? options.columns.length : 0;
+        if (!columnCount) {
+            return;
+        }
+        margins = LayoutUtility.normalizeMargins(options.margins);
+        spacing = options.spacing || 0;
+        spacing = Array.isArray(spacing) ? spacing : [spacing, spacing];
+        var i;
+        var node;
+        var cells;
+        var rowSize;
+        var index;
+        var column;
+        var row;
+        var endReached;
+
+        // Determine the widths & offsets of the columns
+        columnWidths = _resolveColumnWidths(options.columns, context.size[0] - margins[1] - margins[3] - (spacing[0] * (columnCount - 1)));
+        columnOffsets = [];
+        var columnOffset = margins[3];
+        for (i = 0; i < columnCount; i++) {
+            columnOffsets.push(columnOffset);
+            columnOffset += columnWidths[i] + spacing[0];
+        }
+        context.setCrossScrollLength(columnOffset - spacing[0] + margins[1]);
+
+        // Determine the column of the first node
+        node = context.next();
+        index = (node && node.viewSequence && node.viewSequence.getIndex) ? node.viewSequence.getIndex() : 0;
+        var firstColumn = index % columnCount;
+        var firstRow = Math.floor(index / columnCount);
+        headerRow = undefined;
+
+        //
+        // Process all next nodes
+        //
+        var offset = context.scrollOffset + margins[0];
+        var bound = context.scrollEnd + margins[0];
+        column = firstColumn;
+        row = firstRow;
+        while (node && (offset < bound)) {
+            cells = [];
+            while (node && (column < columnCount)) {
+                cells.push({node: node, column: column, header: options.headerRow && (row === 0)});
+                column++;
+                node = (column < columnCount) ? context.next() : undefined;
+            }
+            node = node || context.next();
+            endReached = !node;
+            rowSize = _getRowSize(cells, cells[0].header);
+            var scrollLength = rowSize + (endReached ? (margins[0] + margins[2]) : spacing[1]);
+            _layoutRow(cells, offset, rowSize, scrollLength);
+            if (cells[0].header) {
+                headerRow = {cells: cells, offset: offset, rowSize: rowSize, scrollLength: scrollLength};
+                _cacheHeaderRow(cells);
+            }
+            offset += rowSize + spacing[1];
+            column = 0;
+            row++;
+        }
+
+        //
+        // Process previous nodes
+        //
+        offset = context.scrollOffset + margins[0];
+        bound = context.scrollStart + margins[0];
+        column = firstColumn - 1;
+        row = firstRow;
+        if (column < 0) {
+            column = columnCount - 1;
+            row--;
+        }
+        node = (row >= 0) ? context.prev() : undefined;
+        while (node && (offset > bound)) {
+            cells = [];
+            while (node && (column >= 0)) {
+                cells.unshift({node: node, column: column, header: options.headerRow && (row === 0)});
+                column--;
+                node = (column >= 0) ? context.prev() : undefined;
+            }
+            rowSize = _getRowSize(cells, cells[0].header);
+            offset -= rowSize + spacing[1];
+            _layoutRow(cells, offset, rowSize, rowSize + spacing[1], true);
+            if (cells[0].header) {
+                headerRow = {cells: cells, offset: offset, rowSize: rowSize, scrollLength: rowSize + spacing[1]};
+                _cacheHeaderRow(cells);
+            }
+            column = columnCount - 1;
+            row--;
+            node = (row >= 0) ? context.prev() : undefined;
+        }
+
+        //
+        // Stick the header row to the top. When the header row is outside the
+        // laid out range, use the cached header row or walk back through the
+        // data-source to get it.
+        //
+        if (options.headerRow) {
+            if (!headerRow && node) {
+                cells = _getCachedHeaderRow();
+                if (!cells) {
+                    cells = [];
+                    index = (row * columnCount) + column;
+                    while (node && (index >= 0)) {
+                        if (index < columnCount) {
+                            cells.unshift({node: node, column: index, header: true});
+                        }
+                        index--;
+                        node = (index >= 0) ? context.prev() : undefined;
+                    }
+                    _cacheHeaderRow(cells);
+                }
+                if (cells.length === columnCount) {
+                    headerRow = {cells: cells, offset: -Infinity, rowSize: _getRowSize(cells, true), scrollLength: undefined};
+                }
+            }
+            if (headerRow && (headerRow.offset < margins[0])) {
+                _layoutRow(headerRow.cells, margins[0], headerRow.rowSize, headerRow.scrollLength, true);
+            }
+        }
+    }
+
+    /**
+     * Sets the width of a column and updates the layout-options of the given
+     * layout-controller (or scroll-view). When `flow` is enabled on the
+     * layout-controller, the cells smoothly reflow into their new positions.
+     *
+     * @param {LayoutController} layoutController Layout-controller that uses the TableLayout
+     * @param {Number} columnIndex Index of the column to resize
+     * @param {Number} width New width of the column (or `undefined` to make the column flexible again)
+     * @return {Array} Updated column definitions
+     */
+    TableLayout.setColumnWidth = function(layoutController, columnIndex, width) {
+        var columns = (layoutController.getLayoutOptions().columns || []).slice(0);
+        if ((columnIndex < 0) || (columnIndex >= columns.length)) {
+            LayoutUtility.error('Invalid column index specified to TableLayout.setColumnWidth: ' + columnIndex);
+        }
+        var column = _getColumn(columns[columnIndex]);
+        var newColumn = {};
+        for (var key in column) {
+            newColumn[key] = column[key];
+        }
+        newColumn.width = width;
+        columns[columnIndex] = newColumn;
+        layoutController.setLayoutOptions({columns: columns});
+        return columns;
+    };
+
+    TableLayout.Capabilities = capabilities;
+    TableLayout.Name = 'TableLayout';
+    TableLayout.Description = 'Table with columns, sticky header row and frozen columns';
+    module.exports = TableLayout;
 });
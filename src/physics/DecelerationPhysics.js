@@ -0,0 +1,90 @@
+/**
+ * This Source Code is licensed under the MIT license. If a copy of the
+ * MIT-license was not distributed with this file, You can obtain one at:
+ * http://opensource.org/licenses/mit-license.html.
+ *
+ * @author: Hein Rutjes (IjzerenHein)
+ * @license MIT
+ * @copyright Gloey Apps, 2015
+ */
+
+/**
+ * iOS-style scroll physics. The velocity decays exponentially by the deceleration-rate
+ * for every millisecond, and dragging beyond the bounds uses the iOS rubber-band curve.
+ *
+ * |options|type|description|
+ * |---|---|---|
+ * |`[decelerationRate]`|Number|Factor by which the velocity decays every millisecond (default: 0.998, use 0.99 for fast deceleration)|
+ * |`[rubberBandConstant]`|Number|Constant of the rubber-band curve (default: 0.55)|
+ * |`[springPeriod]`|Number|Period of the critically-damped spring in milliseconds (default: 350)|
+ * |`[resistance]`|Number/Function|Overrides the rubber-band curve: `function(overscroll, size)`|
+ *
+ * Inherited from: [ScrollPhysics](./ScrollPhysics.md)
+ * @module
+ */
+define(function(require, exports, module) {
+
+    // import dependencies
+    var ScrollPhysics = require('./ScrollPhysics');
+
+    /**
+     * @class
+     * @extends ScrollPhysics
+     * @param {Object} [options] Configurable options (see ScrollPhysics for all inherited options).
+     * @param {Number} [options.decelerationRate] Factor by which the velocity decays every millisecond (default: `0.998`).
+     * @param {Number} [options.rubberBandConstant] Constant of the rubber-band curve (default: `0.55`).
+     * @alias module:DecelerationPhysics
+     */
+    function DecelerationPhysics(options) {
+        ScrollPhysics.call(this, options);
+    }
+    DecelerationPhysics.prototype = Object.create(ScrollPhysics.prototype);
+    DecelerationPhysics.prototype.constructor = DecelerationPhysics;
+
+    DecelerationPhysics.DEFAULT_OPTIONS = {
+        springPeriod: 350,
+        decelerationRate: 0.998,
+        rubberBandConstant: 0.55,
+        resistance: undefined
+    };
+
+    /**
+     * Decays the velocity exponentially.
+     * @private
+     */
+    DecelerationPhysics.prototype._decelerate = function(state, dt) {
+        var rate = this.options.decelerationRate;
+        var decay = Math.pow(rate, dt);
+        state.position += (state.velocity * (decay - 1)) / Math.log(rate);
+        state.velocity *= decay;
+    };
+
+    /**
+     * Predicts the resting position (the integral of the exponential decay).
+     *
+     * @param {Number} position Start position.
+     * @param {Number} velocity Start velocity.
+     * @return {Number} resting position
+     */
+    DecelerationPhysics.prototype.predictRestingPosition = function(position, velocity) {
+        return position - (velocity / Math.log(this.options.decelerationRate));
+    };
+
+    /**
+     * Returns the displacement using the iOS rubber-band curve.
+     *
+     * @param {Number} overscroll Number of pixels that was dragged beyond the bounds.
+     * @param {Number} size Size of the view in the scroll-direction.
+     * @return {Number} displacement
+     */
+    DecelerationPhysics.prototype.getResistance = function(overscroll, size) {
+        if (this.options.resistance !== undefined) {
+            return ScrollPhysics.prototype.getResistance.call(this, overscroll, size);
+        }
+        var distance = Math.abs(overscroll);
+        var displacement = (1 - (1 / (((distance * this.options.rubberBandConstant) / size) + 1))) * size;
+        return (overscroll < 0) ? -displacement : displacement;
+    };
+
+    module.exports = DecelerationPhysics;
+});
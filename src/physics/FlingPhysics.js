@@ -0,0 +1,135 @@
+/**
+ * This Source Code is licensed under the MIT license. If a copy of the
+ * MIT-license was not distributed with this file, You can obtain one at:
+ * http://opensource.org/licenses/mit-license.html.
+ *
+ * @author: Hein Rutjes (IjzerenHein)
+ * @license MIT
+ * @copyright Gloey Apps, 2015
+ */
+
+/**
+ * Android-style scroll physics. When a velocity is set, the distance and duration of
+ * the fling are calculated up-front (as Android's OverScroller does), after which
+ * the scroll-offset eases out towards the end of the fling.
+ *
+ * |options|type|description|
+ * |---|---|---|
+ * |`[friction]`|Number|Scroll friction (default: 0.015)|
+ * |`[ppi]`|Number|Pixels per inch of the screen (default: 160)|
+ * |`[springPeriod]`|Number|Period of the critically-damped spring in milliseconds (default: 350)|
+ * |`[resistance]`|Number/Function|Resistance factor or curve when dragging beyond the bounds: `function(overscroll, size)` (default: 0.5)|
+ *
+ * Inherited from: [ScrollPhysics](./ScrollPhysics.md)
+ * @module
+ */
+define(function(require, exports, module) {
+
+    // import dependencies
+    var ScrollPhysics = require('./ScrollPhysics');
+
+    // Constants used by Android to determine the fling distance & duration
+    var DECELERATION_RATE = Math.log(0.78) / Math.log(0.9);
+    var INFLEXION = 0.35;
+    var GRAVITY = 9.80665;
+    var INCHES_PER_METER = 39.37;
+
+    /**
+     * @class
+     * @extends ScrollPhysics
+     * @param {Object} [options] Configurable options (see ScrollPhysics for all inherited options).
+     * @param {Number} [options.friction] Scroll friction (default: `0.015`).
+     * @param {Number} [options.ppi] Pixels per inch of the screen (default: `160`).
+     * @alias module:FlingPhysics
+     */
+    function FlingPhysics(options) {
+        ScrollPhysics.call(this, options);
+    }
+    FlingPhysics.prototype = Object.create(ScrollPhysics.prototype);
+    FlingPhysics.prototype.constructor = FlingPhysics;
+
+    FlingPhysics.DEFAULT_OPTIONS = {
+        springPeriod: 350,
+        friction: 0.015,
+        ppi: 160,
+        resistance: 0.5
+    };
+
+    /**
+     * Calculates the distance and duration of a fling with the given velocity.
+     */
+    function _calcFling(velocity) {
+        var physicalCoeff = GRAVITY * INCHES_PER_METER * this.options.ppi * 0.84;
+        var l = Math.log((INFLEXION * Math.abs(velocity * 1000)) / (this.options.friction * physicalCoeff));
+        var distance = this.options.friction * physicalCoeff * Math.exp((DECELERATION_RATE / (DECELERATION_RATE - 1)) * l);
+        var duration = Math.exp(l / (DECELERATION_RATE - 1)) * 1000;
+        return {
+            distance: (velocity < 0) ? -distance : distance,
+            duration: duration,
+            // exponent of the ease-out curve, so that the fling starts with the given velocity
+            exponent: Math.max((Math.abs(velocity) * duration) / distance, 1),
+            elapsed: 0
+        };
+    }
+
+    /**
+     * Returns the progress of the fling (0..1) after the given time.
+     */
+    function _flingProgress(fling, elapsed) {
+        var t = Math.min(elapsed / fling.duration, 1);
+        return 1 - Math.pow(1 - t, fling.exponent);
+    }
+
+    /**
+     * Moves the position along the fling curve.
+     * @private
+     */
+    FlingPhysics.prototype._decelerate = function(state, dt) {
+        if (!state.fling) {
+            state.fling = _calcFling.call(this, state.velocity);
+        }
+        var fling = state.fling;
+        var elapsed = Math.min(fling.elapsed + dt, fling.duration);
+        state.position += fling.distance * (_flingProgress(fling, elapsed) - _flingProgress(fling, fling.elapsed));
+        fling.elapsed = elapsed;
+        state.velocity = (elapsed >= fling.duration) ? 0 : ((fling.distance * fling.exponent * Math.pow(1 - (elapsed / fling.duration), fling.exponent - 1)) / fling.duration);
+        if (!state.velocity) {
+            state.fling = undefined;
+        }
+    };
+
+    /**
+     * Sets the velocity and starts a new fling.
+     *
+     * @param {Number} velocity Velocity in pixels per millisecond.
+     * @return {FlingPhysics} this
+     */
+    FlingPhysics.prototype.setVelocity = function(velocity) {
+        this._state.fling = undefined;
+        return ScrollPhysics.prototype.setVelocity.call(this, velocity);
+    };
+
+    /**
+     * Attaches or detaches a spring. Attaching a spring cancels the fling.
+     *
+     * @param {Number} [position] Spring-position or `undefined` to detach the spring.
+     * @return {FlingPhysics} this
+     */
+    FlingPhysics.prototype.setSpringPosition = function(position) {
+        this._state.fling = undefined;
+        return ScrollPhysics.prototype.setSpringPosition.call(this, position);
+    };
+
+    /**
+     * Predicts the resting position using the fling distance.
+     *
+     * @param {Number} position Start position.
+     * @param {Number} velocity Start velocity.
+     * @return {Number} resting position
+     */
+    FlingPhysics.prototype.predictRestingPosition = function(position, velocity) {
+        return velocity ? (position + _calcFling.call(this, velocity).distance) : position;
+    };
+
+    module.exports = FlingPhysics;
+});
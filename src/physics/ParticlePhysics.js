@@ -0,0 +1,243 @@
+/**
+ * This Source Code is licensed under the MIT license. If a copy of the
+ * MIT-license was not distributed with this file, You can obtain one at:
+ * http://opensource.org/licenses/mit-license.html.
+ *
+ * @author: Hein Rutjes (IjzerenHein)
+ * @license MIT
+ * @copyright Gloey Apps, 2015
+ */
+
+/**
+ * Scroll physics based on the famo.us physics-engine. The scroll-offset is represented
+ * by a particle which is slowed down by drag & friction forces, and which is pulled back
+ * into the bounds by a spring-force. This is the default physics model of the ScrollController.
+ *
+ * Because the famo.us physics-engine advances using the wall-clock, `step` has no effect
+ * on this model.
+ *
+ * |options|type|description|
+ * |---|---|---|
+ * |`[physicsEngine]`|Object|Options for the physics-engine|
+ * |`[particle]`|Object|Options for the scroll particle (default: `{}`)|
+ * |`[drag]`|Object|Drag-force options to apply on the scroll particle|
+ * |`[friction]`|Object|Friction-force options to apply on the scroll particle|
+ * |`[spring]`|Object|Spring-force options that are applied on the scroll particle when e.g. bounds is reached (default: `{dampingRatio: 1.0, period: 350}`)|
+ * |`[resistance]`|Number/Function|Resistance factor or curve when dragging beyond the bounds: `function(overscroll, size)` (default: 0.5)|
+ *
+ * Inherited from: [ScrollPhysics](./ScrollPhysics.md)
+ * @module
+ */
+define(function(require, exports, module) {
+
+    // import dependencies
+    var LayoutUtility = require('../LayoutUtility');
+    var ScrollPhysics = require('./ScrollPhysics');
+    var Vector = require('famous/math/Vector');
+    var PhysicsEngine = require('famous/physics/PhysicsEngine');
+    var Particle = require('famous/physics/bodies/Particle');
+    var Drag = require('famous/physics/forces/Drag');
+    var Spring = require('famous/physics/forces/Spring');
+
+    /**
+     * @class
+     * @extends ScrollPhysics
+     * @param {Object} [options] Configurable options (see ScrollPhysics for all inherited options).
+     * @param {Object} [options.physicsEngine] Options for the physics-engine.
+     * @param {Object} [options.particle] Options for the scroll particle (default: `{}`).
+     * @param {Object} [options.drag] Drag-force options to apply on the scroll particle.
+     * @param {Object} [options.friction] Friction-force options to apply on the scroll particle.
+     * @param {Object} [options.spring] Spring-force options that are applied on the scroll particle (default: `{dampingRatio: 1.0, period: 350}`).
+     * @alias module:ParticlePhysics
+     */
+    function ParticlePhysics(options) {
+        ScrollPhysics.call(this, options);
+
+        this._pe = new PhysicsEngine(this.options.physicsEngine);
+        this._particle = new Particle(this.options.particle);
+        this._dragForce = new Drag(this.options.drag);
+        this._frictionForce = new Drag(this.options.friction);
+        this._springForce = new Spring(this.options.spring);
+        this._springEndState = new Vector([0, 0, 0]);
+
+        // Configure physics engine with particle and drag
+        this._pe.addBody(this._particle);
+        if (!this.options.drag.disabled) {
+            this._pe.attach(this._dragForce, this._particle);
+        }
+        if (!this.options.friction.disabled) {
+            this._pe.attach(this._frictionForce, this._particle);
+        }
+        this._springForce.setOptions({ anchor: this._springEndState });
+    }
+    ParticlePhysics.prototype = Object.create(ScrollPhysics.prototype);
+    ParticlePhysics.prototype.constructor = ParticlePhysics;
+
+    ParticlePhysics.DEFAULT_OPTIONS = {
+        physicsEngine: {
+            // use defaults
+            //velocityCap: undefined,
+            //angularVelocityCap: undefined
+        },
+        particle: {
+            // use defaults
+            //mass: 1
+        },
+        drag: {
+            forceFunction: Drag.FORCE_FUNCTIONS.QUADRATIC,
+            strength: 0.001,
+            disabled: true
+        },
+        friction: {
+            forceFunction: Drag.FORCE_FUNCTIONS.LINEAR,
+            strength: 0.0025,
+            disabled: false
+        },
+        spring: {
+            dampingRatio: 1.0,
+            period: 350
+        },
+        resistance: 0.5
+    };
+
+    /**
+     * Patches the options of the physics model.
+     *
+     * @param {Object} options Configurable options.
+     * @return {ParticlePhysics} this
+     */
+    ParticlePhysics.prototype.setOptions = function(options) {
+        var spring = options.spring ? LayoutUtility.combineOptions(this.options.spring, options.spring) : undefined;
+        var drag = options.drag ? LayoutUtility.combineOptions(this.options.drag, options.drag) : undefined;
+        ScrollPhysics.prototype.setOptions.call(this, options);
+        if (spring) {
+            this.options.spring = spring;
+            this._springForce.setOptions(options.spring);
+        }
+        if (drag) {
+            this.options.drag = drag;
+            this._dragForce.setOptions(options.drag);
+        }
+        return this;
+    };
+
+    /**
+     * The famo.us physics-engine advances by itself, so this function does nothing.
+     *
+     * @return {ParticlePhysics} this
+     */
+    ParticlePhysics.prototype.step = function() {
+        return this;
+    };
+
+    /**
+     * Get the position of the scroll particle.
+     *
+     * @return {Number} position
+     */
+    ParticlePhysics.prototype.getPosition = function() {
+        return this._particle.getPosition1D();
+    };
+
+    /**
+     * Sets the position of the scroll particle.
+     *
+     * @param {Number} position New position.
+     * @return {ParticlePhysics} this
+     */
+    ParticlePhysics.prototype.setPosition = function(position) {
+        this._particle.setPosition1D(position);
+        this._pe.wake();
+        return this;
+    };
+
+    /**
+     * Get the velocity of the scroll particle.
+     *
+     * @return {Number} velocity
+     */
+    ParticlePhysics.prototype.getVelocity = function() {
+        return this._particle.getVelocity1D();
+    };
+
+    /**
+     * Sets the velocity of the scroll particle.
+     *
+     * @param {Number} velocity New velocity.
+     * @return {ParticlePhysics} this
+     */
+    ParticlePhysics.prototype.setVelocity = function(velocity) {
+        this._particle.setVelocity1D(velocity);
+        this._pe.wake();
+        return this;
+    };
+
+    /**
+     * Attaches the spring-force to the scroll particle, or detaches it.
+     *
+     * @param {Number} [position] Spring-position or `undefined` to detach the spring.
+     * @return {ParticlePhysics} this
+     */
+    ParticlePhysics.prototype.setSpringPosition = function(position) {
+        if (position === undefined) {
+            if (this._springForceId !== undefined) {
+                this._pe.detach(this._springForceId);
+                this._springForceId = undefined;
+            }
+        }
+        else {
+            if (this._springForceId === undefined) {
+                this._springForceId = this._pe.attach(this._springForce, this._particle);
+            }
+            this._springEndState.set1D(position);
+            this._pe.wake();
+        }
+        return this;
+    };
+
+    /**
+     * Get the energy of the scroll particle.
+     *
+     * @return {Number} energy
+     */
+    ParticlePhysics.prototype.getEnergy = function() {
+        return this._particle.getEnergy();
+    };
+
+    /**
+     * Predicts the position at which the scroll particle comes to rest, by
+     * simulating the friction & drag forces.
+     *
+     * @param {Number} position Start position.
+     * @param {Number} velocity Start velocity.
+     * @return {Number} resting position
+     */
+    ParticlePhysics.prototype.predictRestingPosition = function(position, velocity) {
+        var forces = [];
+        if (!this.options.friction.disabled) {
+            forces.push(this.options.friction);
+        }
+        if (!this.options.drag.disabled) {
+            forces.push(this.options.drag);
+        }
+        var mass = this._particle.mass || 1;
+        var vector = new Vector(0, 0, 0);
+        var dt = 16;
+        for (var i = 0; (i < 1000) && forces.length && (Math.abs(velocity) > 0.001); i++) {
+            var force = 0;
+            for (var j = 0; j < forces.length; j++) {
+                vector.set(velocity, 0, 0);
+                force -= forces[j].strength * forces[j].forceFunction(vector).x;
+            }
+            var newVelocity = velocity + ((force / mass) * dt);
+            if ((newVelocity * velocity) <= 0) {
+                break;
+            }
+            velocity = newVelocity;
+            position += velocity * dt;
+        }
+        return position;
+    };
+
+    module.exports = ParticlePhysics;
+});
@@ -0,0 +1,89 @@
+/**
+ * This Source Code is licensed under the MIT license. If a copy of the
+ * MIT-license was not distributed with this file, You can obtain one at:
+ * http://opensource.org/licenses/mit-license.html.
+ *
+ * @author: Hein Rutjes (IjzerenHein)
+ * @license MIT
+ * @copyright Gloey Apps, 2015
+ */
+
+/**
+ * Rubber-band scroll physics. Decelerates exponentially (like DecelerationPhysics), pulls
+ * the scroll-offset back into the bounds using a critically-damped spring, and uses
+ * an exponential resistance curve which approaches `maxOverscroll` when dragging
+ * beyond the bounds. The curve can be replaced by setting the `resistance` option.
+ *
+ * |options|type|description|
+ * |---|---|---|
+ * |`[maxOverscroll]`|Number|Maximum overscroll as a fraction of the size (default: 0.5)|
+ * |`[stiffness]`|Number|Initial slope of the resistance curve (default: 0.6)|
+ * |`[decelerationRate]`|Number|Factor by which the velocity decays every millisecond (default: 0.998)|
+ * |`[springPeriod]`|Number|Period of the critically-damped spring in milliseconds (default: 350)|
+ * |`[resistance]`|Number/Function|Overrides the resistance curve: `function(overscroll, size)`|
+ *
+ * Example:
+ *
+ * ```javascript
+ * var scrollView = new FlexScrollView({
+ *   scrollPhysics: 'rubberband',
+ *   scrollPhysicsOptions: {
+ *     maxOverscroll: 0.25,
+ *     resistance: function(overscroll, size) {
+ *       return overscroll / 3;
+ *     }
+ *   }
+ * });
+ * ```
+ *
+ * Inherited from: [DecelerationPhysics](./DecelerationPhysics.md)
+ * @module
+ */
+define(function(require, exports, module) {
+
+    // import dependencies
+    var DecelerationPhysics = require('./DecelerationPhysics');
+
+    /**
+     * @class
+     * @extends DecelerationPhysics
+     * @param {Object} [options] Configurable options (see DecelerationPhysics for all inherited options).
+     * @param {Number} [options.maxOverscroll] Maximum overscroll as a fraction of the size (default: `0.5`).
+     * @param {Number} [options.stiffness] Initial slope of the resistance curve (default: `0.6`).
+     * @alias module:RubberBandPhysics
+     */
+    function RubberBandPhysics(options) {
+        DecelerationPhysics.call(this, options);
+    }
+    RubberBandPhysics.prototype = Object.create(DecelerationPhysics.prototype);
+    RubberBandPhysics.prototype.constructor = RubberBandPhysics;
+
+    RubberBandPhysics.DEFAULT_OPTIONS = {
+        springPeriod: 350,
+        decelerationRate: 0.998,
+        maxOverscroll: 0.5,
+        stiffness: 0.6,
+        resistance: undefined
+    };
+
+    /**
+     * Returns the displacement using the exponential resistance curve.
+     *
+     * @param {Number} overscroll Number of pixels that was dragged beyond the bounds.
+     * @param {Number} size Size of the view in the scroll-direction.
+     * @return {Number} displacement
+     */
+    RubberBandPhysics.prototype.getResistance = function(overscroll, size) {
+        if (this.options.resistance !== undefined) {
+            return DecelerationPhysics.prototype.getResistance.call(this, overscroll, size);
+        }
+        var limit = this.options.maxOverscroll * size;
+        if (!limit) {
+            return 0;
+        }
+        var displacement = limit * (1 - Math.exp((-this.options.stiffness * Math.abs(overscroll)) / limit));
+        return (overscroll < 0) ? -displacement : displacement;
+    };
+
+    module.exports = RubberBandPhysics;
+});
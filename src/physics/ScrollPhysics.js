@@ -0,0 +1,233 @@
+/**
+ * This Source Code is licensed under the MIT license. If a copy of the
+ * MIT-license was not distributed with this file, You can obtain one at:
+ * http://opensource.org/licenses/mit-license.html.
+ *
+ * @author: Hein Rutjes (IjzerenHein)
+ * @license MIT
+ * @copyright Gloey Apps, 2015
+ */
+
+/**
+ * Base class for scroll physics models, which determine how the scroll-offset of a
+ * ScrollController moves after a gesture (deceleration), how it is pulled back into
+ * the bounds (spring) and how much resistance is felt when dragging beyond the bounds.
+ *
+ * A physics model implements the following interface:
+ *
+ * |method|description|
+ * |---|---|
+ * |`step(time)`|Advances the simulation to the given time (in milliseconds).|
+ * |`getPosition()` / `setPosition(position)`|Gets or sets the scroll-offset.|
+ * |`getVelocity()` / `setVelocity(velocity)`|Gets or sets the velocity (in pixels per millisecond).|
+ * |`setSpringPosition(position)`|Attaches a spring which pulls the scroll-offset towards the position, or detaches it when `undefined`.|
+ * |`getEnergy()`|Gets the kinetic energy.|
+ * |`predictRestingPosition(position, velocity)`|Predicts the position at which the scroll-offset comes to rest.|
+ * |`getResistance(overscroll, size)`|Returns the displacement when dragging `overscroll` pixels beyond the bounds.|
+ *
+ * This base class implements a critically-damped spring and a configurable resistance curve.
+ * Derived classes implement the deceleration by overriding `_decelerate(state, dt)`. Because the
+ * simulation is only advanced through `step`, a model can be tested without a render-loop:
+ *
+ * ```javascript
+ * var physics = new DecelerationPhysics();
+ * physics.step(0);
+ * physics.setVelocity(2);
+ * physics.step(1000);
+ * console.log(physics.getPosition(), physics.predictRestingPosition(0, 2));
+ * ```
+ *
+ * |options|type|description|
+ * |---|---|---|
+ * |`[springPeriod]`|Number|Period of the critically-damped spring in milliseconds (default: 350)|
+ * |`[resistance]`|Number/Function|Resistance factor or curve when dragging beyond the bounds: `function(overscroll, size)` (default: 0.5)|
+ *
+ * @module
+ */
+define(function(require, exports, module) {
+
+    // import dependencies
+    var LayoutUtility = require('../LayoutUtility');
+
+    /**
+     * @class
+     * @param {Object} [options] Configurable options.
+     * @param {Number} [options.springPeriod] Period of the critically-damped spring in milliseconds (default: `350`).
+     * @param {Number|Function} [options.resistance] Resistance factor or curve when dragging beyond the bounds (default: `0.5`).
+     * @alias module:ScrollPhysics
+     */
+    function ScrollPhysics(options) {
+        this.options = LayoutUtility.combineOptions(this.constructor.DEFAULT_OPTIONS, options, true);
+        this._state = {
+            position: 0,
+            velocity: 0
+            //time: undefined,
+            //springPosition: undefined
+        };
+    }
+
+    ScrollPhysics.DEFAULT_OPTIONS = {
+        springPeriod: 350,
+        resistance: 0.5
+    };
+
+    /**
+     * Patches the options of the physics model.
+     *
+     * @param {Object} options Configurable options.
+     * @return {ScrollPhysics} this
+     */
+    ScrollPhysics.prototype.setOptions = function(options) {
+        this.options = LayoutUtility.combineOptions(this.options, options);
+        return this;
+    };
+
+    /**
+     * Advances the simulation to the given time.
+     *
+     * @param {Number} time Time in milliseconds.
+     * @return {ScrollPhysics} this
+     */
+    ScrollPhysics.prototype.step = function(time) {
+        var state = this._state;
+        var dt = (state.time === undefined) ? 0 : Math.max(time - state.time, 0);
+        state.time = time;
+        if (!dt) {
+            return this;
+        }
+        if (state.springPosition !== undefined) {
+            _stepSpring.call(this, state, dt);
+        }
+        else if (state.velocity) {
+            this._decelerate(state, dt);
+            if (Math.abs(state.velocity) < 0.001) {
+                state.velocity = 0;
+            }
+        }
+        return this;
+    };
+
+    /**
+     * Moves the critically-damped spring towards the spring-position.
+     */
+    function _stepSpring(state, dt) {
+        var omega = (2 * Math.PI) / this.options.springPeriod;
+        var x = state.position - state.springPosition;
+        var v = state.velocity;
+        var decay = Math.exp(-omega * dt);
+        var c = v + (omega * x);
+        x = (x + (c * dt)) * decay;
+        v = (v - (omega * c * dt)) * decay;
+        if ((Math.abs(x) < 0.01) && (Math.abs(v) < 0.001)) {
+            x = 0;
+            v = 0;
+        }
+        state.position = state.springPosition + x;
+        state.velocity = v;
+    }
+
+    /**
+     * Decelerates the velocity and moves the position for the given time-delta.
+     * Override this function to implement a custom deceleration.
+     *
+     * @param {Object} state State containing the `position` and `velocity`.
+     * @param {Number} dt Time-delta in milliseconds.
+     * @private
+     */
+    ScrollPhysics.prototype._decelerate = function(state, dt) {
+        state.position += state.velocity * dt;
+    };
+
+    /**
+     * Get the position (scroll-offset).
+     *
+     * @return {Number} position
+     */
+    ScrollPhysics.prototype.getPosition = function() {
+        return this._state.position;
+    };
+
+    /**
+     * Sets the position (scroll-offset).
+     *
+     * @param {Number} position New position.
+     * @return {ScrollPhysics} this
+     */
+    ScrollPhysics.prototype.setPosition = function(position) {
+        this._state.position = position;
+        return this;
+    };
+
+    /**
+     * Get the velocity.
+     *
+     * @return {Number} velocity in pixels per millisecond
+     */
+    ScrollPhysics.prototype.getVelocity = function() {
+        return this._state.velocity;
+    };
+
+    /**
+     * Sets the velocity.
+     *
+     * @param {Number} velocity Velocity in pixels per millisecond.
+     * @return {ScrollPhysics} this
+     */
+    ScrollPhysics.prototype.setVelocity = function(velocity) {
+        this._state.velocity = velocity;
+        return this;
+    };
+
+    /**
+     * Attaches a spring which pulls the position towards the spring-position.
+     *
+     * @param {Number} [position] Spring-position or `undefined` to detach the spring.
+     * @return {ScrollPhysics} this
+     */
+    ScrollPhysics.prototype.setSpringPosition = function(position) {
+        this._state.springPosition = position;
+        return this;
+    };
+
+    /**
+     * Get the kinetic energy.
+     *
+     * @return {Number} energy
+     */
+    ScrollPhysics.prototype.getEnergy = function() {
+        return 0.5 * this._state.velocity * this._state.velocity;
+    };
+
+    /**
+     * Predicts the position at which the scroll-offset comes to rest when no spring
+     * is attached. The default implementation simulates the deceleration.
+     *
+     * @param {Number} position Start position.
+     * @param {Number} velocity Start velocity.
+     * @return {Number} resting position
+     */
+    ScrollPhysics.prototype.predictRestingPosition = function(position, velocity) {
+        var state = {
+            position: position,
+            velocity: velocity
+        };
+        for (var i = 0; (i < 1000) && (Math.abs(state.velocity) >= 0.001); i++) {
+            this._decelerate(state, 16);
+        }
+        return state.position;
+    };
+
+    /**
+     * Returns the displacement when dragging beyond the bounds.
+     *
+     * @param {Number} overscroll Number of pixels that was dragged beyond the bounds.
+     * @param {Number} size Size of the view in the scroll-direction.
+     * @return {Number} displacement
+     */
+    ScrollPhysics.prototype.getResistance = function(overscroll, size) {
+        var resistance = this.options.resistance;
+        return (resistance instanceof Function) ? resistance(overscroll, size) : (overscroll * resistance);
+    };
+
+    module.exports = ScrollPhysics;
+});
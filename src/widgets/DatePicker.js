@@ -321,10 +321,16 @@ define(function(require, exports, module) {
 
     /**
      * Called whenever an item is clicked, causes the scrollwheel to scroll to that item.
+     * The (deprecated) `click` event of the component is emitted as well.
      */
     function _clickItem(scrollWheel, event) {
-        if (scrollWheel && event && event.target) {
-            scrollWheel.scrollController.goToRenderNode(event.target);
+        if (scrollWheel && event && event.renderNode) {
+            if (event.renderNode.__datePickerClickEvent) {
+                scrollWheel.component._eventOutput.emit('click', {
+                    target: event.renderNode
+                });
+            }
+            scrollWheel.scrollController.goToRenderNode(event.renderNode);
         }
     }
 
@@ -398,8 +404,8 @@ define(function(require, exports, module) {
                 scrollController: scrollController,
                 viewSequence: viewSequence
             };
+            scrollController.on('itemclick', _clickItem.bind(this, scrollWheel));
             this.scrollWheels.push(scrollWheel);
-            component.on('click', _clickItem.bind(this, scrollWheel));
             dataSource.push(scrollController);
             sizeRatios.push(component.sizeRatio);
         }
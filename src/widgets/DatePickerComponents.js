@@ -16,7 +16,6 @@
 define(function(require, exports, module) {
 
     // import dependencies
-    var Timer = require('famous/utilities/Timer');
     var Surface = require('famous/core/Surface');
     var EventHandler = require('famous/core/EventHandler');
     var MSEC_PER_DAY = (1000 * 60 * 60 * 24);
@@ -36,9 +35,6 @@ define(function(require, exports, module) {
     function decimal4(date) {
         return ('000' + date[this.get]()).slice(-4);
     }
-    function distance(deltaX, deltaY) {
-        return Math.sqrt((deltaX * deltaX) + (deltaY * deltaY));
-    }
 
     /**
      * Base component class
@@ -102,47 +98,16 @@ define(function(require, exports, module) {
         this.setComponent(date, newVal);
         return date;
     };
+    /**
+     * Enables the `click` event of the component for a renderable.
+     *
+     * @deprecated Clicks are now detected by the scroll-controller of the date-picker, listen
+     * for its `itemclick` event instead. For backwards compatibility, the component still
+     * emits the `click` event (`{target: renderable}`) for the renderables that were passed
+     * to this function.
+     */
     Base.prototype.installClickHandler = function(renderable) {
-        renderable.__datePickerClickEvent = renderable.__datePickerClickEvent || {};
-        var data = renderable.__datePickerClickEvent;
-        renderable.on('mousedown', function(event) {
-            data.active = true;
-            data.x = event.screenX;
-            data.y = event.screenY;
-            data.time = Date.now();
-        });
-        renderable.on('touchstart', function(event) {
-            data.active = true;
-            data.x = event.touches[0].clientX;
-            data.y = event.touches[0].clientY;
-            data.time = Date.now();
-        });
-        renderable.on('mouseup', function(event) {
-            if (data.active) {
-                data.active = false;
-                if (((Date.now() - data .time) <= 250) &&
-                     (Math.abs(distance(event.screenX - data.x, event.screenY - data.y)) <= 3)) {
-                    Timer.setTimeout(function() {
-                        this._eventOutput.emit('click', {
-                            target: renderable
-                        });
-                    }.bind(this), 0);
-                }
-            }
-        }.bind(this));
-        renderable.on('touchend', function(event) {
-            if (data.active) {
-                data.active = false;
-                if (((Date.now() - data .time) <= 250) &&
-                     (Math.abs(distance(event.changedTouches[0].clientX - data.x, event.changedTouches[0].clientY - data.y)) <= 3)) {
-                    Timer.setTimeout(function() {
-                        this._eventOutput.emit('click', {
-                            target: renderable
-                        });
-                    }.bind(this), 0);
-                }
-            }
-        }.bind(this));
+        renderable.__datePickerClickEvent = true;
     };
     Base.prototype.createRenderable = function(classes, data) {
         return new Surface({
@@ -6,13 +6,16 @@ famousflex.FlexScrollView = require('./src/FlexScrollView');
 famousflex.FlowLayoutNode = require('./src/FlowLayoutNode');
 famousflex.LayoutContext = require('./src/LayoutContext');
 famousflex.LayoutController = require('./src/LayoutController');
+famousflex.LayoutEvaluator = require('./src/LayoutEvaluator');
 famousflex.LayoutNode = require('./src/LayoutNode');
 famousflex.LayoutNodeManager = require('./src/LayoutNodeManager');
 famousflex.LayoutUtility = require('./src/LayoutUtility');
 famousflex.ScrollController = require('./src/ScrollController');
+famousflex.GridScrollController = require('./src/GridScrollController');
 famousflex.VirtualViewSequence = require('./src/VirtualViewSequence');
 famousflex.LinkedListViewSequence = require('./src/LinkedListViewSequence');
 famousflex.AnimationController = require('./src/AnimationController');
+famousflex.ConstraintSolver = require('./src/ConstraintSolver');
 
 famousflex.widgets = famousflex.widgets || {};
 famousflex.widgets.DatePicker = require('./src/widgets/DatePicker');
@@ -20,15 +23,28 @@ famousflex.widgets.TabBar = require('./src/widgets/TabBar');
 famousflex.widgets.TabBarController = require('./src/widgets/TabBarController');
 
 famousflex.layouts = famousflex.layouts || {};
+famousflex.layouts.AutoLayout = require('./src/layouts/AutoLayout');
 famousflex.layouts.CollectionLayout = require('./src/layouts/CollectionLayout');
 famousflex.layouts.CoverLayout = require('./src/layouts/CoverLayout');
 famousflex.layouts.CubeLayout = require('./src/layouts/CubeLayout');
+famousflex.layouts.FlexboxLayout = require('./src/layouts/FlexboxLayout');
 famousflex.layouts.GridLayout = require('./src/layouts/GridLayout');
 famousflex.layouts.HeaderFooterLayout = require('./src/layouts/HeaderFooterLayout');
+famousflex.layouts.JustifiedLayout = require('./src/layouts/JustifiedLayout');
 famousflex.layouts.ListLayout = require('./src/layouts/ListLayout');
+famousflex.layouts.MasonryLayout = require('./src/layouts/MasonryLayout');
 famousflex.layouts.NavBarLayout = require('./src/layouts/NavBarLayout');
 famousflex.layouts.ProportionalLayout = require('./src/layouts/ProportionalLayout');
+famousflex.layouts.TableLayout = require('./src/layouts/TableLayout');
 famousflex.layouts.WheelLayout = require('./src/layouts/WheelLayout');
 
 famousflex.helpers = famousflex.helpers || {};
 famousflex.helpers.LayoutDockHelper = require('./src/helpers/LayoutDockHelper');
+famousflex.helpers.LayoutConstraintHelper = require('./src/helpers/LayoutConstraintHelper');
+
+famousflex.physics = famousflex.physics || {};
+famousflex.physics.ScrollPhysics = require('./src/physics/ScrollPhysics');
+famousflex.physics.ParticlePhysics = require('./src/physics/ParticlePhysics');
+famousflex.physics.DecelerationPhysics = require('./src/physics/DecelerationPhysics');
+famousflex.physics.FlingPhysics = require('./src/physics/FlingPhysics');
+famousflex.physics.RubberBandPhysics = require('./src/physics/RubberBandPhysics');
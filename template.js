@@ -3,27 +3,42 @@ define(function(require) {
     require('famous-flex/FlowLayoutNode');
     require('famous-flex/LayoutContext');
     require('famous-flex/LayoutController');
+    require('famous-flex/LayoutEvaluator');
     require('famous-flex/LayoutNode');
     require('famous-flex/LayoutNodeManager');
     require('famous-flex/LayoutUtility');
     require('famous-flex/ScrollController');
+    require('famous-flex/GridScrollController');
     require('famous-flex/VirtualViewSequence');
     require('famous-flex/LinkedListViewSequence');
     require('famous-flex/AnimationController');
+    require('famous-flex/ConstraintSolver');
 
     require('famous-flex/widgets/DatePicker');
     require('famous-flex/widgets/TabBar');
     require('famous-flex/widgets/TabBarController');
 
+    require('famous-flex/layouts/AutoLayout');
     require('famous-flex/layouts/CollectionLayout');
     require('famous-flex/layouts/CoverLayout');
     require('famous-flex/layouts/CubeLayout');
+    require('famous-flex/layouts/FlexboxLayout');
     require('famous-flex/layouts/GridLayout');
     require('famous-flex/layouts/HeaderFooterLayout');
+    require('famous-flex/layouts/JustifiedLayout');
     require('famous-flex/layouts/ListLayout');
+    require('famous-flex/layouts/MasonryLayout');
     require('famous-flex/layouts/NavBarLayout');
     require('famous-flex/layouts/ProportionalLayout');
+    require('famous-flex/layouts/TableLayout');
     require('famous-flex/layouts/WheelLayout');
 
     require('famous-flex/helpers/LayoutDockHelper');
+    require('famous-flex/helpers/LayoutConstraintHelper');
+
+    require('famous-flex/physics/ScrollPhysics');
+    require('famous-flex/physics/ParticlePhysics');
+    require('famous-flex/physics/DecelerationPhysics');
+    require('famous-flex/physics/FlingPhysics');
+    require('famous-flex/physics/RubberBandPhysics');
 });